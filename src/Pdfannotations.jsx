@@ -1,18 +1,55 @@
-import { createElement, useState, useEffect, useCallback } from "react";
+import { createElement, useState, useEffect, useCallback, useMemo, useRef } from "react";
 import PDFViewerComponent from "./components/PDFViewerComponent";
 import { SecureS3Downloader } from "./utils/s3-downloader";
 import { DocxToPdfConverter } from "./utils/docx-converter";
 import { ExcelCsvToPdfConverter } from "./utils/excel-csv-converter";
+import { parseAnnotationsJson, serializeAnnotations } from "./utils/annotation-schema";
+import { getRevision, hasAnnotationChanges, mergeAnnotations, stampRevisions } from "./utils/annotation-merge";
+import { getAnnotationTypeLabel } from "./utils/annotation-types";
+import { CollaborationSession, applyAnnotationChanges, applyAnnotationsMessage, createCollaborationTransport } from "./utils/collaboration";
+import { getNewMentions, parseMentionableUsers } from "./utils/mentions";
+import { DEFAULT_ATTACHMENT_PREFIX, deleteAttachment, downloadAttachment, normalizeAttachmentPrefix, uploadAttachment } from "./utils/attachment-storage";
 import CryptoJS from "crypto-js";
 import "./ui/Pdfannotations.css";
 
 // Global counter for widget instances
 let globalWidgetCounter = 0;
 
+// Operation types written to the changedOperation attribute
+const ANNOTATION_OPERATIONS = {
+    ADD: 'ADD',
+    EDIT: 'EDIT',
+    DELETE: 'DELETE',
+    REPLY: 'REPLY',
+    STATUS_CHANGE: 'STATUS_CHANGE',
+    IMPORT: 'IMPORT'
+};
+
+// Broadcast changes kept for display until the attribute refreshes
+const MAX_COLLABORATION_PREVIEWS = 200;
+
 // Enhanced PDF Annotations Widget with robust Excel/CSV support and FIXED MICROFLOW EXECUTION
 export default function Pdfannotations(props) {
     const [pdfUrl, setPdfUrl] = useState("");
     const [annotations, setAnnotations] = useState([]);
+    // What the loader could not show: { invalidEntries, migratedCount, parseError } - see annotation-schema
+    const [annotationLoadReport, setAnnotationLoadReport] = useState({ invalidEntries: [], migratedCount: 0, parseError: null });
+
+    // Concurrent edits: the list last received from the attribute is the base of a three-way merge
+    // when the attribute changes underneath the widget; the JSON last read or written tells those
+    // changes apart from the echo of our own saves
+    const [mergeConflicts, setMergeConflicts] = useState([]);
+    const syncedAnnotationsRef = useRef(null);
+    const lastAttributeJsonRef = useRef(null);
+    const annotationsRef = useRef(annotations);
+
+    // Live collaboration with other viewers of the same document (optional)
+    const [collaborators, setCollaborators] = useState([]);
+    // Annotation changes broadcast by other viewers: shown on top of the stored annotations but never
+    // saved from here - the next attribute refresh brings the confirmed versions and clears them
+    const [collaborationPreviews, setCollaborationPreviews] = useState([]);
+    const collaborationPreviewsRef = useRef(collaborationPreviews);
+    const collaborationRef = useRef(null);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState("");
     const [loadingStatus, setLoadingStatus] = useState("Initializing widget...");
@@ -127,7 +164,10 @@ export default function Pdfannotations(props) {
         console.log(`🚀 [Widget ${widgetInstanceId}] PDF Annotations Widget initialized with FIXED MICROFLOW EXECUTION`);
         addDebugLog("=== MICROFLOW CONFIGURATION CHECK ===");
         addDebugLog(`onAnnotationAdd configured: ${!!props.onAnnotationAdd}`);
+        addDebugLog(`onAnnotationEdit configured: ${!!props.onAnnotationEdit}`);
         addDebugLog(`onAnnotationDelete configured: ${!!props.onAnnotationDelete}`);
+        addDebugLog(`onAnnotationReply configured: ${!!props.onAnnotationReply}`);
+        addDebugLog(`onAnnotationStatusChange configured: ${!!props.onAnnotationStatusChange}`);
         
         if (props.onAnnotationAdd) {
             addDebugLog(`onAnnotationAdd type: ${typeof props.onAnnotationAdd}`);
@@ -145,7 +185,7 @@ export default function Pdfannotations(props) {
         return () => {
             console.log(`🔥 [Widget ${widgetInstanceId}] PDF Annotations Widget unmounted`);
         };
-    }, [widgetInstanceId, props.onAnnotationAdd, props.onAnnotationDelete, addDebugLog]);
+    }, [widgetInstanceId, props.onAnnotationAdd, props.onAnnotationEdit, props.onAnnotationDelete, props.onAnnotationReply, props.onAnnotationStatusChange, addDebugLog]);
 
     // Enhanced custom editability effect
     useEffect(() => {
@@ -632,6 +672,55 @@ startxref
         }
     }, [addDebugLog]);
 
+    useEffect(() => {
+        annotationsRef.current = annotations;
+    }, [annotations]);
+
+    useEffect(() => {
+        collaborationPreviewsRef.current = collaborationPreviews;
+    }, [collaborationPreviews]);
+
+    const displayedAnnotations = useMemo(
+        () => collaborationPreviews.reduce(applyAnnotationsMessage, annotations),
+        [annotations, collaborationPreviews]
+    );
+
+    // Write a JSON string to the pdfAnnotations attribute; returns whether a save method was found.
+    // `writtenAnnotations` (what the JSON holds) becomes the base of the next merge - the echo of
+    // this save is skipped by the load effect, so it would otherwise keep the base from before it.
+    const writeAnnotationsJson = useCallback((jsonString, writtenAnnotations) => {
+        addDebugLog(`JSON string to save: ${jsonString.substring(0, 100)}...`);
+
+        if (props.pdfAnnotations && typeof props.pdfAnnotations.setValue === 'function') {
+            try {
+                props.pdfAnnotations.setValue(jsonString);
+                lastAttributeJsonRef.current = jsonString;
+                syncedAnnotationsRef.current = writtenAnnotations;
+                addDebugLog("✅ Direct attribute update successful");
+                return true;
+            } catch (saveError) {
+                addDebugLog(`❌ Direct attribute update failed: ${saveError.message}`);
+                return false;
+            }
+        }
+
+        if (props.pdfAnnotations && props.pdfAnnotations.value !== undefined) {
+            try {
+                props.pdfAnnotations.value = jsonString;
+                lastAttributeJsonRef.current = jsonString;
+                syncedAnnotationsRef.current = writtenAnnotations;
+                addDebugLog("✅ Direct value assignment successful");
+                return true;
+            } catch (saveError) {
+                addDebugLog(`❌ Direct value assignment failed: ${saveError.message}`);
+                return false;
+            }
+        }
+
+        addDebugLog("❌ pdfAnnotations not available for direct update");
+        return false;
+    }, [props.pdfAnnotations, addDebugLog]);
+
     // Extract and load annotations from Mendix attribute
     useEffect(() => {
         addDebugLog("=== LOADING PDF ANNOTATIONS FROM MENDIX ===");
@@ -639,7 +728,6 @@ startxref
         
         try {
             let annotationsData = null;
-            let loadedAnnotations = [];
             
             if (props.pdfAnnotations && props.pdfAnnotations.value !== undefined) {
                 annotationsData = props.pdfAnnotations.value;
@@ -649,29 +737,110 @@ startxref
                 addDebugLog(`Found string pdfAnnotations: ${annotationsData}`);
             }
             
-            if (annotationsData && typeof annotationsData === 'string' && annotationsData.trim() !== '' && annotationsData !== '[]') {
-                try {
-                    const parsed = JSON.parse(annotationsData);
-                    loadedAnnotations = Array.isArray(parsed) ? parsed : [];
-                    addDebugLog(`✅ Successfully parsed annotations: ${loadedAnnotations.length} items`);
-                } catch (parseError) {
-                    console.warn('❌ Failed to parse annotations JSON:', parseError);
-                    addDebugLog(`Raw annotation data that failed to parse: ${annotationsData}`);
-                    loadedAnnotations = [];
+            // Our own save coming back (or a re-render with the same value) needs no reload
+            const incomingJson = annotationsData || '';
+            if (incomingJson === lastAttributeJsonRef.current) {
+                addDebugLog("ℹ️ Annotations attribute unchanged - keeping current state");
+                return;
+            }
+            lastAttributeJsonRef.current = incomingJson;
+            setCollaborationPreviews([]);
+
+            const { annotations: loadedAnnotations, invalidEntries, migratedCount, parseError } = parseAnnotationsJson(annotationsData);
+
+            if (parseError) {
+                // Keep the stored value untouched; saving stays blocked until it is fixed
+                console.warn('❌ Failed to parse annotations JSON:', parseError);
+                addDebugLog(`❌ Annotations JSON could not be read (${parseError}) - saving is disabled`);
+                addDebugLog(`Raw annotation data that failed to parse: ${annotationsData}`);
+            } else {
+                addDebugLog(`✅ Successfully parsed annotations: ${loadedAnnotations.length} items`);
+            }
+            if (migratedCount > 0) {
+                addDebugLog(`🔁 Migrated ${migratedCount} annotations to the current schema`);
+            }
+            invalidEntries.forEach(invalid => {
+                addDebugLog(`⚠️ Invalid annotation at position ${invalid.index + 1}: ${invalid.errors.join(', ')}`);
+            });
+
+            const base = syncedAnnotationsRef.current;
+            syncedAnnotationsRef.current = parseError ? null : loadedAnnotations;
+
+            if (!parseError && base && hasAnnotationChanges(base, annotationsRef.current)) {
+                // Someone else saved while we have changes of our own: merge instead of replacing them
+                const { merged, conflicts } = mergeAnnotations(base, annotationsRef.current, loadedAnnotations);
+                addDebugLog(`🔀 Annotations changed underneath the widget - merged into ${merged.length} items with ${conflicts.length} conflicts`);
+
+                setAnnotations(merged);
+                setMergeConflicts(prev => [
+                    ...prev.filter(existing => !conflicts.some(conflict => String(conflict.id) === String(existing.id))),
+                    ...conflicts
+                ]);
+                if (hasAnnotationChanges(loadedAnnotations, merged)) {
+                    writeAnnotationsJson(serializeAnnotations(merged, invalidEntries), merged);
                 }
             } else {
-                addDebugLog("ℹ️ No valid annotation data found, using empty array");
-                loadedAnnotations = [];
+                setAnnotations(loadedAnnotations);
             }
-            
-            setAnnotations(loadedAnnotations);
+            setAnnotationLoadReport({ invalidEntries, migratedCount, parseError });
             addDebugLog("=== END LOADING PDF ANNOTATIONS ===");
         } catch (error) {
             addDebugLog(`❌ Error loading annotations: ${error.message}`);
             console.error('Error loading annotations:', error);
             setAnnotations([]);
         }
-    }, [props.pdfAnnotations, addDebugLog]);
+    }, [props.pdfAnnotations, writeAnnotationsJson, addDebugLog]);
+
+    // Write one optional output attribute; unconfigured or read-only attributes are skipped.
+    // Numbers go through setTextValue so Integer attributes get parsed by Mendix itself.
+    const setOutputAttribute = useCallback((attribute, value, attributeName) => {
+        if (!attribute || typeof attribute.setValue !== 'function' || attribute.readOnly) {
+            return;
+        }
+
+        try {
+            if (value === undefined || value === null) {
+                attribute.setValue(undefined);
+            } else if (typeof value === 'number' && typeof attribute.setTextValue === 'function') {
+                attribute.setTextValue(String(value));
+            } else {
+                attribute.setValue(String(value));
+            }
+        } catch (writeError) {
+            addDebugLog(`❌ Could not write ${attributeName}: ${writeError.message}`);
+        }
+    }, [addDebugLog]);
+
+    // Tell the microflow which annotation changed and how - must run BEFORE the action executes
+    const writeOperationContext = useCallback((operation, annotation) => {
+        addDebugLog(`🧾 Operation context: ${operation} on annotation ${annotation ? annotation.id : 'unknown'}`);
+        setOutputAttribute(props.changedAnnotationId, annotation ? String(annotation.id) : '', 'changedAnnotationId');
+        setOutputAttribute(props.changedOperation, operation, 'changedOperation');
+        setOutputAttribute(props.changedAnnotationPage, annotation ? annotation.page || 1 : undefined, 'changedAnnotationPage');
+        setOutputAttribute(props.changedAnnotationAuthor, annotation?.createdBy, 'changedAnnotationAuthor');
+        setOutputAttribute(props.changedAnnotationComment, annotation?.comment, 'changedAnnotationComment');
+        setOutputAttribute(props.changedAnnotationJson, annotation ? JSON.stringify(annotation) : '', 'changedAnnotationJson');
+    }, [
+        props.changedAnnotationId,
+        props.changedOperation,
+        props.changedAnnotationPage,
+        props.changedAnnotationAuthor,
+        props.changedAnnotationComment,
+        props.changedAnnotationJson,
+        setOutputAttribute,
+        addDebugLog
+    ]);
+
+    // Write the annotations JSON to the Mendix attribute; returns whether a save method was found.
+    // Invalid stored entries are written back as they were; an unreadable value is never overwritten.
+    const writeAnnotationsAttribute = useCallback((annotationsArray) => {
+        if (annotationLoadReport.parseError) {
+            addDebugLog("⛔ Not saving - the stored annotations JSON could not be read and would be overwritten");
+            return false;
+        }
+
+        return writeAnnotationsJson(serializeAnnotations(annotationsArray, annotationLoadReport.invalidEntries), annotationsArray);
+    }, [annotationLoadReport, writeAnnotationsJson, addDebugLog]);
 
     // ENHANCED: Save annotations to Mendix with proper microflow execution (FOR ADD ONLY)
     const saveAnnotationsToMendix = useCallback((annotationsArray) => {
@@ -679,33 +848,8 @@ startxref
         addDebugLog(`Annotations to save: ${annotationsArray.length} items`);
         
         try {
-            const jsonString = JSON.stringify(annotationsArray);
-            addDebugLog(`JSON string to save: ${jsonString.substring(0, 100)}...`);
-            
-            let saveSuccess = false;
-            
             // Save to attribute
-            if (props.pdfAnnotations && typeof props.pdfAnnotations.setValue === 'function') {
-                addDebugLog("📝 Attempting direct attribute update...");
-                try {
-                    props.pdfAnnotations.setValue(jsonString);
-                    saveSuccess = true;
-                    addDebugLog("✅ Direct attribute update successful");
-                } catch (error) {
-                    addDebugLog(`❌ Direct attribute update failed: ${error.message}`);
-                }
-            } else if (props.pdfAnnotations && props.pdfAnnotations.value !== undefined) {
-                addDebugLog("📝 Attempting direct value assignment...");
-                try {
-                    props.pdfAnnotations.value = jsonString;
-                    saveSuccess = true;
-                    addDebugLog("✅ Direct value assignment successful");
-                } catch (error) {
-                    addDebugLog(`❌ Direct value assignment failed: ${error.message}`);
-                }
-            } else {
-                addDebugLog("❌ pdfAnnotations not available for direct update");
-            }
+            const saveSuccess = writeAnnotationsAttribute(annotationsArray);
             
             // ENHANCED: Execute onAnnotationAdd microflow (ONLY FOR ADD)
             if (props.onAnnotationAdd) {
@@ -732,17 +876,18 @@ startxref
         }
         
         addDebugLog("=== END SAVING PDF ANNOTATIONS ===");
-    }, [props.onAnnotationAdd, props.pdfAnnotations, addDebugLog, executeMendixAction, widgetInstanceId]);
+    }, [props.onAnnotationAdd, writeAnnotationsAttribute, addDebugLog, executeMendixAction, widgetInstanceId]);
 
     // Save annotations with improved mechanism (FOR ADD OPERATIONS)
-    const handleAnnotationsChange = useCallback((newAnnotations) => {
+    const handleAnnotationsChange = useCallback((newAnnotations, addedAnnotation) => {
         addDebugLog(`📝 Updating annotations state with ${newAnnotations.length} items`);
         setAnnotations(newAnnotations);
+        writeOperationContext(ANNOTATION_OPERATIONS.ADD, addedAnnotation);
         saveAnnotationsToMendix(newAnnotations);
-    }, [saveAnnotationsToMendix, addDebugLog]);
+    }, [saveAnnotationsToMendix, writeOperationContext, addDebugLog]);
 
     // FIXED: Handle annotation deletion - EXACTLY LIKE IMAGE ANNOTATOR
-    const handleAnnotationDelete = useCallback((deletedAnnotations) => {
+    const handleAnnotationDelete = useCallback((deletedAnnotations, deletedAnnotation) => {
         addDebugLog("=== DELETING PDF ANNOTATION ===");
         addDebugLog(`Annotations after delete: ${deletedAnnotations.length} items`);
         
@@ -751,33 +896,10 @@ startxref
             setAnnotations(deletedAnnotations);
             
             // Save to Mendix attribute directly (NOT via saveAnnotationsToMendix)
-            const jsonString = JSON.stringify(deletedAnnotations);
-            addDebugLog(`JSON string to save after delete: ${jsonString.substring(0, 100)}...`);
-            
-            let saveSuccess = false;
-            
-            if (props.pdfAnnotations && typeof props.pdfAnnotations.setValue === 'function') {
-                addDebugLog("📝 Attempting direct attribute update after delete...");
-                try {
-                    props.pdfAnnotations.setValue(jsonString);
-                    saveSuccess = true;
-                    addDebugLog("✅ Direct attribute update successful after delete");
-                } catch (error) {
-                    addDebugLog(`❌ Direct attribute update failed after delete: ${error.message}`);
-                }
-            } else if (props.pdfAnnotations && props.pdfAnnotations.value !== undefined) {
-                addDebugLog("📝 Attempting direct value assignment after delete...");
-                try {
-                    props.pdfAnnotations.value = jsonString;
-                    saveSuccess = true;
-                    addDebugLog("✅ Direct value assignment successful after delete");
-                } catch (error) {
-                    addDebugLog(`❌ Direct value assignment failed after delete: ${error.message}`);
-                }
-            } else {
-                addDebugLog("❌ pdfAnnotations not available for direct update after delete");
-            }
+            const saveSuccess = writeAnnotationsAttribute(deletedAnnotations);
             
+            writeOperationContext(ANNOTATION_OPERATIONS.DELETE, deletedAnnotation);
+
             // ENHANCED: Execute ONLY the delete microflow
             if (props.onAnnotationDelete) {
                 addDebugLog("📞 Executing onAnnotationDelete microflow...");
@@ -803,7 +925,307 @@ startxref
         }
         
         addDebugLog("=== END DELETING PDF ANNOTATION ===");
-    }, [props.onAnnotationDelete, props.pdfAnnotations, addDebugLog, executeMendixAction, widgetInstanceId]);
+    }, [props.onAnnotationDelete, writeAnnotationsAttribute, writeOperationContext, addDebugLog, executeMendixAction, widgetInstanceId]);
+
+    // Handle an edit of an existing annotation (triggers ONLY the edit microflow)
+    const handleAnnotationEdit = useCallback((updatedAnnotations, editedAnnotation) => {
+        // Without a dedicated edit action keep the previous behaviour of running the add microflow
+        if (!props.onAnnotationEdit) {
+            addDebugLog("ℹ️ onAnnotationEdit not configured - saving edit via onAnnotationAdd");
+            setAnnotations(updatedAnnotations);
+            writeOperationContext(ANNOTATION_OPERATIONS.EDIT, editedAnnotation);
+            saveAnnotationsToMendix(updatedAnnotations);
+            return;
+        }
+
+        addDebugLog("=== SAVING ANNOTATION EDIT ===");
+
+        try {
+            setAnnotations(updatedAnnotations);
+            const saveSuccess = writeAnnotationsAttribute(updatedAnnotations);
+            writeOperationContext(ANNOTATION_OPERATIONS.EDIT, editedAnnotation);
+
+            const microflowSuccess = executeMendixAction(props.onAnnotationEdit, 'onAnnotationEdit');
+            addDebugLog(microflowSuccess ? "✅ onAnnotationEdit microflow executed successfully" : "❌ onAnnotationEdit microflow execution failed");
+
+            if (saveSuccess) {
+                addDebugLog("🎉 Annotation edit saved successfully to Mendix");
+            } else {
+                addDebugLog("⚠️ Could not save edit - no valid save method found");
+            }
+        } catch (saveError) {
+            addDebugLog(`❌ Error saving edit: ${saveError.message}`);
+            console.saveError(`[Widget ${widgetInstanceId}] Error saving edit:`, saveError);
+        }
+
+        addDebugLog("=== END SAVING ANNOTATION EDIT ===");
+    }, [props.onAnnotationEdit, writeAnnotationsAttribute, writeOperationContext, saveAnnotationsToMendix, addDebugLog, executeMendixAction, widgetInstanceId]);
+
+    // Handle a reply added to an annotation thread (triggers ONLY the reply microflow)
+    const handleAnnotationReply = useCallback((updatedAnnotations, repliedAnnotation) => {
+        addDebugLog("=== SAVING ANNOTATION REPLY ===");
+
+        try {
+            setAnnotations(updatedAnnotations);
+            const saveSuccess = writeAnnotationsAttribute(updatedAnnotations);
+            writeOperationContext(ANNOTATION_OPERATIONS.REPLY, repliedAnnotation);
+
+            if (props.onAnnotationReply) {
+                const microflowSuccess = executeMendixAction(props.onAnnotationReply, 'onAnnotationReply');
+                addDebugLog(microflowSuccess ? "✅ onAnnotationReply microflow executed successfully" : "❌ onAnnotationReply microflow execution failed");
+            } else {
+                addDebugLog("ℹ️ onAnnotationReply not configured");
+            }
+
+            if (saveSuccess) {
+                addDebugLog("🎉 Annotation reply saved successfully to Mendix");
+            } else {
+                addDebugLog("⚠️ Could not save reply - no valid save method found");
+            }
+        } catch (saveError) {
+            addDebugLog(`❌ Error saving reply: ${saveError.message}`);
+            console.saveError(`[Widget ${widgetInstanceId}] Error saving reply:`, saveError);
+        }
+
+        addDebugLog("=== END SAVING ANNOTATION REPLY ===");
+    }, [props.onAnnotationReply, writeAnnotationsAttribute, writeOperationContext, addDebugLog, executeMendixAction, widgetInstanceId]);
+
+    // Handle a review status change (triggers ONLY the status microflow)
+    const handleAnnotationStatusChange = useCallback((updatedAnnotations, changedAnnotation) => {
+        addDebugLog("=== SAVING ANNOTATION STATUS CHANGE ===");
+
+        try {
+            setAnnotations(updatedAnnotations);
+            const saveSuccess = writeAnnotationsAttribute(updatedAnnotations);
+            writeOperationContext(ANNOTATION_OPERATIONS.STATUS_CHANGE, changedAnnotation);
+
+            if (props.onAnnotationStatusChange) {
+                const microflowSuccess = executeMendixAction(props.onAnnotationStatusChange, 'onAnnotationStatusChange');
+                addDebugLog(microflowSuccess ? "✅ onAnnotationStatusChange microflow executed successfully" : "❌ onAnnotationStatusChange microflow execution failed");
+            } else {
+                addDebugLog("ℹ️ onAnnotationStatusChange not configured");
+            }
+
+            if (saveSuccess) {
+                addDebugLog("🎉 Annotation status saved successfully to Mendix");
+            } else {
+                addDebugLog("⚠️ Could not save status change - no valid save method found");
+            }
+        } catch (saveError) {
+            addDebugLog(`❌ Error saving status change: ${saveError.message}`);
+            console.saveError(`[Widget ${widgetInstanceId}] Error saving status change:`, saveError);
+        }
+
+        addDebugLog("=== END SAVING ANNOTATION STATUS CHANGE ===");
+    }, [props.onAnnotationStatusChange, writeAnnotationsAttribute, writeOperationContext, addDebugLog, executeMendixAction, widgetInstanceId]);
+
+    // Handle annotations imported from the PDF file (triggers the ADD microflow once for the batch)
+    const handleAnnotationsImport = useCallback((updatedAnnotations, importedAnnotations) => {
+        addDebugLog("=== SAVING IMPORTED PDF ANNOTATIONS ===");
+        addDebugLog(`Imported ${importedAnnotations.length} annotations, ${updatedAnnotations.length} in total`);
+
+        try {
+            setAnnotations(updatedAnnotations);
+            const saveSuccess = writeAnnotationsAttribute(updatedAnnotations);
+            writeOperationContext(ANNOTATION_OPERATIONS.IMPORT, null);
+            // The microflow gets the whole batch instead of a single annotation
+            setOutputAttribute(props.changedAnnotationJson, JSON.stringify(importedAnnotations), 'changedAnnotationJson');
+
+            if (props.onAnnotationAdd) {
+                const microflowSuccess = executeMendixAction(props.onAnnotationAdd, 'onAnnotationAdd');
+                addDebugLog(microflowSuccess ? "✅ onAnnotationAdd microflow executed successfully" : "❌ onAnnotationAdd microflow execution failed");
+            } else {
+                addDebugLog("ℹ️ onAnnotationAdd not configured");
+            }
+
+            if (saveSuccess) {
+                addDebugLog("🎉 Imported annotations saved successfully to Mendix");
+            } else {
+                addDebugLog("⚠️ Could not save imported annotations - no valid save method found");
+            }
+        } catch (saveError) {
+            addDebugLog(`❌ Error saving imported annotations: ${saveError.message}`);
+            console.saveError(`[Widget ${widgetInstanceId}] Error saving imported annotations:`, saveError);
+        }
+
+        addDebugLog("=== END SAVING IMPORTED PDF ANNOTATIONS ===");
+    }, [props.onAnnotationAdd, props.changedAnnotationJson, writeAnnotationsAttribute, writeOperationContext, setOutputAttribute, addDebugLog, executeMendixAction, widgetInstanceId]);
+
+    // Users that can be @mentioned in comments
+    const mentionableUsers = useMemo(() => {
+        try {
+            return parseMentionableUsers(props.mentionableUsers?.value);
+        } catch (usersError) {
+            addDebugLog(`❌ Could not parse mentionable users: ${usersError.message}`);
+            return [];
+        }
+    }, [props.mentionableUsers?.value, addDebugLog]);
+
+    // After the operation's own microflow: tell onMention who was newly mentioned by the change
+    const notifyNewMentions = useCallback((previousAnnotations, changedAnnotations) => {
+        const newMentions = [];
+        changedAnnotations.forEach(annotation => {
+            const previous = previousAnnotations.find(item => String(item.id) === String(annotation.id));
+            getNewMentions(previous, annotation, mentionableUsers).forEach(mention => {
+                if (!newMentions.some(existing => String(existing.id) === String(mention.id))) {
+                    newMentions.push(mention);
+                }
+            });
+        });
+
+        if (newMentions.length === 0) return;
+
+        addDebugLog(`📣 Newly mentioned: ${newMentions.map(mention => mention.name).join(', ')}`);
+        setOutputAttribute(props.mentionedUsers, JSON.stringify(newMentions), 'mentionedUsers');
+        executeMendixAction(props.onMention, 'onMention');
+    }, [mentionableUsers, props.mentionedUsers, props.onMention, setOutputAttribute, executeMendixAction, addDebugLog]);
+
+    // Viewer callbacks, with the revision of every added or changed annotation raised before saving.
+    // The saved annotations are also sent to the other viewers of a collaboration session.
+    const viewerHandlers = useMemo(() => {
+        const withRevisions = (handler, operation) => (updatedAnnotations, changed) => {
+            const previousAnnotations = annotationsRef.current;
+            // The viewer's list includes other viewers' unconfirmed changes; only this change is saved
+            const changedList = Array.isArray(changed) ? changed : [changed].filter(Boolean);
+            const annotationsToSave = collaborationPreviewsRef.current.length > 0 && changedList.length > 0
+                ? applyAnnotationChanges(previousAnnotations, operation, changedList)
+                : updatedAnnotations;
+            const stamped = stampRevisions(annotationsToSave, previousAnnotations);
+            const pick = annotation => stamped.find(item => String(item.id) === String(annotation.id)) || annotation;
+            const stampedChanged = Array.isArray(changed) ? changed.map(pick) : changed && pick(changed);
+            handler(stamped, stampedChanged);
+
+            if (stampedChanged && operation !== ANNOTATION_OPERATIONS.DELETE) {
+                notifyNewMentions(previousAnnotations, Array.isArray(stampedChanged) ? stampedChanged : [stampedChanged]);
+            }
+            if (collaborationRef.current && stampedChanged) {
+                collaborationRef.current.broadcastAnnotations(operation, Array.isArray(stampedChanged) ? stampedChanged : [stampedChanged]);
+            }
+        };
+
+        return {
+            onAnnotationsChange: withRevisions(handleAnnotationsChange, ANNOTATION_OPERATIONS.ADD),
+            onAnnotationDelete: withRevisions(handleAnnotationDelete, ANNOTATION_OPERATIONS.DELETE),
+            onAnnotationEdit: withRevisions(handleAnnotationEdit, ANNOTATION_OPERATIONS.EDIT),
+            onAnnotationReply: withRevisions(handleAnnotationReply, ANNOTATION_OPERATIONS.REPLY),
+            onAnnotationStatusChange: withRevisions(handleAnnotationStatusChange, ANNOTATION_OPERATIONS.STATUS_CHANGE),
+            onAnnotationsImport: withRevisions(handleAnnotationsImport, ANNOTATION_OPERATIONS.IMPORT)
+        };
+    }, [handleAnnotationsChange, handleAnnotationDelete, handleAnnotationEdit, handleAnnotationReply, handleAnnotationStatusChange, handleAnnotationsImport, notifyNewMentions]);
+
+    // Comment attachments go to the document's bucket under the attachment prefix; only without
+    // credentials does the viewer keep them inside the annotation
+    const attachmentPrefix = normalizeAttachmentPrefix(props.attachmentPrefix) || DEFAULT_ATTACHMENT_PREFIX;
+    const attachmentBucket = props.s3BucketName?.value?.trim() || '';
+
+    const attachmentClient = useMemo(() => {
+        const accessKey = props.awsAccessKey?.value?.trim();
+        const secretKey = props.awsSecretKey?.value?.trim();
+        const region = props.awsRegion?.value?.trim();
+        if (!attachmentBucket || !accessKey || !secretKey || !region) {
+            return null;
+        }
+        return new SecureS3Downloader(accessKey, secretKey, props.awsSessionToken?.value?.trim(), region);
+    }, [attachmentBucket, props.awsAccessKey?.value, props.awsSecretKey?.value, props.awsRegion?.value, props.awsSessionToken?.value]);
+
+    const handleAttachmentUpload = useCallback(async (file, fileId, onProgress) => {
+        addDebugLog(`📎 Uploading attachment ${file.name} (${file.size} bytes) to s3://${attachmentBucket}/${attachmentPrefix}`);
+        try {
+            const record = await uploadAttachment(attachmentClient, attachmentBucket, attachmentPrefix, file, { id: fileId, onProgress });
+            addDebugLog(`✅ Attachment stored as ${record.s3Key}`);
+            return record;
+        } catch (uploadError) {
+            addDebugLog(`❌ Attachment upload failed: ${uploadError.message}`);
+            throw uploadError;
+        }
+    }, [attachmentClient, attachmentBucket, attachmentPrefix, addDebugLog]);
+
+    const handleAttachmentDownload = useCallback(async file => {
+        addDebugLog(`📎 Downloading attachment ${file.s3Key}`);
+        try {
+            return await downloadAttachment(attachmentClient, attachmentBucket, file);
+        } catch (downloadError) {
+            addDebugLog(`❌ Attachment download failed: ${downloadError.message}`);
+            throw downloadError;
+        }
+    }, [attachmentClient, attachmentBucket, addDebugLog]);
+
+    // Best effort: an object left behind only costs storage
+    const handleAttachmentDelete = useCallback(async file => {
+        addDebugLog(`🗑️ Deleting attachment ${file.s3Key}`);
+        try {
+            await deleteAttachment(attachmentClient, attachmentBucket, file);
+        } catch (deleteError) {
+            addDebugLog(`❌ Attachment delete failed: ${deleteError.message}`);
+        }
+    }, [attachmentClient, attachmentBucket, addDebugLog]);
+
+    // Join the collaboration room of this document when a channel is configured
+    const collaborationChannel = (props.collaborationChannel || '').trim();
+    const collaborationRoom = props.collaborationRoom?.value || props.fileName?.value || '';
+
+    useEffect(() => {
+        if (!collaborationChannel || !collaborationRoom || !currentUserName) return undefined;
+
+        const session = new CollaborationSession({
+            transport: createCollaborationTransport(collaborationChannel, collaborationRoom, addDebugLog),
+            room: collaborationRoom,
+            userName: currentUserName,
+            onPeersChange: setCollaborators,
+            // Shown right away (checked in applyAnnotationsMessage); the attribute refresh later brings
+            // the saved annotations (see annotation-merge)
+            onAnnotations: message => setCollaborationPreviews(prev => [...prev.slice(-(MAX_COLLABORATION_PREVIEWS - 1)), message]),
+            debugLog: addDebugLog
+        });
+
+        try {
+            session.start();
+            collaborationRef.current = session;
+        } catch (joinError) {
+            addDebugLog(`❌ Could not join collaboration room: ${joinError.message}`);
+            return undefined;
+        }
+
+        return () => {
+            collaborationRef.current = null;
+            session.stop();
+            setCollaborators([]);
+        };
+    }, [collaborationChannel, collaborationRoom, currentUserName, addDebugLog]);
+
+    const handlePresenceChange = useCallback((changes) => {
+        if (collaborationRef.current) {
+            collaborationRef.current.updatePresence(changes);
+        }
+    }, []);
+
+    // Settle a merge conflict: "theirs" is already in the list, "mine" is saved over it as a new revision
+    const resolveMergeConflict = useCallback((conflict, keepLocal) => {
+        setMergeConflicts(prev => prev.filter(existing => existing !== conflict));
+
+        if (!keepLocal) {
+            addDebugLog(`🔀 Conflict on annotation ${conflict.id} resolved - keeping the other reviewer's version`);
+            return;
+        }
+
+        addDebugLog(`🔀 Conflict on annotation ${conflict.id} resolved - keeping the local version`);
+        const current = annotationsRef.current;
+        const isConflicted = annotation => String(annotation.id) === String(conflict.id);
+
+        if (!conflict.local) {
+            handleAnnotationDelete(current.filter(annotation => !isConflicted(annotation)), conflict.remote);
+            return;
+        }
+
+        const kept = {
+            ...conflict.local,
+            revision: Math.max(getRevision(conflict.local), conflict.remote ? getRevision(conflict.remote) : 0) + 1
+        };
+        const updatedAnnotations = current.some(isConflicted)
+            ? current.map(annotation => (isConflicted(annotation) ? kept : annotation))
+            : [...current, kept];
+        handleAnnotationEdit(updatedAnnotations, kept);
+    }, [handleAnnotationDelete, handleAnnotationEdit, addDebugLog]);
 
     // Cleanup blob URL on unmount
     useEffect(() => {
@@ -1017,24 +1439,93 @@ startxref
         ]);
     }
 
+    const { invalidEntries, parseError } = annotationLoadReport;
+
     // Success - render PDF viewer with FIXED microflow support
     return createElement('div', {
         className: containerClasses,
         style: customStyle,
         tabIndex
     }, [
+        // Stored annotations the widget could not load - kept as they are, never silently dropped
+        parseError && createElement('div', {
+            key: 'schema-error',
+            className: 'pdf-schema-banner error'
+        }, `⛔ The stored annotations could not be read (${parseError}). Annotating is disabled so they are not overwritten.`),
+
+        !parseError && invalidEntries.length > 0 && createElement('details', {
+            key: 'schema-warning',
+            className: 'pdf-schema-banner warning'
+        }, [
+            createElement('summary', {
+                key: 'schema-warning-summary'
+            }, `⚠️ ${invalidEntries.length} stored annotation${invalidEntries.length === 1 ? ' is' : 's are'} invalid and not shown. ${invalidEntries.length === 1 ? 'It is' : 'They are'} kept unchanged when saving.`),
+            createElement('ul', {
+                key: 'schema-warning-list',
+                className: 'pdf-schema-invalid-list'
+            }, invalidEntries.map(invalid => createElement('li', {
+                key: invalid.index
+            }, `#${invalid.index + 1}${invalid.entry && invalid.entry.id !== undefined ? ` (id ${invalid.entry.id})` : ''}: ${invalid.errors.join(', ')}`)))
+        ]),
+
+        // Annotations changed both here and by another reviewer since the last save
+        mergeConflicts.length > 0 && createElement('div', {
+            key: 'merge-conflicts',
+            className: 'pdf-merge-conflicts'
+        }, [
+            createElement('div', {
+                key: 'merge-conflicts-title',
+                className: 'pdf-merge-conflicts-title'
+            }, `🔀 ${mergeConflicts.length} annotation${mergeConflicts.length === 1 ? ' was' : 's were'} also changed by someone else. Their version is shown until you choose.`),
+            ...mergeConflicts.map(conflict => {
+                const annotation = conflict.local || conflict.remote;
+                const describe = version => (version ? `revision ${getRevision(version)}: "${version.comment || ''}"` : 'deleted');
+                return createElement('div', {
+                    key: `conflict-${conflict.id}`,
+                    className: 'pdf-merge-conflict'
+                }, [
+                    createElement('span', {
+                        key: 'conflict-text',
+                        className: 'pdf-merge-conflict-text'
+                    }, `${getAnnotationTypeLabel(annotation)} on page ${annotation.page || 1} - mine ${describe(conflict.local)}, theirs ${describe(conflict.remote)}`),
+                    createElement('button', {
+                        key: 'conflict-keep-local',
+                        onClick: () => resolveMergeConflict(conflict, true),
+                        disabled: !canAddAnnotations,
+                        className: 'pdf-button'
+                    }, 'Keep mine'),
+                    createElement('button', {
+                        key: 'conflict-keep-remote',
+                        onClick: () => resolveMergeConflict(conflict, false),
+                        className: 'pdf-button'
+                    }, 'Keep theirs')
+                ]);
+            })
+        ]),
+
         createElement(PDFViewerComponent, {
             key: 'pdf-viewer',
             pdfUrl: pdfUrl,
-            annotations: annotations,
-            onAnnotationsChange: handleAnnotationsChange, // For ADD operations
-            onAnnotationDelete: handleAnnotationDelete, // For DELETE operations - FIXED
+            annotations: displayedAnnotations,
+            onAnnotationsChange: viewerHandlers.onAnnotationsChange, // For ADD operations
+            onAnnotationDelete: viewerHandlers.onAnnotationDelete, // For DELETE operations - FIXED
+            onAnnotationEdit: viewerHandlers.onAnnotationEdit, // For EDIT operations
+            onAnnotationReply: viewerHandlers.onAnnotationReply, // For REPLY operations
+            onAnnotationStatusChange: viewerHandlers.onAnnotationStatusChange, // For STATUS operations
+            onAnnotationsImport: viewerHandlers.onAnnotationsImport, // For IMPORT of the PDF's own annotations
             currentUser: currentUserName,
-            canAddAnnotations: canAddAnnotations,
+            canAddAnnotations: canAddAnnotations && !parseError,
             allowDelete: props.allowDelete !== false,
             referenceDocuments: referenceDocuments,
             widgetInstanceId: widgetInstanceId,
-            executeMendixAction: executeMendixAction
+            executeMendixAction: executeMendixAction,
+            documentName: props.fileName?.value || '',
+            collaborators: collaborators,
+            mentionableUsers: mentionableUsers,
+            onAttachmentUpload: attachmentClient ? handleAttachmentUpload : undefined,
+            onAttachmentDownload: attachmentClient ? handleAttachmentDownload : undefined,
+            onAttachmentDelete: attachmentClient ? handleAttachmentDelete : undefined,
+            onPresenceChange: collaborationChannel ? handlePresenceChange : undefined
         })
     ]);
 }
\ No newline at end of file
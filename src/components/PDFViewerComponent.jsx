@@ -7,6 +7,87 @@
 
 import { createElement, useState, useCallback, useRef, useEffect, useMemo } from "react";
 import { Document, Page, pdfjs } from 'react-pdf';
+import ShapeGraphic from './ShapeGraphic';
+import ThumbnailPanel from './ThumbnailPanel';
+import { AnnotatedPdfExporter } from '../utils/annotated-pdf-exporter';
+import { NativeAnnotationExporter } from '../utils/native-annotation-exporter';
+import { CommentReportExporter } from '../utils/comment-report-exporter';
+import {
+    ANNOTATION_TYPES,
+    SHAPE_KINDS,
+    SHAPE_KIND_LABELS,
+    getAnnotationTypeLabel,
+    getNextPinNumber,
+    isCommentOptionalType
+} from '../utils/annotation-types';
+import {
+    ANNOTATION_STATUSES,
+    ANNOTATION_STATUS_ACTIONS,
+    ANNOTATION_STATUS_LABELS,
+    STATUS_FILTERS,
+    applyStatusChange,
+    getAllowedStatusTransitions,
+    getAnnotationStatus,
+    matchesStatusFilter
+} from '../utils/annotation-status';
+import {
+    HISTORY_OPERATIONS,
+    HISTORY_OPERATION_LABELS,
+    applyHistoryStep,
+    createHistoryEntry,
+    pushHistoryEntry,
+    resolveHistoryStep
+} from '../utils/annotation-history';
+import {
+    buildShapeGeometry,
+    getBoundingArea,
+    getPointsBounds,
+    getShapeBounds,
+    mergeLineRects,
+    moveRect,
+    resizeRect,
+    simplifyStroke,
+    toContainerRelativePoint,
+    toContainerRelativeRect,
+    toPageRelativeRect,
+    toSvgPoints
+} from '../utils/annotation-geometry';
+import {
+    ANNOTATION_SORT_LABELS,
+    ANNOTATION_SORT_ORDERS,
+    DEFAULT_ANNOTATION_FILTERS,
+    countActiveFilters,
+    getAnnotatedPages,
+    getAnnotationAuthors,
+    getAnnotationTypeOptions,
+    matchesAnnotationFilters,
+    sortAnnotationEntries
+} from '../utils/annotation-filters';
+import {
+    MAX_LISTED_MATCHES,
+    extractDocumentText,
+    findTextMatches,
+    highlightTextItem
+} from '../utils/text-search';
+import { IMPORTED_FROM_PDF, getPendingImports, readPdfAnnotations } from '../utils/pdf-annotation-importer';
+import { extractMentions, filterMentionableUsers, getMentionQuery, insertMention } from '../utils/mentions';
+import { cleanPastedHtml, insertSanitizedHtml, plainTextToRichText, sanitizeRichText } from '../utils/rich-text-sanitizer';
+import { collectS3Attachments, isS3Attachment } from '../utils/attachment-storage';
+import {
+    HIGHLIGHT_COLORS,
+    RICH_TEXT_COMMANDS,
+    RICH_TEXT_SHORTCUTS,
+    TEXT_COLORS,
+    executeRichTextCommand,
+    getEditorRange,
+    getHighlightClass,
+    getSelectedLink,
+    getShortcut,
+    getTextColorClass,
+    moveToAdjacentCell,
+    normalizeLinkUrl,
+    selectRange
+} from '../utils/rich-text-editing';
 
 // PDF.js worker setup
 console.log('🔧 PDF.js version from react-pdf:', pdfjs.version);
@@ -15,18 +96,120 @@ pdfjs.GlobalWorkerOptions.workerSrc = `https://unpkg.com/pdfjs-dist@${pdfjs.vers
 // Global counter for widget instances
 let globalWidgetCounter = 0;
 
+// Pen stroke widths offered in the toolbar (px at 100% zoom)
+const STROKE_WIDTHS = [1, 2, 3, 5, 8];
+
+// Continuous scroll: vertical gap between pages (px) and pages rendered beyond the viewport on each side
+const PAGE_GAP = 16;
+const PAGE_OVERSCAN = 2;
+
+// Shape opacity levels offered in the toolbar
+const OPACITY_LEVELS = [1, 0.75, 0.5, 0.25];
+
+// Style stored on a shape annotation from the toolbar/edit style state
+const toShapeStyle = styleState => ({
+    strokeColor: styleState.strokeColor,
+    strokeWidth: styleState.strokeWidth,
+    fillColor: styleState.fillEnabled ? styleState.fillColor : null,
+    opacity: styleState.opacity
+});
+
+// Entries of the toolbar's export menu
+const EXPORT_FORMATS = {
+    FLATTENED_PDF: 'flattened-pdf',
+    NATIVE_PDF: 'native-pdf',
+    XFDF: 'xfdf',
+    REPORT_CSV: 'report-csv',
+    REPORT_XLSX: 'report-xlsx',
+    REPORT_PDF: 'report-pdf'
+};
+
+const EXPORT_OPTIONS = [
+    { format: EXPORT_FORMATS.FLATTENED_PDF, label: 'PDF with comments (flattened)', title: 'Annotations burned into the pages plus a comment appendix' },
+    { format: EXPORT_FORMATS.NATIVE_PDF, label: 'PDF with editable annotations', title: 'Native PDF annotations that Acrobat and other readers can edit' },
+    { format: EXPORT_FORMATS.XFDF, label: 'XFDF annotations file', title: 'Annotations only, to import into the original PDF' },
+    { format: EXPORT_FORMATS.REPORT_XLSX, label: 'Comment report (Excel)', title: 'Comment resolution sheet with one row per annotation' },
+    { format: EXPORT_FORMATS.REPORT_CSV, label: 'Comment report (CSV)', title: 'Comment resolution sheet with one row per annotation' },
+    { format: EXPORT_FORMATS.REPORT_PDF, label: 'Comment report (PDF)', title: 'Comment resolution sheet as a printable table' }
+];
+
+// Buttons of the comment editor's toolbar, in groups; the shortcut is added to the tooltip
+const RICH_TEXT_TOOLBAR = [
+    [
+        { command: RICH_TEXT_COMMANDS.BOLD, label: 'B', title: 'Bold' },
+        { command: RICH_TEXT_COMMANDS.ITALIC, label: 'I', title: 'Italic' },
+        { command: RICH_TEXT_COMMANDS.UNDERLINE, label: 'U', title: 'Underline' },
+        { command: RICH_TEXT_COMMANDS.STRIKETHROUGH, label: 'S', title: 'Strikethrough' },
+        { command: RICH_TEXT_COMMANDS.CODE, label: '</>', title: 'Inline code' }
+    ],
+    [
+        { command: RICH_TEXT_COMMANDS.HEADING_1, label: 'H1', title: 'Heading 1' },
+        { command: RICH_TEXT_COMMANDS.HEADING_2, label: 'H2', title: 'Heading 2' },
+        { command: RICH_TEXT_COMMANDS.HEADING_3, label: 'H3', title: 'Heading 3' },
+        { command: RICH_TEXT_COMMANDS.CODE_BLOCK, label: '{ }', title: 'Code block' }
+    ],
+    [
+        { command: RICH_TEXT_COMMANDS.UNORDERED_LIST, label: '•', title: 'Bulleted list' },
+        { command: RICH_TEXT_COMMANDS.ORDERED_LIST, label: '1.', title: 'Numbered list' },
+        { command: RICH_TEXT_COMMANDS.TABLE, label: '▦', title: 'Insert table (Tab moves to the next cell)' }
+    ],
+    [
+        { command: RICH_TEXT_COMMANDS.LINK, label: '🔗', title: 'Insert or edit link' },
+        { command: RICH_TEXT_COMMANDS.UNLINK, label: '⛓', title: 'Remove link' }
+    ]
+];
+
+const getShortcutLabel = command => {
+    const shortcut = RICH_TEXT_SHORTCUTS.find(item => item.command === command);
+    return shortcut ? ` (${shortcut.label})` : '';
+};
+
+// Name for an exported file: the document's name without extension plus `suffix`
+const getExportFileName = (documentName, suffix) => {
+    const baseName = (documentName || 'document').split('/').pop().replace(/\.[^.]+$/, '') || 'document';
+    return `${baseName}${suffix}`;
+};
+
+// Offer a generated blob as a file download
+const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+};
+
+const createUploadedFileId = widgetInstanceId => `${widgetInstanceId}-${Date.now()}-${Math.random().toString(36).substr(2, 12)}`;
+
 
 export default function PDFViewerComponent({ 
     pdfUrl, 
     annotations = [], 
     onAnnotationsChange,
     onAnnotationDelete,
+    onAnnotationEdit,
+    onAnnotationReply,
+    onAnnotationStatusChange,
+    onAnnotationsImport,
     currentUser = "Unknown User",
     canAddAnnotations = true,
     allowDelete = true,
     referenceDocuments = [],
     widgetInstanceId: parentWidgetInstanceId,
-    executeMendixAction
+    executeMendixAction,
+    documentName = '',
+    collaborators = [],
+    onPresenceChange,
+    mentionableUsers = [],
+    onAttachmentUpload,
+    onAttachmentDownload,
+    onAttachmentDelete
 }) {
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
@@ -34,10 +217,49 @@ export default function PDFViewerComponent({
     const [currentPage, setCurrentPage] = useState(1);
     const [scale, setScale] = useState(0.8);
     const [annotationMode, setAnnotationMode] = useState(false);
+    const [annotationTool, setAnnotationTool] = useState('area');
     const [showCommentModal, setShowCommentModal] = useState(false);
     const [commentText, setCommentText] = useState("");
     const [selectedReferenceDoc, setSelectedReferenceDoc] = useState("");
     const [selectedArea, setSelectedArea] = useState(null);
+    const [selectedHighlight, setSelectedHighlight] = useState(null);
+    const [pendingDrawing, setPendingDrawing] = useState(null);
+    const [replyingTo, setReplyingTo] = useState(null);
+    const [statusFilter, setStatusFilter] = useState(STATUS_FILTERS.ALL);
+    const [annotationFilters, setAnnotationFilters] = useState(DEFAULT_ANNOTATION_FILTERS);
+    const [sortOrder, setSortOrder] = useState(ANNOTATION_SORT_ORDERS.PAGE);
+    const [showFilterPanel, setShowFilterPanel] = useState(false);
+
+    // Undo/redo stacks of this session's annotation operations
+    const [undoStack, setUndoStack] = useState([]);
+    const [redoStack, setRedoStack] = useState([]);
+
+    // Area annotation being moved or resized: { annotationId, mode: 'move' | 'nw' | 'ne' | 'sw' | 'se', startPoint, originalArea, currentArea }
+    const [areaDrag, setAreaDrag] = useState(null);
+    const suppressAreaClickRef = useRef(false);
+
+    // Page layout: 'single' shows currentPage only, 'continuous' stacks all pages and virtualizes them
+    const [viewMode, setViewMode] = useState('single');
+    const [pdfDocument, setPdfDocument] = useState(null);
+    const [defaultPageSize, setDefaultPageSize] = useState(null);
+    const [pageSizes, setPageSizes] = useState({});
+    const [visiblePageRange, setVisiblePageRange] = useState({ first: 1, last: 1 });
+    const documentContainerRef = useRef(null);
+    const programmaticScrollRef = useRef(false);
+    const [thumbnailsCollapsed, setThumbnailsCollapsed] = useState(false);
+
+    // Find bar: the text of every page is extracted the first time it is opened for a document
+    const [showFindBar, setShowFindBar] = useState(false);
+    const [findQuery, setFindQuery] = useState('');
+    const [activeMatchIndex, setActiveMatchIndex] = useState(0);
+    const [documentText, setDocumentText] = useState(null);
+    const [textExtractionProgress, setTextExtractionProgress] = useState(null);
+    const findInputRef = useRef(null);
+    const scrollToHitRef = useRef(false);
+
+    // Native annotations found in the PDF itself: { annotations, unsupported } once scanned
+    const [pdfImport, setPdfImport] = useState(null);
+    const [pdfImportDismissed, setPdfImportDismissed] = useState(false);
     const [showSidebar, setShowSidebar] = useState(true);
     const [diagnostics, setDiagnostics] = useState([]);
     const [loadMethod, setLoadMethod] = useState('direct');
@@ -48,6 +270,15 @@ export default function PDFViewerComponent({
     // File upload states
     const [uploadedFiles, setUploadedFiles] = useState([]);
     const [isUploading, setIsUploading] = useState(false);
+    // Percentage of the attachment being uploaded to S3 (null while nothing is uploading)
+    const [uploadProgress, setUploadProgress] = useState(null);
+    // S3 attachments picked since the comment modal opened - deleted again unless the comment is saved
+    const unsavedUploadsRef = useRef([]);
+    // S3 attachments (by key) that an edit, delete or undo here took out of a saved annotation. Undo can
+    // bring them back, so each is deleted only once neither the annotations nor the history refer to it.
+    const removedAttachmentsRef = useRef(new Map());
+    const [isExporting, setIsExporting] = useState(false);
+    const [showExportMenu, setShowExportMenu] = useState(false);
     const [showFilePreview, setShowFilePreview] = useState(false);
     const [previewFile, setPreviewFile] = useState(null);
     const [loadingPreview, setLoadingPreview] = useState(false);
@@ -58,6 +289,22 @@ export default function PDFViewerComponent({
     const [startPoint, setStartPoint] = useState(null);
     const [currentRect, setCurrentRect] = useState(null);
 
+    // Pen (ink) states - strokes are page-relative point lists
+    const [currentStroke, setCurrentStroke] = useState(null);
+    const [pendingInkStrokes, setPendingInkStrokes] = useState([]);
+    const [toolStyle, setToolStyle] = useState({
+        strokeColor: '#e53935',
+        strokeWidth: 2,
+        fillEnabled: false,
+        fillColor: '#fff59d',
+        opacity: 1
+    });
+    const [editStyle, setEditStyle] = useState(null);
+
+    // Shape states - arrow/line keep start and end points, ellipse/callout a box
+    const [shapeKind, setShapeKind] = useState(SHAPE_KINDS.ARROW);
+    const [currentShape, setCurrentShape] = useState(null);
+
     // Reference document states
     const [showRefDocDropdown, setShowRefDocDropdown] = useState(false);
     const [selectedRefDocName, setSelectedRefDocName] = useState('');
@@ -97,6 +344,20 @@ export default function PDFViewerComponent({
     
     const [richTextContent, setRichTextContent] = useState('');
 
+    // @mention autocomplete: the "@query" at the caret and the highlighted suggestion
+    const [mentionQuery, setMentionQuery] = useState(null);
+    const [mentionIndex, setMentionIndex] = useState(0);
+    // Palette open in the editor toolbar: RICH_TEXT_COMMANDS.TEXT_COLOR, .HIGHLIGHT, .LINK (the address bar) or null
+    const [openRichTextPalette, setOpenRichTextPalette] = useState(null);
+    // Address typed into the link bar, and the editor selection it will be applied to
+    const [linkAddress, setLinkAddress] = useState('');
+    const linkRangeRef = useRef(null);
+
+    // Messages and questions shown inline instead of browser dialogs:
+    // notice is { type: 'error' | 'warning', message }, pendingConfirmation is { message, confirmLabel, onConfirm }
+    const [notice, setNotice] = useState(null);
+    const [pendingConfirmation, setPendingConfirmation] = useState(null);
+
     // Debug logging function with widget instance isolation
     const addDebugLog = useCallback((message) => {
         const timestamp = new Date().toLocaleTimeString();
@@ -122,20 +383,51 @@ export default function PDFViewerComponent({
         setIsMaximized(newMaximizedState);
     }, [isMaximized, viewerWidgetInstanceId]);
 
-    // Handle escape key to exit maximize mode
+    // Keyboard shortcuts: Escape exits maximize mode, Ctrl+Z / Ctrl+Shift+Z undo and redo, Ctrl+F opens the find bar
+    const historyShortcutRef = useRef(null);
     useEffect(() => {
         const handleKeyDown = (event) => {
             if (event.key === 'Escape' && isMaximized) {
                 setIsMaximized(false);
+                return;
+            }
+
+            if ((event.ctrlKey || event.metaKey) && (event.key === 'f' || event.key === 'F')) {
+                // Browser find stays available outside the widget and inside the comment editor
+                const widgetContainer = containerRef.current;
+                const target = event.target;
+                const isEditing = target && (target.isContentEditable || target.tagName === 'TEXTAREA');
+                if (!widgetContainer || !widgetContainer.contains(target) || isEditing) {
+                    return;
+                }
+
+                event.preventDefault();
+                setShowFindBar(true);
+                if (findInputRef.current) {
+                    findInputRef.current.focus();
+                    findInputRef.current.select();
+                }
+                return;
+            }
+
+            if ((event.ctrlKey || event.metaKey) && (event.key === 'z' || event.key === 'Z' || event.key === 'y')) {
+                // Only the widget the user is working in, and never while typing (the editor has its own undo)
+                const widgetContainer = containerRef.current;
+                const target = event.target;
+                const isTyping = target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+                if (!widgetContainer || !widgetContainer.contains(target) || isTyping || !historyShortcutRef.current) {
+                    return;
+                }
+
+                event.preventDefault();
+                historyShortcutRef.current(event.shiftKey || event.key === 'y' ? 'redo' : 'undo');
             }
         };
 
-        if (isMaximized) {
         document.addEventListener('keydown', handleKeyDown);
         return () => {
             document.removeEventListener('keydown', handleKeyDown);
         };
-        }
     }, [isMaximized]);
 
     // Toggle annotation expansion
@@ -410,9 +702,11 @@ export default function PDFViewerComponent({
     }, [pdfUrl, loadMethod, createPDFSource]);
 
     // Handle successful PDF load
-    const handleDocumentLoadSuccess = useCallback(({ numPages }) => {
-        console.log(`✅ [Viewer ${viewerWidgetInstanceId}] PDF loaded successfully with`, numPages, 'pages');
-        setNumPages(numPages);
+    const handleDocumentLoadSuccess = useCallback((pdf) => {
+        console.log(`✅ [Viewer ${viewerWidgetInstanceId}] PDF loaded successfully with`, pdf.numPages, 'pages');
+        setNumPages(pdf.numPages);
+        setPdfDocument(pdf);
+        setPageSizes({});
         setIsLoading(false);
         setError(null);
     }, [viewerWidgetInstanceId]);
@@ -473,12 +767,258 @@ export default function PDFViewerComponent({
         setIsLoading(false);
     }, [loadMethod, viewerWidgetInstanceId]);
 
+    // Extracted text belongs to the loaded source; switching view mode reloads the same file
+    useEffect(() => {
+        setDocumentText(null);
+        setActiveMatchIndex(0);
+        setPdfImport(null);
+        setPdfImportDismissed(false);
+    }, [processedPdfSource]);
+
+    // Look for comments made in other PDF tools once per document
+    useEffect(() => {
+        if (!pdfDocument || pdfImport || !canAddAnnotations) return undefined;
+
+        let cancelled = false;
+        readPdfAnnotations(pdfDocument, () => cancelled)
+            .then(result => {
+                if (cancelled || !result) return;
+                console.log(`📥 [Viewer ${viewerWidgetInstanceId}] Found ${result.annotations.length} native PDF annotations (${result.unsupported} not supported)`);
+                setPdfImport(result);
+            })
+            .catch(importError => {
+                if (cancelled) return;
+                console.error(`❌ [Viewer ${viewerWidgetInstanceId}] Reading native PDF annotations failed:`, importError);
+                setPdfImport({ annotations: [], unsupported: 0 });
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [pdfDocument, pdfImport, canAddAnnotations, viewerWidgetInstanceId]);
+
+    useEffect(() => {
+        if (!showFindBar || !pdfDocument || documentText) return undefined;
+
+        let cancelled = false;
+        console.log(`🔍 [Viewer ${viewerWidgetInstanceId}] Extracting text of ${pdfDocument.numPages} pages for search`);
+        setTextExtractionProgress({ done: 0, total: pdfDocument.numPages });
+
+        extractDocumentText(
+            pdfDocument,
+            (done, total) => {
+                if (!cancelled) setTextExtractionProgress({ done, total });
+            },
+            () => cancelled
+        ).then(pages => {
+            if (cancelled || !pages) return;
+            setDocumentText(pages);
+            setTextExtractionProgress(null);
+        }).catch(extractionError => {
+            if (cancelled) return;
+            console.error(`❌ [Viewer ${viewerWidgetInstanceId}] Text extraction failed:`, extractionError);
+            setTextExtractionProgress(null);
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [showFindBar, pdfDocument, documentText, viewerWidgetInstanceId]);
+
+    useEffect(() => {
+        if (showFindBar && findInputRef.current) {
+            findInputRef.current.focus();
+        }
+    }, [showFindBar]);
+
+    // Size of page 1 stands in for pages that have not been loaded yet (continuous mode placeholders)
+    useEffect(() => {
+        if (!pdfDocument) return undefined;
+
+        let cancelled = false;
+        pdfDocument.getPage(1).then(page => {
+            if (cancelled) return;
+            const viewport = page.getViewport({ scale: 1 });
+            setDefaultPageSize({ width: viewport.width, height: viewport.height });
+        }).catch(pageError => {
+            console.warn(`⚠️ [Viewer ${viewerWidgetInstanceId}] Could not read page size:`, pageError);
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [pdfDocument, viewerWidgetInstanceId]);
+
+    const handlePageLoadSuccess = useCallback((page) => {
+        setPageSizes(prev => (prev[page.pageNumber]
+            ? prev
+            : { ...prev, [page.pageNumber]: { width: page.originalWidth, height: page.originalHeight } }));
+    }, []);
+
+    // Top offset (px, at the current zoom) of every page in continuous mode
+    const pageOffsets = useMemo(() => {
+        if (!numPages || !defaultPageSize) return [];
+
+        const offsets = [];
+        let top = 0;
+        for (let pageNumber = 1; pageNumber <= numPages; pageNumber++) {
+            offsets.push(top);
+            top += (pageSizes[pageNumber] || defaultPageSize).height * scale + PAGE_GAP;
+        }
+        return offsets;
+    }, [numPages, defaultPageSize, pageSizes, scale]);
+
+    // Continuous mode: work out which pages are near the viewport (they are the ones rendered)
+    const updateVisiblePageRange = useCallback(() => {
+        const scrollContainer = documentContainerRef.current;
+        if (!scrollContainer || pageOffsets.length === 0) return;
+
+        const viewTop = scrollContainer.scrollTop;
+        const viewBottom = viewTop + scrollContainer.clientHeight;
+        const lastIndex = pageOffsets.length - 1;
+        let first = pageOffsets.findIndex((offset, index) => index === lastIndex || pageOffsets[index + 1] > viewTop);
+        let last = pageOffsets.findIndex((offset, index) => index === lastIndex || pageOffsets[index + 1] > viewBottom);
+        first = Math.max(first, 0) + 1;
+        last = Math.max(last, 0) + 1;
+
+        setVisiblePageRange(prev => (prev.first === first && prev.last === last ? prev : { first, last }));
+    }, [pageOffsets]);
+
+    const scrollToPage = useCallback((pageNumber) => {
+        const scrollContainer = documentContainerRef.current;
+        if (!scrollContainer || pageOffsets.length === 0) return;
+
+        const previousScrollTop = scrollContainer.scrollTop;
+        programmaticScrollRef.current = true;
+        scrollContainer.scrollTop = pageOffsets[pageNumber - 1];
+
+        // No scroll event follows when the position did not change (e.g. the page is already
+        // shown at the bottom) - the flag would otherwise swallow the user's next scroll
+        if (scrollContainer.scrollTop === previousScrollTop) {
+            programmaticScrollRef.current = false;
+        }
+        updateVisiblePageRange();
+    }, [pageOffsets, updateVisiblePageRange]);
+
     // Handle page changes
     const goToPage = useCallback((pageNumber) => {
         if (pageNumber >= 1 && pageNumber <= numPages) {
-            setCurrentPage(pageNumber);
+            const showPage = () => {
+                setCurrentPage(pageNumber);
+                if (viewMode === 'continuous') {
+                    scrollToPage(pageNumber);
+                }
+            };
+
+            // Unsaved pen strokes belong to the page they were drawn on
+            if (pendingInkStrokes.length > 0 && pageNumber !== currentPage) {
+                setPendingConfirmation({
+                    message: 'You have unsaved pen strokes on this page. Discard them?',
+                    confirmLabel: 'Discard',
+                    onConfirm: () => {
+                        setPendingInkStrokes([]);
+                        showPage();
+                    }
+                });
+                return;
+            }
+            showPage();
+        }
+    }, [numPages, pendingInkStrokes, currentPage, viewMode, scrollToPage]);
+
+    // Continuous mode scroll: the pages near the viewport and which one is "current"
+    const updateVisiblePages = useCallback(() => {
+        const scrollContainer = documentContainerRef.current;
+        if (!scrollContainer || pageOffsets.length === 0) return;
+
+        updateVisiblePageRange();
+
+        // Page crossing the upper third of the viewport counts as current; a scroll started by
+        // goToPage must not override the page that was asked for (the last pages cannot reach the top)
+        if (programmaticScrollRef.current) {
+            programmaticScrollRef.current = false;
+            return;
+        }
+
+        // Drawings in progress belong to the page they were started on
+        if (isDrawing || pendingInkStrokes.length > 0) return;
+
+        const lastIndex = pageOffsets.length - 1;
+        const focusLine = scrollContainer.scrollTop + scrollContainer.clientHeight / 3;
+        const focusIndex = pageOffsets.findIndex((offset, index) => index === lastIndex || pageOffsets[index + 1] > focusLine);
+        setCurrentPage(Math.max(focusIndex, 0) + 1);
+    }, [pageOffsets, isDrawing, pendingInkStrokes, updateVisiblePageRange]);
+
+    // Entering continuous mode or zooming in it keeps the current page in view. Page sizes that
+    // arrive later move the offsets too, but do not scroll again - the reader may have moved on.
+    const currentPageRef = useRef(currentPage);
+    currentPageRef.current = currentPage;
+    const scrolledLayoutRef = useRef(null);
+
+    useEffect(() => {
+        if (viewMode !== 'continuous' || !defaultPageSize || pageOffsets.length === 0) {
+            scrolledLayoutRef.current = null;
+            return;
         }
-    }, [numPages]);
+
+        const layout = `${scale}:${defaultPageSize.width}x${defaultPageSize.height}`;
+        if (scrolledLayoutRef.current === layout) return;
+        scrolledLayoutRef.current = layout;
+        scrollToPage(currentPageRef.current);
+    }, [viewMode, scale, defaultPageSize, pageOffsets, scrollToPage]);
+
+    const findMatches = useMemo(() => findTextMatches(documentText, findQuery), [documentText, findQuery]);
+    const activeMatch = showFindBar ? findMatches[activeMatchIndex] || null : null;
+    const hasSearchableText = !documentText || Object.values(documentText).some(page => page.text.trim().length > 0);
+
+    const matchesByPage = useMemo(() => findMatches.reduce((byPage, match) => ({
+        ...byPage,
+        [match.page]: [...(byPage[match.page] || []), match]
+    }), {}), [findMatches]);
+
+    // Step to a match (wrapping around) and bring its page into view; the hit itself is
+    // scrolled to once the page's text layer has rendered the highlight
+    const goToMatch = useCallback((index) => {
+        if (findMatches.length === 0) return;
+
+        const wrapped = (index + findMatches.length) % findMatches.length;
+        setActiveMatchIndex(wrapped);
+        scrollToHitRef.current = true;
+        goToPage(findMatches[wrapped].page);
+    }, [findMatches, goToPage]);
+
+    const closeFindBar = useCallback(() => {
+        setShowFindBar(false);
+        scrollToHitRef.current = false;
+    }, []);
+
+    // Text layer markup with the search hits wrapped in <mark>; none while the find bar is closed
+    const highlightSearchHits = useMemo(() => {
+        if (!showFindBar || findMatches.length === 0 || !documentText) return undefined;
+
+        return ({ str, itemIndex, pageNumber }) => highlightTextItem(
+            str,
+            documentText[pageNumber]?.items[itemIndex],
+            matchesByPage[pageNumber] || [],
+            activeMatch?.id
+        );
+    }, [showFindBar, findMatches, documentText, matchesByPage, activeMatch]);
+
+    const handleTextLayerRenderSuccess = useCallback(() => {
+        if (!scrollToHitRef.current || !documentContainerRef.current) return;
+
+        // In continuous mode another page's text layer may finish first
+        const hit = documentContainerRef.current.querySelector('mark.pdf-search-hit.active');
+        if (!hit) return;
+
+        scrollToHitRef.current = false;
+        const previousScrollTop = documentContainerRef.current.scrollTop;
+        programmaticScrollRef.current = true;
+        hit.scrollIntoView({ block: 'center', inline: 'nearest' });
+        if (documentContainerRef.current.scrollTop === previousScrollTop) {
+            programmaticScrollRef.current = false;
+        }
+    }, []);
 
     const zoomIn = useCallback(() => {
         setIsCanvasReady(false)
@@ -490,42 +1030,173 @@ export default function PDFViewerComponent({
         setScale(prev => Math.max(prev - 0.2, 0.5));
     }, []);
 
-    // Area selection handlers
-    const handleMouseDown = useCallback((event) => {
-        if (!annotationMode || !canAddAnnotations) return;
+    // Text highlights select through the PDF text layer; every other tool draws on the selection overlay
+    const isOverlayToolActive = annotationMode && annotationTool !== 'highlight';
+    const isHighlightToolActive = annotationMode && annotationTool === 'highlight';
+    const isPenToolActive = annotationMode && annotationTool === 'ink';
+    const isShapeToolActive = annotationMode && annotationTool === 'shape';
+    const isNoteToolActive = annotationMode && annotationTool === 'note';
+
+    // Switch annotation tool, or leave annotation mode when the active tool is toggled again
+    const toggleAnnotationTool = useCallback(tool => {
+        const switchTool = () => {
+            if (annotationMode && annotationTool === tool) {
+                setAnnotationMode(false);
+                return;
+            }
+            setAnnotationTool(tool);
+            setAnnotationMode(true);
+        };
+
+        // Any toggle while the pen is active leaves the pen, which drops its unsaved strokes
+        if (annotationMode && annotationTool === 'ink' && pendingInkStrokes.length > 0) {
+            setPendingConfirmation({
+                message: 'You have unsaved pen strokes. Discard them?',
+                confirmLabel: 'Discard',
+                onConfirm: () => {
+                    setPendingInkStrokes([]);
+                    switchTool();
+                }
+            });
+            return;
+        }
+        switchTool();
+    }, [annotationMode, annotationTool, pendingInkStrokes]);
+
+    // Pointer position as a percentage of the rendered page (`pageNumber` defaults to the current page)
+    const getPagePoint = useCallback((event, pageNumber = currentPage) => {
+        const widgetContainer = containerRef.current;
+        const pdfPage = widgetContainer ? widgetContainer.querySelector(`.react-pdf__Page[data-page-number="${pageNumber}"]`) : null;
+
+        if (!pdfPage) return null;
+
+        const rect = pdfPage.getBoundingClientRect();
+        return {
+            x: ((event.clientX - rect.left) / rect.width) * 100,
+            y: ((event.clientY - rect.top) / rect.height) * 100
+        };
+    }, [currentPage]);
+
+    // Collaboration presence: our page, pointer and selection rectangle for the other viewers
+    const handlePresencePointerMove = useCallback((event, pageNumber) => {
+        if (!onPresenceChange) return;
+        const point = getPagePoint(event, pageNumber);
+        if (point) {
+            onPresenceChange({ page: pageNumber, cursor: point });
+        }
+    }, [onPresenceChange, getPagePoint]);
+
+    const handlePresencePointerLeave = useCallback(() => {
+        if (onPresenceChange) {
+            onPresenceChange({ cursor: null });
+        }
+    }, [onPresenceChange]);
+
+    useEffect(() => {
+        if (onPresenceChange) {
+            onPresenceChange({ page: currentPage });
+        }
+    }, [currentPage, onPresenceChange]);
+
+    useEffect(() => {
+        if (!onPresenceChange) return;
+        const rect = (isDrawing && currentRect) || selectedArea;
+        onPresenceChange({
+            selection: rect ? { page: rect.page || currentPage, x: rect.x, y: rect.y, width: rect.width, height: rect.height } : null
+        });
+    }, [isDrawing, currentRect, selectedArea, currentPage, onPresenceChange]);
+
+    // Area selection, pen, shape and sticky-note handlers
+    const handleMouseDown = useCallback((event, pageNumber = currentPage) => {
+        if (!isOverlayToolActive || !canAddAnnotations) return;
         
         event.preventDefault();
+
+        // Continuous mode: pressing on another page makes it the page being annotated
+        if (pageNumber !== currentPage) {
+            // Drawing starts with the next press once the strokes are discarded
+            if (pendingInkStrokes.length > 0) {
+                setPendingConfirmation({
+                    message: 'You have unsaved pen strokes on this page. Discard them?',
+                    confirmLabel: 'Discard',
+                    onConfirm: () => {
+                        setPendingInkStrokes([]);
+                        setCurrentPage(pageNumber);
+                    }
+                });
+                return;
+            }
+            setCurrentPage(pageNumber);
+        }
         
-        const widgetContainer = containerRef.current;
-        const pdfPage = widgetContainer ? widgetContainer.querySelector('.react-pdf__Page') : null;
+        const point = getPagePoint(event, pageNumber);
         
-        if (!pdfPage) {
+        if (!point) {
             console.error(`[Viewer ${viewerWidgetInstanceId}] PDF Page not found for area selection`);
             return;
         }
-        
-        const rect = pdfPage.getBoundingClientRect();
-        const x = ((event.clientX - rect.left) / rect.width) * 100;
-        const y = ((event.clientY - rect.top) / rect.height) * 100;
+
+        // A sticky note is placed with a single click - no dragging involved
+        if (annotationTool === 'note') {
+            setPendingDrawing({
+                type: ANNOTATION_TYPES.NOTE,
+                page: pageNumber,
+                point,
+                pinNumber: getNextPinNumber(annotations),
+                createdAtZoom: scale
+            });
+            setShowCommentModal(true);
+            return;
+        }
 
         setIsDrawing(true);
-        setStartPoint({ x, y });
-        setCurrentRect({ x, y, width: 0, height: 0 });
-    }, [annotationMode, canAddAnnotations, viewerWidgetInstanceId]);
+
+        if (annotationTool === 'ink') {
+            setCurrentStroke([point]);
+            return;
+        }
+
+        if (annotationTool === 'shape') {
+            setCurrentShape({ start: point, end: point });
+            return;
+        }
+
+        setStartPoint(point);
+        setCurrentRect({ x: point.x, y: point.y, width: 0, height: 0 });
+    }, [isOverlayToolActive, canAddAnnotations, annotationTool, getPagePoint, currentPage, pendingInkStrokes, annotations, scale, viewerWidgetInstanceId]);
 
     const handleMouseMove = useCallback((event) => {
-        if (!isDrawing || !startPoint || !annotationMode) return;
+        if (!isDrawing || !isOverlayToolActive) return;
+
+        if (annotationTool === 'ink') {
+            if (!currentStroke) return;
+            event.preventDefault();
+            const point = getPagePoint(event);
+            if (point) {
+                setCurrentStroke(prev => (prev ? [...prev, point] : [point]));
+            }
+            return;
+        }
+
+        if (annotationTool === 'shape') {
+            if (!currentShape) return;
+            event.preventDefault();
+            const point = getPagePoint(event);
+            if (point) {
+                setCurrentShape(prev => (prev ? { ...prev, end: point } : prev));
+            }
+            return;
+        }
+
+        if (!startPoint) return;
 
         event.preventDefault();
         
-        const widgetContainer = containerRef.current;
-        const pdfPage = widgetContainer ? widgetContainer.querySelector('.react-pdf__Page') : null;
+        const point = getPagePoint(event);
         
-        if (!pdfPage) return;
+        if (!point) return;
         
-        const rect = pdfPage.getBoundingClientRect();
-        const x = ((event.clientX - rect.left) / rect.width) * 100;
-        const y = ((event.clientY - rect.top) / rect.height) * 100;
+        const { x, y } = point;
 
         const width = Math.abs(x - startPoint.x);
         const height = Math.abs(y - startPoint.y);
@@ -533,10 +1204,46 @@ export default function PDFViewerComponent({
         const top = Math.min(y, startPoint.y);
 
         setCurrentRect({ x: left, y: top, width, height });
-    }, [isDrawing, startPoint, annotationMode]);
+    }, [isDrawing, startPoint, currentStroke, currentShape, isOverlayToolActive, annotationTool, getPagePoint]);
 
     const handleMouseUp = useCallback((event) => {
-        if (!isDrawing || !currentRect || !annotationMode) return;
+        if (isDrawing && annotationTool === 'ink' && currentStroke) {
+            event.preventDefault();
+            setIsDrawing(false);
+
+            // A click without movement leaves no stroke
+            if (currentStroke.length > 1) {
+                setPendingInkStrokes(prev => [...prev, {
+                    points: simplifyStroke(currentStroke),
+                    color: toolStyle.strokeColor,
+                    width: toolStyle.strokeWidth
+                }]);
+            }
+            setCurrentStroke(null);
+            return;
+        }
+
+        if (isDrawing && annotationTool === 'shape' && currentShape) {
+            event.preventDefault();
+            setIsDrawing(false);
+
+            const { start, end } = currentShape;
+            // Ignore clicks and tiny drags
+            if (Math.hypot(end.x - start.x, end.y - start.y) > 1) {
+                setPendingDrawing({
+                    type: ANNOTATION_TYPES.SHAPE,
+                    page: currentPage,
+                    ...buildShapeGeometry(shapeKind, start, end),
+                    style: toShapeStyle(toolStyle),
+                    createdAtZoom: scale
+                });
+                setShowCommentModal(true);
+            }
+            setCurrentShape(null);
+            return;
+        }
+
+        if (!isDrawing || !currentRect || !isOverlayToolActive) return;
 
         event.preventDefault();
         setIsDrawing(false);
@@ -556,16 +1263,216 @@ export default function PDFViewerComponent({
 
         setCurrentRect(null);
         setStartPoint(null);
-    }, [isDrawing, currentRect, annotationMode, currentPage, scale]);
+    }, [isDrawing, currentRect, currentStroke, currentShape, isOverlayToolActive, annotationTool, shapeKind, toolStyle, currentPage, scale]);
 
-    // Rich text functions
+    // Pen: turn the strokes drawn so far into one ink annotation and ask for an optional comment
+    const handleFinishInk = useCallback(() => {
+        if (pendingInkStrokes.length === 0) return;
+
+        setPendingDrawing({
+            type: ANNOTATION_TYPES.INK,
+            page: currentPage,
+            strokes: pendingInkStrokes,
+            createdAtZoom: scale
+        });
+        setShowCommentModal(true);
+    }, [pendingInkStrokes, currentPage, scale]);
+
+    // Pen: remove the most recent unsaved stroke
+    const handleUndoInkStroke = useCallback(() => {
+        setPendingInkStrokes(prev => prev.slice(0, -1));
+    }, []);
+
+    // Text highlight: capture the text layer selection as page-relative quads plus the quoted text
+    const handleTextSelectionEnd = useCallback(() => {
+        if (!isHighlightToolActive || !canAddAnnotations) return;
+
+        const selection = window.getSelection();
+        if (!selection || selection.isCollapsed || selection.rangeCount === 0) return;
+
+        const range = selection.getRangeAt(0);
+        // The page holding the selection - in continuous mode that need not be the current page
+        const anchorElement = range.commonAncestorContainer.nodeType === Node.ELEMENT_NODE
+            ? range.commonAncestorContainer
+            : range.commonAncestorContainer.parentElement;
+        const pdfPage = anchorElement && containerRef.current?.contains(anchorElement) ? anchorElement.closest('.react-pdf__Page') : null;
+        const textLayer = pdfPage ? pdfPage.querySelector('.react-pdf__Page__textContent') : null;
+
+        if (!textLayer || !textLayer.contains(range.commonAncestorContainer)) {
+            addDebugLog("⚠️ Text selection is outside the PDF text layer, ignoring");
+            return;
+        }
+
+        const quote = selection.toString().replace(/\s+/g, ' ').trim();
+        if (!quote) return;
+
+        const pageRect = pdfPage.getBoundingClientRect();
+        const quads = mergeLineRects(
+            Array.from(range.getClientRects()).map(rect => toPageRelativeRect(rect, pageRect))
+        );
+
+        if (quads.length === 0) return;
+
+        const page = Number(pdfPage.getAttribute('data-page-number')) || currentPage;
+        setCurrentPage(page);
+        setSelectedHighlight({
+            quads,
+            quote,
+            page,
+            createdAtZoom: scale
+        });
+        setShowCommentModal(true);
+        selection.removeAllRanges();
+    }, [isHighlightToolActive, canAddAnnotations, currentPage, scale, addDebugLog]);
+
+    // Rich text functions - the commands work on the editor's selection (see rich-text-editing)
     const applyRichTextFormat = useCallback((command, value = null) => {
-        document.execCommand(command, false, value);
+        const editor = richTextRef.current;
+        if (!editor) return;
+
+        editor.focus();
+        // Nothing selected in the editor yet: format at the end of the text
+        if (!getEditorRange(editor)) {
+            const caret = document.createRange();
+            caret.selectNodeContents(editor);
+            caret.collapse(false);
+            selectRange(caret);
+        }
+
+        if (command === RICH_TEXT_COMMANDS.LINK && value === null) {
+            // Ask for the address in the link bar; it takes the focus, so the selection is kept to link later
+            linkRangeRef.current = getEditorRange(editor).cloneRange();
+            const existingLink = getSelectedLink(editor);
+            setLinkAddress(existingLink ? existingLink.getAttribute('href') : '');
+            setOpenRichTextPalette(RICH_TEXT_COMMANDS.LINK);
+            return;
+        }
+
+        executeRichTextCommand(editor, command, value);
+        setOpenRichTextPalette(null);
+        setRichTextContent(editor.innerText || '');
+    }, []);
+
+    // Link the kept selection to the address in the link bar - only web and e-mail addresses are accepted
+    const applyLinkAddress = useCallback(() => {
+        const editor = richTextRef.current;
+        if (!editor || !linkRangeRef.current || !normalizeLinkUrl(linkAddress)) return;
+
+        editor.focus();
+        selectRange(linkRangeRef.current);
+        executeRichTextCommand(editor, RICH_TEXT_COMMANDS.LINK, linkAddress);
+        linkRangeRef.current = null;
+        setOpenRichTextPalette(null);
+        setRichTextContent(editor.innerText || '');
+    }, [linkAddress]);
+
+    const cancelLinkAddress = useCallback(() => {
+        const editor = richTextRef.current;
+        setOpenRichTextPalette(null);
+        if (editor && linkRangeRef.current) {
+            editor.focus();
+            selectRange(linkRangeRef.current);
+        }
+        linkRangeRef.current = null;
+    }, []);
+
+    const mentionSuggestions = useMemo(
+        () => (mentionQuery ? filterMentionableUsers(mentionableUsers, mentionQuery.query) : []),
+        [mentionQuery, mentionableUsers]
+    );
+
+    // Look for an "@query" at the caret after typing or clicking in the editor
+    const updateMentionQuery = useCallback(() => {
+        if (mentionableUsers.length === 0) return;
+
+        const query = getMentionQuery(richTextRef.current);
+        setMentionQuery(query);
+        if (!query || !mentionQuery || query.query !== mentionQuery.query) {
+            setMentionIndex(0);
+        }
+    }, [mentionableUsers, mentionQuery]);
+
+    const handleSelectMention = useCallback((user) => {
+        const query = getMentionQuery(richTextRef.current) || mentionQuery;
+        if (!query) return;
+
+        insertMention(query, user);
+        setMentionQuery(null);
         if (richTextRef.current) {
-            richTextRef.current.focus();
+            setRichTextContent(richTextRef.current.innerText || '');
         }
+    }, [mentionQuery]);
+
+    // Paste only cleaned content: Office/web HTML through the sanitizer, anything else as plain text
+    const handleRichTextPaste = useCallback((event) => {
+        const editor = richTextRef.current;
+        if (!editor || !event.clipboardData) return;
+
+        event.preventDefault();
+        const html = event.clipboardData.getData('text/html');
+        insertSanitizedHtml(editor, html ? cleanPastedHtml(html) : plainTextToRichText(event.clipboardData.getData('text/plain')));
+        setRichTextContent(editor.innerText || '');
     }, []);
 
+    // Mention list: arrow keys move through the suggestions, Enter or Tab picks one, Escape closes it.
+    // Otherwise the formatting shortcuts, and Tab moves between table cells.
+    const handleRichTextKeyDown = useCallback((event) => {
+        if (!mentionQuery || mentionSuggestions.length === 0) {
+            const shortcut = getShortcut(event);
+            if (shortcut) {
+                event.preventDefault();
+                applyRichTextFormat(shortcut.command);
+            } else if (event.key === 'Tab' && moveToAdjacentCell(richTextRef.current, event.shiftKey)) {
+                event.preventDefault();
+            }
+            return;
+        }
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            setMentionIndex(prev => (prev + step + mentionSuggestions.length) % mentionSuggestions.length);
+        } else if (event.key === 'Enter' || event.key === 'Tab') {
+            event.preventDefault();
+            handleSelectMention(mentionSuggestions[Math.min(mentionIndex, mentionSuggestions.length - 1)]);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopPropagation();
+            setMentionQuery(null);
+        }
+    }, [mentionQuery, mentionSuggestions, mentionIndex, handleSelectMention, applyRichTextFormat]);
+
+    // Upload file locally
+    const uploadFileLocally = useCallback(async (file) => {
+        try {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => {
+                    try {
+                        const base64Data = reader.result.split(',')[1];
+                        const uniqueFileId = createUploadedFileId(viewerWidgetInstanceId);
+                        resolve({
+                            id: uniqueFileId,
+                            name: file.name,
+                            size: file.size,
+                            type: file.type,
+                            data: base64Data,
+                            storageType: 'local',
+                            uploadedAt: new Date().toISOString(),
+                            widgetInstanceId: viewerWidgetInstanceId
+                        });
+                    } catch (readError) {
+                        reject(readError);
+                    }
+                };
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(file);
+            });
+        } catch (readError) {
+            throw new Error(`Failed to process file: ${file.name}`);
+        }
+    }, [viewerWidgetInstanceId]);
+
     // File upload handler
     const handleFileUpload = useCallback(async (event) => {
         event.preventDefault();
@@ -583,29 +1490,45 @@ export default function PDFViewerComponent({
         
         try {
             const uploadedFileData = [];
+            const failedFiles = [];
             
             for (const file of files) {
                 try {
-                    const processedFile = await uploadFileLocally(file);
+                    let processedFile;
+                    if (onAttachmentUpload) {
+                        // Only the S3 key, size, type and checksum end up in the annotation; a failed upload is reported, not attached
+                        setUploadProgress(0);
+                        processedFile = await onAttachmentUpload(file, createUploadedFileId(viewerWidgetInstanceId), setUploadProgress);
+                    } else {
+                        processedFile = await uploadFileLocally(file);
+                    }
                     processedFile.widgetInstanceId = viewerWidgetInstanceId;
+                    if (isS3Attachment(processedFile)) {
+                        unsavedUploadsRef.current.push(processedFile);
+                    }
                     uploadedFileData.push(processedFile);
                 } catch (fileError) {
                     console.error(`Failed to process ${file.name}:`, fileError);
+                    failedFiles.push(`${file.name}: ${fileError.message}`);
                 }
             }
             
             if (uploadedFileData.length > 0) {
                 setUploadedFiles(prev => [...prev, ...uploadedFileData]);
             }
+            if (failedFiles.length > 0) {
+                setNotice({ type: 'error', message: `Could not attach:\n${failedFiles.join('\n')}` });
+            }
         } catch (error) {
             console.error('Error processing files:', error);
         } finally {
             setIsUploading(false);
+            setUploadProgress(null);
             if (event.target) {
                 event.target.value = '';
             }
         }
-    }, [viewerWidgetInstanceId]);
+    }, [viewerWidgetInstanceId, onAttachmentUpload, uploadFileLocally]);
 
     // File input trigger
     const triggerFileInput = useCallback(() => {
@@ -614,40 +1537,19 @@ export default function PDFViewerComponent({
         }
     }, []);
 
-    // Upload file locally
-    const uploadFileLocally = useCallback(async (file) => {
-        try {
-            return new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                reader.onload = () => {
-                    try {
-                        const base64Data = reader.result.split(',')[1];
-                        const uniqueFileId = `${viewerWidgetInstanceId}-${Date.now()}-${Math.random().toString(36).substr(2, 12)}`;
-                        resolve({
-                            id: uniqueFileId,
-                            name: file.name,
-                            size: file.size,
-                            type: file.type,
-                            data: base64Data,
-                            storageType: 'local',
-                            uploadedAt: new Date().toISOString(),
-                            widgetInstanceId: viewerWidgetInstanceId
-                        });
-                    } catch (error) {
-                        reject(error);
-                    }
-                };
-                reader.onerror = () => reject(reader.error);
-                reader.readAsDataURL(file);
-            });
-        } catch (error) {
-            throw new Error(`Failed to process file: ${file.name}`);
+    // Delete the unsaved S3 attachments `isDiscarded` accepts (all of them by default)
+    const discardUnsavedUploads = useCallback((isDiscarded = () => true) => {
+        const discarded = unsavedUploadsRef.current.filter(isDiscarded);
+        unsavedUploadsRef.current = unsavedUploadsRef.current.filter(file => !discarded.includes(file));
+        if (onAttachmentDelete) {
+            discarded.forEach(file => onAttachmentDelete(file));
         }
-    }, [viewerWidgetInstanceId]);
+    }, [onAttachmentDelete]);
 
     const removeFile = useCallback((fileId) => {
         setUploadedFiles(prev => prev.filter(file => file.id !== fileId));
-    }, []);
+        discardUnsavedUploads(file => file.id === fileId);
+    }, [discardUnsavedUploads]);
 
     // File preview functions
     const handlePreviewFile = useCallback(async (file) => {
@@ -670,13 +1572,29 @@ export default function PDFViewerComponent({
                     ...prev,
                     blobUrl: blobUrl
                 }));
+            } else if (isS3Attachment(file)) {
+                if (!onAttachmentDownload) {
+                    throw new Error('S3 access is not configured for this widget');
+                }
+                const blob = await onAttachmentDownload(file);
+                const blobUrl = URL.createObjectURL(blob);
+
+                // The preview may have been closed or switched to another file meanwhile
+                setPreviewFile(prev => {
+                    if (!prev || prev.id !== file.id) {
+                        URL.revokeObjectURL(blobUrl);
+                        return prev;
+                    }
+                    return { ...prev, blobUrl: blobUrl };
+                });
             }
         } catch (error) {
             console.error('Error loading file for preview:', error);
+            setPreviewFile(prev => (prev && prev.id === file.id ? { ...prev, error: error.message } : prev));
         } finally {
             setLoadingPreview(false);
         }
-    }, []);
+    }, [onAttachmentDownload]);
 
     const handleCloseFilePreview = useCallback(() => {
         if (previewFile && previewFile.blobUrl) {
@@ -689,6 +1607,19 @@ export default function PDFViewerComponent({
     //Handle uploaded document download
     const handleDownloadUploadedFile = useCallback(() => {
         if (!previewFile) return;
+        // S3 attachments (and opened local ones) already have their content in the preview's blob URL
+        if (previewFile.blobUrl) {
+            const link = document.createElement('a');
+            link.href = previewFile.blobUrl;
+            link.download = previewFile.name;
+            link.style.display = 'none';
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            return;
+        }
+        if (!previewFile.data) return;
         try {
           //Recreate Blob from base64
           const binaryString = atob(previewFile.data)
@@ -734,10 +1665,83 @@ export default function PDFViewerComponent({
                 window.location.href = doc.link;
             }
         } else {
-            alert('Reference document not found or no download link available.');
+            setNotice({ type: 'warning', message: 'Reference document not found or no download link available.' });
         }
     }, [referenceDocList]);
 
+    const getReferenceDocName = useCallback((docId) => {
+        const doc = referenceDocList.find(d => String(d.id) === String(docId));
+        return doc ? doc.name : '';
+    }, [referenceDocList]);
+
+    // Bytes of the displayed PDF: the blob URL the widget created, or pdf.js' copy when that cannot be read
+    const loadPdfBytes = useCallback(async () => {
+        try {
+            const response = await fetch(pdfUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            return await response.arrayBuffer();
+        } catch (fetchError) {
+            console.warn(`⚠️ [Viewer ${viewerWidgetInstanceId}] Could not re-read PDF source, using loaded document data:`, fetchError);
+            return await pdfDocument.getData();
+        }
+    }, [pdfUrl, pdfDocument, viewerWidgetInstanceId]);
+
+    // Download the annotations in one of the EXPORT_FORMATS
+    const handleExport = useCallback(async (format) => {
+        if (!pdfDocument || isExporting) return;
+
+        setShowExportMenu(false);
+        setIsExporting(true);
+        try {
+            const options = { debugLog: addDebugLog, getReferenceDocName };
+
+            switch (format) {
+                case EXPORT_FORMATS.REPORT_CSV:
+                    downloadBlob(
+                        CommentReportExporter.exportCsv(annotations, options),
+                        getExportFileName(documentName, '-comments.csv')
+                    );
+                    break;
+                case EXPORT_FORMATS.REPORT_XLSX:
+                    downloadBlob(
+                        CommentReportExporter.exportXlsx(annotations, options),
+                        getExportFileName(documentName, '-comments.xlsx')
+                    );
+                    break;
+                case EXPORT_FORMATS.REPORT_PDF:
+                    downloadBlob(
+                        await CommentReportExporter.exportPdf(annotations, documentName, options),
+                        getExportFileName(documentName, '-comments.pdf')
+                    );
+                    break;
+                case EXPORT_FORMATS.NATIVE_PDF:
+                    downloadBlob(
+                        await NativeAnnotationExporter.exportPdf(await loadPdfBytes(), annotations, options),
+                        getExportFileName(documentName, '-annotations.pdf')
+                    );
+                    break;
+                case EXPORT_FORMATS.XFDF:
+                    downloadBlob(
+                        await NativeAnnotationExporter.exportXfdf(await loadPdfBytes(), annotations, documentName, options),
+                        getExportFileName(documentName, '.xfdf')
+                    );
+                    break;
+                default:
+                    downloadBlob(
+                        await AnnotatedPdfExporter.export(await loadPdfBytes(), annotations, options),
+                        getExportFileName(documentName, '-annotated.pdf')
+                    );
+            }
+        } catch (exportError) {
+            console.error(`❌ [Viewer ${viewerWidgetInstanceId}] Export (${format}) failed:`, exportError);
+            setNotice({ type: 'error', message: `Could not export the annotations: ${exportError.message}` });
+        } finally {
+            setIsExporting(false);
+        }
+    }, [pdfDocument, isExporting, loadPdfBytes, annotations, addDebugLog, getReferenceDocName, documentName, viewerWidgetInstanceId]);
+
     const formatFileSize = useCallback((bytes) => {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
@@ -746,33 +1750,127 @@ export default function PDFViewerComponent({
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }, []);
 
+    // Note the S3 attachments of `before` that `after` (null when deleted) no longer has
+    const trackRemovedAttachments = useCallback((before, after) => {
+        const kept = collectS3Attachments([after]);
+        collectS3Attachments([before]).forEach((file, key) => {
+            if (!kept.has(key)) {
+                removedAttachmentsRef.current.set(key, file);
+            }
+        });
+    }, []);
+
+    // Remember an operation for undo; a new operation invalidates the redo stack
+    const recordHistory = useCallback((entry) => {
+        trackRemovedAttachments(entry.before, entry.after);
+        setUndoStack(prev => pushHistoryEntry(prev, entry));
+        setRedoStack([]);
+    }, [trackRemovedAttachments]);
+
+    // Delete the removed attachments that undo and redo can no longer restore: the entries that
+    // referred to them were dropped from the history (redo cleared, beyond HISTORY_LIMIT)
+    useEffect(() => {
+        const removed = removedAttachmentsRef.current;
+        if (removed.size === 0 || !onAttachmentDelete) return;
+
+        const historySnapshots = [...undoStack, ...redoStack].flatMap(entry => [entry.before, entry.after]);
+        // The files of the comment being edited count as well
+        const referenced = collectS3Attachments([...annotations, ...historySnapshots, { uploadedFiles }]);
+        removed.forEach((file, key) => {
+            if (!referenced.has(key)) {
+                removed.delete(key);
+                onAttachmentDelete(file);
+            }
+        });
+    }, [annotations, undoStack, redoStack, uploadedFiles, onAttachmentDelete]);
+
+    // The history ends with the viewer: delete what only it still referred to, and uploads never saved
+    const attachmentCleanupRef = useRef(null);
+    attachmentCleanupRef.current = { annotations, onAttachmentDelete };
+    useEffect(() => () => {
+        const { annotations: latestAnnotations, onAttachmentDelete: deleteFile } = attachmentCleanupRef.current;
+        if (!deleteFile) return;
+
+        const referenced = collectS3Attachments(latestAnnotations);
+        removedAttachmentsRef.current.forEach((file, key) => {
+            if (!referenced.has(key)) {
+                deleteFile(file);
+            }
+        });
+        unsavedUploadsRef.current.forEach(file => deleteFile(file));
+    }, []);
+
+    const pendingPdfImports = useMemo(
+        () => (pdfImport ? getPendingImports(pdfImport.annotations, annotations) : []),
+        [pdfImport, annotations]
+    );
+
+    // Import the PDF's own annotations (uses onAnnotationsImport - triggers the ADD microflow once)
+    const handleImportPdfAnnotations = useCallback(() => {
+        if (!canAddAnnotations || pendingPdfImports.length === 0) return;
+
+        console.log(`📥 [Viewer ${viewerWidgetInstanceId}] Importing ${pendingPdfImports.length} native PDF annotations`);
+
+        const updatedAnnotations = [...annotations, ...pendingPdfImports];
+        if (onAnnotationsImport) {
+            onAnnotationsImport(updatedAnnotations, pendingPdfImports);
+        } else {
+            onAnnotationsChange(updatedAnnotations, pendingPdfImports[pendingPdfImports.length - 1]);
+        }
+        setPdfImportDismissed(true);
+    }, [canAddAnnotations, pendingPdfImports, annotations, onAnnotationsImport, onAnnotationsChange, viewerWidgetInstanceId]);
+
     // Add annotation (uses onAnnotationsChange - triggers ADD microflow)
     const handleAddAnnotation = useCallback(() => {
         if (!canAddAnnotations) return;
 
-        const richTextHtml = richTextRef.current?.innerHTML || '';
+        const richTextHtml = sanitizeRichText(richTextRef.current?.innerHTML);
         const plainText = richTextRef.current?.innerText || commentText;
 
-        if (plainText.trim()) {
-            const newAnnotation = {
+        const pendingAnnotation = selectedHighlight
+            ? { type: ANNOTATION_TYPES.TEXT_HIGHLIGHT }
+            : pendingDrawing || { type: ANNOTATION_TYPES.AREA };
+
+        // Highlights and drawings speak for themselves, so the comment is optional for them
+        if (plainText.trim() || isCommentOptionalType(pendingAnnotation.type, pendingAnnotation.shape)) {
+            const baseAnnotation = {
                 id: Date.now(),
                 comment: plainText.trim(),
-                richTextContent: richTextHtml,
-                area: selectedArea,
+                richTextContent: plainText.trim() ? richTextHtml : '',
+                mentions: extractMentions(richTextRef.current, mentionableUsers),
                 timestamp: new Date().toISOString(),
-                type: 'area-annotation',
-                page: selectedArea?.page || currentPage,
                 createdBy: currentUser,
                 referenceDoc: selectedReferenceDoc,
                 uploadedFiles: uploadedFiles,
                 createdInMaximizedView: isMaximized,
-                positioningVersion: 'v2-page-relative-area-only'
+                positioningVersion: 'v2-page-relative-area-only',
+                status: ANNOTATION_STATUSES.OPEN
             };
 
+            const newAnnotation = selectedHighlight
+                ? {
+                    ...baseAnnotation,
+                    type: ANNOTATION_TYPES.TEXT_HIGHLIGHT,
+                    page: selectedHighlight.page,
+                    quads: selectedHighlight.quads,
+                    quote: selectedHighlight.quote,
+                    createdAtZoom: selectedHighlight.createdAtZoom
+                }
+                : pendingDrawing ? {
+                    ...baseAnnotation,
+                    ...pendingDrawing
+                } : {
+                    ...baseAnnotation,
+                    type: ANNOTATION_TYPES.AREA,
+                    area: selectedArea,
+                    page: selectedArea?.page || currentPage
+                };
+
             console.log(`➕ [Viewer ${viewerWidgetInstanceId}] Adding annotation - will trigger ADD microflow`);
 
             const updatedAnnotations = [...annotations, newAnnotation];
-            onAnnotationsChange(updatedAnnotations); // This triggers ADD microflow
+            onAnnotationsChange(updatedAnnotations, newAnnotation); // This triggers ADD microflow
+            recordHistory(createHistoryEntry(HISTORY_OPERATIONS.ADD, null, newAnnotation));
 
             // Clear form and close modal
             setShowCommentModal(false);
@@ -781,26 +1879,25 @@ export default function PDFViewerComponent({
             setSelectedRefDocName("");
             setReferenceSearchTerm("");
             setUploadedFiles([]);
+            unsavedUploadsRef.current = [];
             setSelectedArea(null);
+            setSelectedHighlight(null);
+            setPendingDrawing(null);
+            setPendingInkStrokes([]);
             setAnnotationMode(false);
             setRichTextContent('');
             if (richTextRef.current) {
                 richTextRef.current.innerHTML = '';
             }
         }
-    }, [commentText, selectedReferenceDoc, uploadedFiles, selectedArea, annotations, onAnnotationsChange, currentPage, currentUser, canAddAnnotations, isMaximized, viewerWidgetInstanceId]);
+    }, [commentText, selectedReferenceDoc, uploadedFiles, selectedArea, selectedHighlight, pendingDrawing, annotations, onAnnotationsChange, recordHistory, currentPage, currentUser, canAddAnnotations, isMaximized, mentionableUsers, viewerWidgetInstanceId]);
 
     // FIXED: Delete annotation - EXACTLY LIKE IMAGE ANNOTATOR (triggers ONLY DELETE microflow)
-    const handleDeleteAnnotation = useCallback((id) => {
+    const deleteAnnotation = useCallback(id => {
         if (!canAddAnnotations || !allowDelete) return;
-        
+
         const annotation = annotations.find(ann => ann.id === id);
-        if (!annotation || !canEditAnnotation(annotation)) {
-            alert('You can only delete your own annotations.');
-            return;
-        }
-        
-        if (window.confirm('Are you sure you want to delete this annotation?')) {
+        if (annotation && canEditAnnotation(annotation)) {
             addDebugLog("=== DELETING PDF ANNOTATION ===");
             addDebugLog(`Deleting annotation ID: ${id}`);
             
@@ -812,12 +1909,33 @@ export default function PDFViewerComponent({
             // 1. Update the state
             // 2. Save to attribute directly
             // 3. Execute ONLY the delete microflow
-            onAnnotationDelete(updatedAnnotations);
+            onAnnotationDelete(updatedAnnotations, annotation);
+            recordHistory(createHistoryEntry(HISTORY_OPERATIONS.DELETE, annotation, null));
             
             addDebugLog("✅ Annotation deleted successfully");
             addDebugLog("=== END DELETING PDF ANNOTATION ===");
         }
-    }, [annotations, onAnnotationDelete, canAddAnnotations, allowDelete, canEditAnnotation, addDebugLog, viewerWidgetInstanceId]);
+    }, [annotations, onAnnotationDelete, recordHistory, canAddAnnotations, allowDelete, canEditAnnotation, addDebugLog, viewerWidgetInstanceId]);
+
+    // Delete button: asks first. The annotations can change while the question is shown, so the delete runs against the latest ones
+    const deleteAnnotationRef = useRef(null);
+    deleteAnnotationRef.current = deleteAnnotation;
+
+    const handleDeleteAnnotation = useCallback(id => {
+        if (!canAddAnnotations || !allowDelete) return;
+
+        const annotation = annotations.find(ann => ann.id === id);
+        if (!annotation || !canEditAnnotation(annotation)) {
+            setNotice({ type: 'warning', message: 'You can only delete your own annotations.' });
+            return;
+        }
+
+        setPendingConfirmation({
+            message: 'Are you sure you want to delete this annotation?',
+            confirmLabel: 'Delete',
+            onConfirm: () => deleteAnnotationRef.current(id)
+        });
+    }, [annotations, canAddAnnotations, allowDelete, canEditAnnotation]);
 
     // Edit annotation
     const handleEditAnnotation = useCallback((annotation) => {
@@ -826,8 +1944,25 @@ export default function PDFViewerComponent({
         setEditingAnnotation(annotation);
         setCommentText(annotation.comment);
         setSelectedReferenceDoc(annotation.referenceDoc || '');
+        discardUnsavedUploads();
         setUploadedFiles(annotation.uploadedFiles || []);
         setRichTextContent(annotation.comment);
+
+        // Pen drawings and shapes can be restyled while editing; pen strokes share the colour and width chosen here
+        const firstStroke = annotation.strokes && annotation.strokes[0];
+        if (firstStroke) {
+            setEditStyle({ strokeColor: firstStroke.color, strokeWidth: firstStroke.width });
+        } else if (annotation.type === ANNOTATION_TYPES.SHAPE && annotation.style) {
+            setEditStyle({
+                strokeColor: annotation.style.strokeColor,
+                strokeWidth: annotation.style.strokeWidth,
+                fillEnabled: !!annotation.style.fillColor,
+                fillColor: annotation.style.fillColor || '#fff59d',
+                opacity: annotation.style.opacity ?? 1
+            });
+        } else {
+            setEditStyle(null);
+        }
         
         if (annotation.referenceDoc) {
             const refDoc = referenceDocList.find(doc => String(doc.id) === String(annotation.referenceDoc));
@@ -842,50 +1977,176 @@ export default function PDFViewerComponent({
         
         setTimeout(() => {
             if (richTextRef.current) {
-                richTextRef.current.innerHTML = annotation.richTextContent || annotation.comment;
+                richTextRef.current.innerHTML = annotation.richTextContent
+                    ? sanitizeRichText(annotation.richTextContent)
+                    : plainTextToRichText(annotation.comment);
                 const event = new Event('input', { bubbles: true });
                 richTextRef.current.dispatchEvent(event);
             }
         }, 100);
         
         setShowCommentModal(true);
-    }, [canAddAnnotations, canEditAnnotation, referenceDocList]);
+    }, [canAddAnnotations, canEditAnnotation, referenceDocList, discardUnsavedUploads]);
+
+    // Start a reply to an annotation - anyone who may annotate may reply, not only the author
+    const handleStartReply = useCallback((annotation) => {
+        if (!canAddAnnotations) return;
+
+        setReplyingTo(annotation);
+        setCommentText('');
+        discardUnsavedUploads();
+        setUploadedFiles([]);
+        setRichTextContent('');
+        if (richTextRef.current) {
+            richTextRef.current.innerHTML = '';
+        }
+        setShowCommentModal(true);
+    }, [canAddAnnotations, discardUnsavedUploads]);
+
+    // Append a reply to the thread (triggers REPLY microflow)
+    const handleAddReply = useCallback(() => {
+        if (!replyingTo || !canAddAnnotations) return;
+
+        const richTextHtml = sanitizeRichText(richTextRef.current?.innerHTML);
+        const plainText = richTextRef.current?.innerText || commentText;
+        if (!plainText.trim()) return;
+
+        const reply = {
+            id: Date.now(),
+            comment: plainText.trim(),
+            richTextContent: richTextHtml,
+            mentions: extractMentions(richTextRef.current, mentionableUsers),
+            timestamp: new Date().toISOString(),
+            createdBy: currentUser,
+            uploadedFiles: uploadedFiles
+        };
+
+        const repliedAnnotation = annotations.find(ann => ann.id === replyingTo.id) || replyingTo;
+        const updatedAnnotation = { ...repliedAnnotation, replies: [...(repliedAnnotation.replies || []), reply] };
+        const updatedAnnotations = annotations.map(ann => (ann.id === replyingTo.id ? updatedAnnotation : ann));
+
+        console.log(`💬 [Viewer ${viewerWidgetInstanceId}] Adding reply to annotation ${replyingTo.id} - will trigger REPLY microflow`);
+
+        // Older hosts without a reply handler still persist the thread
+        (onAnnotationReply || onAnnotationsChange)(updatedAnnotations, updatedAnnotation);
 
-    // Save edited annotation (uses onAnnotationsChange - triggers ADD microflow)
+        setReplyingTo(null);
+        setCommentText('');
+        setUploadedFiles([]);
+        unsavedUploadsRef.current = [];
+        setRichTextContent('');
+        if (richTextRef.current) {
+            richTextRef.current.innerHTML = '';
+        }
+        setShowCommentModal(false);
+    }, [replyingTo, commentText, uploadedFiles, annotations, currentUser, onAnnotationReply, onAnnotationsChange, canAddAnnotations, mentionableUsers, viewerWidgetInstanceId]);
+
+    // Move an annotation through the review workflow (triggers STATUS microflow)
+    const handleChangeStatus = useCallback((annotation, status) => {
+        if (!canAddAnnotations || !getAllowedStatusTransitions(annotation).includes(status)) return;
+
+        const updatedAnnotation = applyStatusChange(annotation, status, currentUser);
+        const updatedAnnotations = annotations.map(ann => (ann.id === annotation.id ? updatedAnnotation : ann));
+
+        console.log(`🔁 [Viewer ${viewerWidgetInstanceId}] Annotation ${annotation.id}: ${getAnnotationStatus(annotation)} → ${status}`);
+
+        // Older hosts without a status handler still persist the change
+        (onAnnotationStatusChange || onAnnotationsChange)(updatedAnnotations, updatedAnnotation);
+        recordHistory(createHistoryEntry(HISTORY_OPERATIONS.STATUS_CHANGE, annotation, updatedAnnotation));
+    }, [annotations, currentUser, onAnnotationStatusChange, onAnnotationsChange, recordHistory, canAddAnnotations, viewerWidgetInstanceId]);
+
+    // Persist an annotation change through the handler (and microflow) matching its operation
+    const persistAnnotationChange = useCallback((operation, updatedAnnotations, changedAnnotation) => {
+        switch (operation) {
+            case HISTORY_OPERATIONS.ADD:
+                onAnnotationsChange(updatedAnnotations, changedAnnotation);
+                break;
+            case HISTORY_OPERATIONS.DELETE:
+                onAnnotationDelete(updatedAnnotations, changedAnnotation);
+                break;
+            case HISTORY_OPERATIONS.STATUS_CHANGE:
+                (onAnnotationStatusChange || onAnnotationsChange)(updatedAnnotations, changedAnnotation);
+                break;
+            default:
+                (onAnnotationEdit || onAnnotationsChange)(updatedAnnotations, changedAnnotation);
+        }
+    }, [onAnnotationsChange, onAnnotationDelete, onAnnotationEdit, onAnnotationStatusChange]);
+
+    // Undo or redo the latest operation; the inverse is saved like any other change so the
+    // stored JSON and the microflows (e.g. DELETE for an undone add) stay consistent
+    const stepHistory = useCallback((direction) => {
+        const source = direction === 'undo' ? undoStack : redoStack;
+        if (!canAddAnnotations || showCommentModal || source.length === 0) return;
+
+        const entry = source[source.length - 1];
+        const setSource = direction === 'undo' ? setUndoStack : setRedoStack;
+        const setTarget = direction === 'undo' ? setRedoStack : setUndoStack;
+        setSource(prev => prev.slice(0, -1));
+
+        const step = resolveHistoryStep(entry, direction);
+        const result = applyHistoryStep(annotations, step);
+        if (!result) {
+            console.warn(`⚠️ [Viewer ${viewerWidgetInstanceId}] Cannot ${direction} ${HISTORY_OPERATION_LABELS[entry.operation]} - annotation no longer exists`);
+            return;
+        }
+
+        console.log(`${direction === 'undo' ? '↶' : '↷'} [Viewer ${viewerWidgetInstanceId}] ${direction} ${HISTORY_OPERATION_LABELS[entry.operation]} of annotation ${result.annotation.id}`);
+        const current = annotations.find(annotation => annotation.id === result.annotation.id);
+        trackRemovedAttachments(current, step.operation === HISTORY_OPERATIONS.DELETE ? null : result.annotation);
+        persistAnnotationChange(step.operation, result.annotations, result.annotation);
+        setTarget(prev => pushHistoryEntry(prev, entry));
+    }, [undoStack, redoStack, annotations, canAddAnnotations, showCommentModal, persistAnnotationChange, trackRemovedAttachments, viewerWidgetInstanceId]);
+
+    historyShortcutRef.current = stepHistory;
+
+    // Save edited annotation (uses onAnnotationEdit - triggers EDIT microflow)
     const handleSaveEdit = useCallback(() => {
         if (!editingAnnotation || !canAddAnnotations) return;
 
-        const richTextHtml = richTextRef.current?.innerHTML || '';
+        const richTextHtml = sanitizeRichText(richTextRef.current?.innerHTML);
         const plainText = richTextRef.current?.innerText || commentText;
+        if (plainText.trim() || isCommentOptionalType(editingAnnotation.type, editingAnnotation.shape)) {
+            const original = annotations.find(ann => ann.id === editingAnnotation.id) || editingAnnotation;
+            const updatedAnnotation = {
+                ...original,
+                comment: plainText.trim(),
+                richTextContent: plainText.trim() ? richTextHtml : '',
+                mentions: extractMentions(richTextRef.current, mentionableUsers),
+                referenceDoc: selectedReferenceDoc,
+                uploadedFiles: uploadedFiles,
+                ...(original.strokes && editStyle ? {
+                    strokes: original.strokes.map(stroke => ({
+                        ...stroke,
+                        color: editStyle.strokeColor,
+                        width: editStyle.strokeWidth
+                    }))
+                } : {}),
+                ...(original.type === ANNOTATION_TYPES.SHAPE && editStyle ? { style: toShapeStyle(editStyle) } : {}),
+                editedAt: new Date().toISOString()
+            };
+            const updatedAnnotations = annotations.map(ann => (ann.id === editingAnnotation.id ? updatedAnnotation : ann));
 
-        if (plainText.trim()) {
-            const updatedAnnotations = annotations.map(ann => 
-                ann.id === editingAnnotation.id 
-                    ? { 
-                        ...ann, 
-                        comment: plainText.trim(), 
-                        richTextContent: richTextHtml,
-                        referenceDoc: selectedReferenceDoc,
-                        uploadedFiles: uploadedFiles,
-                        editedAt: new Date().toISOString()
-                    }
-                    : ann
-            );
-            onAnnotationsChange(updatedAnnotations); // This triggers ADD microflow (for edit)
+            console.log(`✏️ [Viewer ${viewerWidgetInstanceId}] Editing annotation ${editingAnnotation.id} - will trigger EDIT microflow`);
+
+            // Older hosts without an edit handler fall back to the ADD path
+            (onAnnotationEdit || onAnnotationsChange)(updatedAnnotations, updatedAnnotation);
+            recordHistory(createHistoryEntry(HISTORY_OPERATIONS.EDIT, original, updatedAnnotation));
 
             setEditingAnnotation(null);
+            setEditStyle(null);
             setCommentText("");
             setSelectedReferenceDoc("");
             setSelectedRefDocName("");
             setReferenceSearchTerm("");
             setUploadedFiles([]);
+            unsavedUploadsRef.current = [];
             setRichTextContent('');
             if (richTextRef.current) {
                 richTextRef.current.innerHTML = '';
             }
             setShowCommentModal(false);
         }
-    }, [editingAnnotation, commentText, selectedReferenceDoc, uploadedFiles, annotations, onAnnotationsChange, canAddAnnotations]);
+    }, [editingAnnotation, commentText, selectedReferenceDoc, uploadedFiles, editStyle, annotations, onAnnotationEdit, onAnnotationsChange, recordHistory, canAddAnnotations, mentionableUsers, viewerWidgetInstanceId]);
 
     // Close modal
     const handleCloseModal = useCallback(() => {
@@ -894,15 +2155,22 @@ export default function PDFViewerComponent({
         setSelectedReferenceDoc("");
         setSelectedRefDocName("");
         setReferenceSearchTerm("");
+        discardUnsavedUploads();
         setUploadedFiles([]);
         setSelectedArea(null);
+        setSelectedHighlight(null);
+        setPendingDrawing(null);
+        setPendingInkStrokes([]);
         setEditingAnnotation(null);
+        setEditStyle(null);
+        setReplyingTo(null);
+        setOpenRichTextPalette(null);
         setAnnotationMode(false);
         setRichTextContent('');
         if (richTextRef.current) {
             richTextRef.current.innerHTML = '';
         }
-    }, []);
+    }, [discardUnsavedUploads]);
 
     // Navigate to annotation
     const handleNavigateToAnnotation = useCallback((annotation) => {
@@ -924,11 +2192,106 @@ export default function PDFViewerComponent({
         }, 500);
     }, [currentPage, goToPage, isMaximized]);
 
-    // Filter annotations for current page
-    const currentPageAnnotations = annotations.filter(ann => 
-            (!ann.page || ann.page === currentPage) && ann.type === 'area-annotation'
+    // Start moving (mode 'move') or resizing (mode = corner) an existing area annotation
+    const handleAreaDragStart = useCallback((event, annotation, mode) => {
+        if (event.button !== 0 || annotationMode || !canAddAnnotations || !canEditAnnotation(annotation)) return;
+
+        const point = getPagePoint(event, annotation.page || currentPage);
+        if (!point) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        setAreaDrag({
+            annotationId: annotation.id,
+            page: annotation.page || currentPage,
+            mode,
+            startPoint: point,
+            originalArea: annotation.area,
+            currentArea: annotation.area
+        });
+    }, [annotationMode, canAddAnnotations, canEditAnnotation, getPagePoint, currentPage]);
+
+    // Track the drag on the document so it keeps working when the pointer leaves the area
+    useEffect(() => {
+        if (!areaDrag) return undefined;
+
+        const handleDragMove = (event) => {
+            const point = getPagePoint(event, areaDrag.page);
+            if (!point) return;
+
+            const dx = point.x - areaDrag.startPoint.x;
+            const dy = point.y - areaDrag.startPoint.y;
+            setAreaDrag(prev => prev && {
+                ...prev,
+                currentArea: prev.mode === 'move' ? moveRect(prev.originalArea, dx, dy) : resizeRect(prev.originalArea, prev.mode, dx, dy)
+            });
+        };
+
+        const handleDragEnd = () => {
+            const { annotationId, mode, originalArea, currentArea } = areaDrag;
+            setAreaDrag(null);
+
+            const hasChanged = ['x', 'y', 'width', 'height'].some(key => Math.abs(currentArea[key] - originalArea[key]) > 0.05);
+            const original = annotations.find(ann => ann.id === annotationId);
+            if (!hasChanged || !original) return;
+
+            // The click that follows this mouseup must not count as "navigate to annotation"
+            suppressAreaClickRef.current = true;
+            setTimeout(() => {
+                suppressAreaClickRef.current = false;
+            }, 0);
+
+            const updatedAnnotation = { ...original, area: currentArea, editedAt: new Date().toISOString() };
+            const updatedAnnotations = annotations.map(ann => (ann.id === annotationId ? updatedAnnotation : ann));
+
+            console.log(`↔️ [Viewer ${viewerWidgetInstanceId}] ${mode === 'move' ? 'Moved' : 'Resized'} annotation ${annotationId}`);
+            (onAnnotationEdit || onAnnotationsChange)(updatedAnnotations, updatedAnnotation);
+            recordHistory(createHistoryEntry(mode === 'move' ? HISTORY_OPERATIONS.MOVE : HISTORY_OPERATIONS.RESIZE, original, updatedAnnotation));
+        };
+
+        document.addEventListener('mousemove', handleDragMove);
+        document.addEventListener('mouseup', handleDragEnd);
+        return () => {
+            document.removeEventListener('mousemove', handleDragMove);
+            document.removeEventListener('mouseup', handleDragEnd);
+        };
+    }, [areaDrag, annotations, getPagePoint, onAnnotationEdit, onAnnotationsChange, recordHistory, viewerWidgetInstanceId]);
+
+    // Annotations drawn on a page
+    const getPageAnnotations = (pageNumber) => annotations.filter(ann => 
+            (!ann.page || ann.page === pageNumber) &&
+            Object.values(ANNOTATION_TYPES).includes(ann.type)
         );
 
+    // Sidebar entries after the status filter, search and filters, in the chosen order;
+    // numbering keeps the position in the full list
+    const sidebarEntries = useMemo(() => sortAnnotationEntries(annotations
+        .map((annotation, index) => ({ annotation, index }))
+        .filter(({ annotation }) => matchesStatusFilter(annotation, statusFilter) &&
+            matchesAnnotationFilters(annotation, annotationFilters, getReferenceDocName)), sortOrder
+    ), [annotations, statusFilter, annotationFilters, sortOrder, getReferenceDocName]);
+
+    const activeFilterCount = countActiveFilters(annotationFilters);
+    const updateAnnotationFilter = (key, value) => setAnnotationFilters(prev => ({ ...prev, [key]: value }));
+
+    const statusFilterCounts = useMemo(() => Object.values(STATUS_FILTERS).reduce((counts, filter) => ({
+        ...counts,
+        [filter]: annotations.filter(annotation => matchesStatusFilter(annotation, filter)).length
+    }), {}), [annotations]);
+
+    // Thumbnail badges: number of annotations per page
+    const annotationCountsByPage = useMemo(() => annotations.reduce((counts, annotation) => ({
+        ...counts,
+        [annotation.page]: (counts[annotation.page] || 0) + 1
+    }), {}), [annotations]);
+
+    // Annotation shown in the comment modal (being edited or about to be created)
+    const modalAnnotation = editingAnnotation ||
+        (selectedHighlight ? { type: ANNOTATION_TYPES.TEXT_HIGHLIGHT } : pendingDrawing || { type: ANNOTATION_TYPES.AREA });
+    const isCommentOptional = !replyingTo && isCommentOptionalType(modalAnnotation.type, modalAnnotation.shape);
+    const modalAnnotationLabel = getAnnotationTypeLabel(modalAnnotation);
+    const modalAnnotationPage = editingAnnotation?.page || selectedHighlight?.page || pendingDrawing?.page || selectedArea?.page || currentPage;
+
     if (!pdfUrl) {
         return createElement('div', {
             className: 'pdf-annotator-container maxmize_dpf_popup_ht_adj custom_pdf_annotator_widget pdf-viewer-empty',
@@ -963,15 +2326,455 @@ export default function PDFViewerComponent({
         ]);
     }
 
+    // Selection overlay (drawing tools) and annotations overlay of one rendered page
+    const renderPageOverlays = (pageNumber) => {
+        // Drawing previews only ever belong to the current page
+        const isCurrentPage = pageNumber === currentPage;
+
+        return [
+            // Area selection overlay
+            createElement('div', {
+                key: 'selection-overlay',
+                ref: isCurrentPage ? overlayRef : undefined,
+                className: `pdf-selection-overlay ${isOverlayToolActive ? 'active' : ''}`,
+                onMouseDown: (e) => handleMouseDown(e, pageNumber),
+                onMouseMove: handleMouseMove,
+                onMouseUp: handleMouseUp,
+                title: isPenToolActive
+                    ? "Draw with the pen, then click Finish Drawing"
+                    : isShapeToolActive
+                        ? `Click and drag to draw ${SHAPE_KIND_LABELS[shapeKind].toLowerCase()}`
+                        : isNoteToolActive
+                            ? "Click to place a sticky note"
+                            : isOverlayToolActive ? "Click and drag to select area" : "PDF Viewer",
+                style: {
+                    position: 'absolute',
+                    top: 0,
+                    left: 0,
+                    width: '100%',
+                    height: '100%',
+                    zIndex: isOverlayToolActive ? 15 : -1,
+                    cursor: isNoteToolActive ? 'copy' : isOverlayToolActive ? 'crosshair' : 'default',
+                    pointerEvents: isOverlayToolActive ? 'auto' : 'none'
+                }
+            }, [
+                // Current drawing rectangle
+                isCurrentPage && currentRect && isOverlayToolActive && createElement('div', {
+                    key: 'current-rect',
+                    className: 'pdf-selection-rect current',
+                    style: {
+                        position: 'absolute',
+                        left: `${currentRect.x}%`,
+                        top: `${currentRect.y}%`,
+                        width: `${currentRect.width}%`,
+                        height: `${currentRect.height}%`,
+                        backgroundColor: 'rgba(0, 123, 255, 0.25)',
+                        border: '2px solid #007bff',
+                        borderRadius: '3px',
+                        pointerEvents: 'none'
+                    }
+                }),
+
+                // Unsaved pen strokes and the stroke being drawn
+                isCurrentPage && isPenToolActive && (pendingInkStrokes.length > 0 || currentStroke) && createElement('svg', {
+                    key: 'pending-ink',
+                    className: 'pdf-ink-pending',
+                    viewBox: '0 0 100 100',
+                    preserveAspectRatio: 'none',
+                    style: {
+                        position: 'absolute',
+                        top: 0,
+                        left: 0,
+                        width: '100%',
+                        height: '100%',
+                        pointerEvents: 'none',
+                        overflow: 'visible'
+                    }
+                }, [
+                    ...pendingInkStrokes.map((stroke, strokeIndex) => createElement('polyline', {
+                        key: `pending-stroke-${strokeIndex}`,
+                        points: toSvgPoints(stroke.points),
+                        fill: 'none',
+                        stroke: stroke.color,
+                        strokeWidth: stroke.width * scale,
+                        strokeLinecap: 'round',
+                        strokeLinejoin: 'round',
+                        vectorEffect: 'non-scaling-stroke'
+                    })),
+                    currentStroke && createElement('polyline', {
+                        key: 'current-stroke',
+                        points: toSvgPoints(currentStroke),
+                        fill: 'none',
+                        stroke: toolStyle.strokeColor,
+                        strokeWidth: toolStyle.strokeWidth * scale,
+                        strokeLinecap: 'round',
+                        strokeLinejoin: 'round',
+                        vectorEffect: 'non-scaling-stroke'
+                    })
+                ]),
+
+                // Shape being dragged out
+                isCurrentPage && isShapeToolActive && currentShape && (() => {
+                    const previewShape = {
+                        ...buildShapeGeometry(shapeKind, currentShape.start, currentShape.end),
+                        style: toShapeStyle(toolStyle)
+                    };
+                    const bounds = getShapeBounds(previewShape);
+
+                    return createElement('div', {
+                        key: 'current-shape',
+                        className: 'pdf-shape-preview',
+                        style: {
+                            position: 'absolute',
+                            left: `${bounds.x}%`,
+                            top: `${bounds.y}%`,
+                            width: `${bounds.width}%`,
+                            height: `${bounds.height}%`,
+                            pointerEvents: 'none'
+                        }
+                    }, createElement(ShapeGraphic, {
+                        shape: previewShape,
+                        bounds,
+                        scale,
+                        markerId: `shape-preview-arrowhead-${viewerWidgetInstanceId}`,
+                        interactive: false
+                    }));
+                })()
+            ]),
+
+            // Area annotations overlay
+            createElement('div', {
+                key: 'annotations-overlay',
+                className: `pdf-annotations-overlay ${isMaximized ? 'maximized-view' : 'normal-view'}`,
+                style: {
+                    position: 'absolute',
+                    top: 0,
+                    left: 0,
+                    width: '100%',
+                    height: '100%',
+                    pointerEvents: 'none',
+                    zIndex: 20
+                }
+            }, [
+                // Area annotation rectangles and text highlights
+                ...getPageAnnotations(pageNumber).map((annotation) => {
+                    if (annotation.type === ANNOTATION_TYPES.TEXT_HIGHLIGHT) {
+                        const bounds = getBoundingArea(annotation.quads);
+                        if (!bounds) return null;
+
+                        // Quads are nested in their bounding box so the navigation pulse scales the whole highlight
+                        return createElement('div', {
+                            key: `highlight-${annotation.id}`,
+                            'data-annotation-id': annotation.id,
+                            className: 'pdf-text-highlight',
+                            style: {
+                                position: 'absolute',
+                                left: `${bounds.x}%`,
+                                top: `${bounds.y}%`,
+                                width: `${bounds.width}%`,
+                                height: `${bounds.height}%`,
+                                pointerEvents: 'none'
+                            }
+                        }, annotation.quads.map((quad, quadIndex) => {
+                            const relative = toContainerRelativeRect(quad, bounds);
+                            return createElement('div', {
+                                key: `quad-${quadIndex}`,
+                                className: 'pdf-text-highlight-quad',
+                                style: {
+                                    position: 'absolute',
+                                    left: `${relative.x}%`,
+                                    top: `${relative.y}%`,
+                                    width: `${relative.width}%`,
+                                    height: `${relative.height}%`,
+                                    pointerEvents: annotationMode ? 'none' : 'auto'
+                                },
+                                onClick: () => handleNavigateToAnnotation(annotation),
+                                title: `Highlight by ${annotation.createdBy}: "${annotation.quote}"${annotation.comment ? ` - ${annotation.comment}` : ''}`
+                            });
+                        }));
+                    }
+
+                    if (annotation.type === ANNOTATION_TYPES.INK) {
+                        const bounds = getPointsBounds((annotation.strokes || []).flatMap(stroke => stroke.points));
+                        if (!bounds) return null;
+
+                        return createElement('div', {
+                            key: `ink-${annotation.id}`,
+                            'data-annotation-id': annotation.id,
+                            className: 'pdf-ink-annotation',
+                            style: {
+                                position: 'absolute',
+                                left: `${bounds.x}%`,
+                                top: `${bounds.y}%`,
+                                width: `${bounds.width}%`,
+                                height: `${bounds.height}%`,
+                                pointerEvents: 'none'
+                            }
+                        }, createElement('svg', {
+                            viewBox: '0 0 100 100',
+                            preserveAspectRatio: 'none',
+                            style: { width: '100%', height: '100%', overflow: 'visible', display: 'block' }
+                        }, [
+                            createElement('title', { key: 'ink-title' }, `Pen drawing by ${annotation.createdBy}${annotation.comment ? `: ${annotation.comment}` : ''}`),
+                            ...annotation.strokes.map((stroke, strokeIndex) => createElement('polyline', {
+                                key: `stroke-${strokeIndex}`,
+                                points: toSvgPoints(stroke.points.map(point => toContainerRelativePoint(point, bounds))),
+                                fill: 'none',
+                                stroke: stroke.color,
+                                strokeWidth: stroke.width * scale,
+                                strokeLinecap: 'round',
+                                strokeLinejoin: 'round',
+                                vectorEffect: 'non-scaling-stroke',
+                                style: {
+                                    cursor: 'pointer',
+                                    pointerEvents: annotationMode ? 'none' : 'visibleStroke'
+                                },
+                                onClick: () => handleNavigateToAnnotation(annotation)
+                            }))
+                        ]));
+                    }
+
+                    if (annotation.type === ANNOTATION_TYPES.SHAPE) {
+                        const bounds = getShapeBounds(annotation);
+                        if (!bounds) return null;
+
+                        return createElement('div', {
+                            key: `shape-${annotation.id}`,
+                            'data-annotation-id': annotation.id,
+                            className: 'pdf-shape-annotation',
+                            style: {
+                                position: 'absolute',
+                                left: `${bounds.x}%`,
+                                top: `${bounds.y}%`,
+                                width: `${bounds.width}%`,
+                                height: `${bounds.height}%`,
+                                pointerEvents: 'none'
+                            }
+                        }, createElement(ShapeGraphic, {
+                            shape: annotation,
+                            bounds,
+                            scale,
+                            markerId: `shape-arrowhead-${viewerWidgetInstanceId}-${annotation.id}`,
+                            comment: annotation.comment,
+                            // Existing annotations must not swallow clicks while a tool is active
+                            interactive: !annotationMode,
+                            onClick: () => handleNavigateToAnnotation(annotation),
+                            title: `${getAnnotationTypeLabel(annotation)} by ${annotation.createdBy}${annotation.comment ? `: ${annotation.comment}` : ''}`
+                        }));
+                    }
+
+                    if (annotation.type === ANNOTATION_TYPES.NOTE) {
+                        if (!annotation.point) return null;
+
+                        // Small numbered pin; the comment expands on hover so dense pages stay readable
+                        return createElement('div', {
+                            key: `note-${annotation.id}`,
+                            'data-annotation-id': annotation.id,
+                            className: 'pdf-note-pin',
+                            style: {
+                                position: 'absolute',
+                                left: `${annotation.point.x}%`,
+                                top: `${annotation.point.y}%`,
+                                // Existing annotations must not swallow clicks while a tool is active
+                                pointerEvents: annotationMode ? 'none' : 'auto'
+                            },
+                            onClick: () => handleNavigateToAnnotation(annotation)
+                        }, [
+                            createElement('span', {
+                                key: 'note-pin-number',
+                                className: 'pdf-note-pin-icon'
+                            }, annotation.pinNumber),
+                            createElement('div', {
+                                key: 'note-pin-popup',
+                                className: 'pdf-note-pin-popup'
+                            }, [
+                                createElement('div', {
+                                    key: 'note-popup-author',
+                                    className: 'pdf-note-pin-author'
+                                }, annotation.createdBy),
+                                createElement('div', {
+                                    key: 'note-popup-comment',
+                                    className: 'pdf-note-pin-comment'
+                                }, annotation.comment)
+                            ])
+                        ]);
+                    }
+
+                    if (!annotation.area) return null;
+
+                    const isDragged = areaDrag?.annotationId === annotation.id;
+                    const area = isDragged ? areaDrag.currentArea : annotation.area;
+                    const isAreaEditable = canAddAnnotations && !annotationMode && canEditAnnotation(annotation);
+
+                    return createElement('div', {
+                        key: `area-${annotation.id}`,
+                        'data-annotation-id': annotation.id,
+                        className: `pdf-annotation-area ${isMaximized ? 'maximized' : 'normal'} ${isAreaEditable ? 'editable' : ''} ${isDragged ? 'dragging' : ''}`,
+                        style: {
+                            position: 'absolute',
+                            left: `${area.x}%`,
+                            top: `${area.y}%`,
+                            width: `${area.width}%`,
+                            height: `${area.height}%`,
+                            backgroundColor: 'rgba(0, 123, 255, 0.25)',
+                            border: isMaximized ? '3px solid #007bff' : '2px solid #007bff',
+                            borderRadius: '3px',
+                            cursor: isAreaEditable ? 'move' : 'pointer',
+                            // Existing annotations must not swallow clicks while a tool is active
+                            pointerEvents: annotationMode ? 'none' : 'auto'
+                        },
+                        onMouseDown: isAreaEditable ? (e) => handleAreaDragStart(e, annotation, 'move') : undefined,
+                        onClick: () => {
+                            if (suppressAreaClickRef.current) return;
+                            handleNavigateToAnnotation(annotation);
+                        },
+                        title: isAreaEditable
+                            ? `Area annotation by ${annotation.createdBy}: ${annotation.comment} (drag to move, corners to resize)`
+                            : `Area annotation by ${annotation.createdBy}: ${annotation.comment}`
+                    }, isAreaEditable ? ['nw', 'ne', 'sw', 'se'].map(corner => createElement('div', {
+                        key: `handle-${corner}`,
+                        className: `pdf-area-handle handle-${corner}`,
+                        onMouseDown: (e) => handleAreaDragStart(e, annotation, corner)
+                    })) : null);
+                }),
+
+                // Pin of the sticky note waiting for its comment
+                pendingDrawing?.type === ANNOTATION_TYPES.NOTE && pendingDrawing.page === pageNumber && createElement('div', {
+                    key: 'pending-note-pin',
+                    className: 'pdf-note-pin pending',
+                    style: {
+                        position: 'absolute',
+                        left: `${pendingDrawing.point.x}%`,
+                        top: `${pendingDrawing.point.y}%`,
+                        pointerEvents: 'none'
+                    }
+                }, createElement('span', {
+                    className: 'pdf-note-pin-icon'
+                }, pendingDrawing.pinNumber))
+            ]),
+
+            // Pointers and selections of the other viewers on this page
+            collaborators.length > 0 && createElement('div', {
+                key: 'presence-layer',
+                className: 'pdf-presence-layer'
+            }, collaborators.filter(peer => peer.page === pageNumber).map(peer => [
+                peer.selection && peer.selection.page === pageNumber && createElement('div', {
+                    key: `presence-selection-${peer.clientId}`,
+                    className: 'pdf-presence-selection',
+                    style: {
+                        left: `${peer.selection.x}%`,
+                        top: `${peer.selection.y}%`,
+                        width: `${peer.selection.width}%`,
+                        height: `${peer.selection.height}%`,
+                        borderColor: peer.color
+                    }
+                }),
+                peer.cursor && createElement('div', {
+                    key: `presence-cursor-${peer.clientId}`,
+                    className: 'pdf-presence-cursor',
+                    style: {
+                        left: `${peer.cursor.x}%`,
+                        top: `${peer.cursor.y}%`,
+                        color: peer.color
+                    }
+                }, createElement('span', {
+                    className: 'pdf-presence-cursor-label',
+                    style: { backgroundColor: peer.color }
+                }, peer.userName))
+            ]))
+        ];
+    };
+
+    const documentLoadingIndicator = createElement('div', {
+        className: 'pdf-document-loading'
+    }, [
+        createElement('div', {
+            key: 'doc-loading-text',
+            className: 'pdf-document-loading-text'
+        }, 'Loading PDF...'),
+        createElement('div', {
+            key: 'doc-loading-details',
+            className: 'pdf-document-loading-details'
+        }, 'Area selection ready • Fixed Microflows')
+    ]);
+
+    // Inline notice in place of alert() - shown above the document, or in the comment dialog while that is open
+    const renderNotice = () => notice && createElement('div', {
+        key: 'pdf-notice',
+        className: `pdf-notice ${notice.type}`,
+        role: notice.type === 'error' ? 'alert' : 'status'
+    }, [
+        createElement('span', {
+            key: 'pdf-notice-text',
+            className: 'pdf-notice-text'
+        }, `${notice.type === 'error' ? '❌' : '⚠️'} ${notice.message}`),
+        createElement('button', {
+            key: 'pdf-notice-dismiss',
+            type: 'button',
+            onClick: () => setNotice(null),
+            className: 'pdf-button pdf-notice-dismiss-btn',
+            title: 'Dismiss'
+        }, '✕')
+    ]);
+
+    // Continuous mode: one slot per page, sized up front so the scrollbar is right;
+    // only the pages near the viewport render a canvas, the rest are placeholders
+    const renderContinuousPages = () => {
+        if (!numPages || !defaultPageSize) return null;
+
+        const firstRendered = visiblePageRange.first - PAGE_OVERSCAN;
+        const lastRendered = visiblePageRange.last + PAGE_OVERSCAN;
+
+        return Array.from({ length: numPages }, (_, index) => {
+            const pageNumber = index + 1;
+            const size = pageSizes[pageNumber] || defaultPageSize;
+            const isRendered = pageNumber >= firstRendered && pageNumber <= lastRendered;
+
+            return createElement('div', {
+                key: `page-slot-${pageNumber}`,
+                className: `pdf-page-wrapper pdf-continuous-page ${pageNumber === currentPage ? 'current-page' : ''}`,
+                onMouseUp: handleTextSelectionEnd,
+                onMouseMove: onPresenceChange ? (e) => handlePresencePointerMove(e, pageNumber) : undefined,
+                onMouseLeave: onPresenceChange ? handlePresencePointerLeave : undefined,
+                style: {
+                    width: `${size.width * scale}px`,
+                    height: `${size.height * scale}px`,
+                    marginBottom: `${PAGE_GAP}px`
+                }
+            }, isRendered ? [
+                createElement(Page, {
+                    key: 'pdf-page',
+                    pageNumber,
+                    scale,
+                    onLoadSuccess: handlePageLoadSuccess,
+                    onRenderSuccess: handlePageRenderSuccess,
+                    customTextRenderer: highlightSearchHits,
+                    onRenderTextLayerSuccess: handleTextLayerRenderSuccess,
+                    loading: createElement('div', {
+                        className: 'pdf-page-loading'
+                    }, createElement('div', {
+                        className: 'pdf-page-loading-text'
+                    }, `Loading page ${pageNumber}...`))
+                }),
+                ...renderPageOverlays(pageNumber)
+            ] : createElement('div', {
+                className: 'pdf-page-placeholder'
+            }, `Page ${pageNumber}`));
+        });
+    };
+
     return createElement('div', {
-        className: `pdf-annotator-container maxmize_dpf_popup_ht_adj custom_pdf_annotator_widget ${isMaximized ? 'pdf-maximized' : ''}`,
+        className: `pdf-annotator-container maxmize_dpf_popup_ht_adj custom_pdf_annotator_widget ${isMaximized ? 'pdf-maximized' : ''} ${isHighlightToolActive ? 'pdf-highlight-mode' : ''}`,
         'data-widget-instance': viewerWidgetInstanceId,
         ref: containerRef,
+        // Focusable so keyboard shortcuts reach the widget the user clicked into
+        tabIndex: -1,
         style: {
-            userSelect: 'none',
-            WebkitUserSelect: 'none',
-            MozUserSelect: 'none',
-            msUserSelect: 'none'
+            // Text highlighting needs native selection on the PDF text layer
+            userSelect: isHighlightToolActive ? 'text' : 'none',
+            WebkitUserSelect: isHighlightToolActive ? 'text' : 'none',
+            MozUserSelect: isHighlightToolActive ? 'text' : 'none',
+            msUserSelect: isHighlightToolActive ? 'text' : 'none'
         }
     }, [
         // Toolbar
@@ -995,6 +2798,25 @@ export default function PDFViewerComponent({
                 key: 'toolbar-right',
                 className: 'pdf-toolbar-right'
             }, [
+                // Other viewers of this document; clicking one jumps to their page
+                collaborators.length > 0 && createElement('div', {
+                    key: 'collaborators',
+                    className: 'pdf-collaborators',
+                    title: `${collaborators.length} other viewer${collaborators.length === 1 ? '' : 's'}`
+                }, collaborators.map(peer => createElement('button', {
+                    key: peer.clientId,
+                    onClick: () => goToPage(peer.page),
+                    className: 'pdf-collaborator-avatar',
+                    style: { backgroundColor: peer.color },
+                    title: `${peer.userName} – page ${peer.page}`
+                }, [
+                    createElement('span', { key: 'initials' }, peer.initials),
+                    createElement('span', {
+                        key: 'page',
+                        className: 'pdf-collaborator-page'
+                    }, peer.page)
+                ]))),
+
                 // Page Navigation
                 createElement('div', {
                     key: 'page-nav',
@@ -1018,6 +2840,43 @@ export default function PDFViewerComponent({
                     }, '▶')
                 ]),
 
+                // Single page / continuous scroll
+                createElement('button', {
+                    key: 'view-mode-btn',
+                    onClick: () => setViewMode(prev => (prev === 'continuous' ? 'single' : 'continuous')),
+                    className: `pdf-button pdf-view-mode-btn ${viewMode === 'continuous' ? 'active' : ''}`,
+                    title: viewMode === 'continuous' ? 'Show one page at a time' : 'Scroll through all pages'
+                }, viewMode === 'continuous' ? '📄 Single Page' : '📜 Continuous'),
+
+                createElement('button', {
+                    key: 'find-btn',
+                    onClick: () => (showFindBar ? closeFindBar() : setShowFindBar(true)),
+                    className: `pdf-button pdf-find-btn ${showFindBar ? 'active' : ''}`,
+                    title: 'Search the document text (Ctrl+F)'
+                }, '🔍 Find'),
+
+                createElement('div', {
+                    key: 'export-menu',
+                    className: 'pdf-export-menu'
+                }, [
+                    createElement('button', {
+                        key: 'export-btn',
+                        onClick: () => setShowExportMenu(prev => !prev),
+                        disabled: !pdfDocument || isExporting,
+                        className: `pdf-button pdf-export-btn ${!pdfDocument || isExporting ? 'disabled' : ''}`,
+                        title: 'Download the document or its annotations'
+                    }, isExporting ? '⏳ Exporting...' : '⬇ Export ▾'),
+                    showExportMenu && createElement('div', {
+                        key: 'export-options',
+                        className: 'pdf-export-options'
+                    }, EXPORT_OPTIONS.map(option => createElement('button', {
+                        key: option.format,
+                        onClick: () => handleExport(option.format),
+                        className: 'pdf-export-option',
+                        title: option.title
+                    }, option.label)))
+                ]),
+
                 // Zoom Controls
                 createElement('div', {
                     key: 'zoom-controls',
@@ -1044,13 +2903,161 @@ export default function PDFViewerComponent({
                 // Add Annotation Button
                 canAddAnnotations && createElement('button', {
                     key: 'annotation-btn',
-                    onClick: () => {
-                        const newMode = !annotationMode;
-                        setAnnotationMode(newMode);
-                    },
-                    className: `pdf-button pdf-add-annotation-btn ${annotationMode ? 'pdf-button-danger' : 'pdf-button-success'}`
-                }, annotationMode ? 'Exit Area Selection' : '+ Add Area Annotation'),
+                    onClick: () => toggleAnnotationTool('area'),
+                    className: `pdf-button pdf-add-annotation-btn ${annotationMode && annotationTool === 'area' ? 'pdf-button-danger' : 'pdf-button-success'}`
+                }, annotationMode && annotationTool === 'area' ? 'Exit Area Selection' : '+ Add Area Annotation'),
+
+                // Text Highlight Button
+                canAddAnnotations && createElement('button', {
+                    key: 'highlight-btn',
+                    onClick: () => toggleAnnotationTool('highlight'),
+                    className: `pdf-button pdf-highlight-text-btn ${isHighlightToolActive ? 'pdf-button-danger' : 'pdf-button-success'}`,
+                    title: 'Select words on the page to highlight them'
+                }, isHighlightToolActive ? 'Exit Text Highlight' : '+ Highlight Text'),
+
+                // Pen Button
+                canAddAnnotations && createElement('button', {
+                    key: 'pen-btn',
+                    onClick: () => toggleAnnotationTool('ink'),
+                    className: `pdf-button pdf-pen-tool-btn ${isPenToolActive ? 'pdf-button-danger' : 'pdf-button-success'}`,
+                    title: 'Draw freehand strokes on the page'
+                }, isPenToolActive ? 'Exit Pen' : '✏️ Pen'),
+
+                // Shapes Button
+                canAddAnnotations && createElement('button', {
+                    key: 'shape-btn',
+                    onClick: () => toggleAnnotationTool('shape'),
+                    className: `pdf-button pdf-shape-tool-btn ${isShapeToolActive ? 'pdf-button-danger' : 'pdf-button-success'}`,
+                    title: 'Drag on the page to draw an arrow, line, ellipse or callout'
+                }, isShapeToolActive ? 'Exit Shapes' : '➚ Shapes'),
+
+                // Sticky Note Button
+                canAddAnnotations && createElement('button', {
+                    key: 'note-btn',
+                    onClick: () => toggleAnnotationTool('note'),
+                    className: `pdf-button pdf-note-tool-btn ${isNoteToolActive ? 'pdf-button-danger' : 'pdf-button-success'}`,
+                    title: 'Click on the page to pin a sticky note'
+                }, isNoteToolActive ? 'Exit Sticky Note' : '📌 Sticky Note'),
+
+                // Drawing tool options: stroke colour and width, plus shape fill/opacity or pen finishing
+                (isPenToolActive || isShapeToolActive) && createElement('div', {
+                    key: 'tool-options',
+                    className: 'pdf-tool-options'
+                }, [
+                    isShapeToolActive && createElement('select', {
+                        key: 'shape-kind',
+                        className: 'pdf-tool-select',
+                        value: shapeKind,
+                        title: 'Shape',
+                        onChange: (e) => setShapeKind(e.target.value)
+                    }, Object.values(SHAPE_KINDS).map(kind => createElement('option', {
+                        key: kind,
+                        value: kind
+                    }, SHAPE_KIND_LABELS[kind]))),
+                    createElement('input', {
+                        key: 'pen-color',
+                        type: 'color',
+                        className: 'pdf-tool-color-input',
+                        value: toolStyle.strokeColor,
+                        title: 'Stroke colour',
+                        onChange: (e) => {
+                            const strokeColor = e.target.value;
+                            setToolStyle(prev => ({ ...prev, strokeColor }));
+                        }
+                    }),
+                    createElement('select', {
+                        key: 'pen-width',
+                        className: 'pdf-tool-select',
+                        value: toolStyle.strokeWidth,
+                        title: 'Stroke width',
+                        onChange: (e) => {
+                            const strokeWidth = Number(e.target.value);
+                            setToolStyle(prev => ({ ...prev, strokeWidth }));
+                        }
+                    }, STROKE_WIDTHS.map(width => createElement('option', {
+                        key: width,
+                        value: width
+                    }, `${width}px`))),
+                    isShapeToolActive && createElement('label', {
+                        key: 'shape-fill',
+                        className: 'pdf-tool-checkbox',
+                        title: 'Fill ellipses and callout boxes'
+                    }, [
+                        createElement('input', {
+                            key: 'shape-fill-toggle',
+                            type: 'checkbox',
+                            checked: toolStyle.fillEnabled,
+                            onChange: (e) => {
+                                const fillEnabled = e.target.checked;
+                                setToolStyle(prev => ({ ...prev, fillEnabled }));
+                            }
+                        }),
+                        'Fill'
+                    ]),
+                    isShapeToolActive && toolStyle.fillEnabled && createElement('input', {
+                        key: 'shape-fill-color',
+                        type: 'color',
+                        className: 'pdf-tool-color-input',
+                        value: toolStyle.fillColor,
+                        title: 'Fill colour',
+                        onChange: (e) => {
+                            const fillColor = e.target.value;
+                            setToolStyle(prev => ({ ...prev, fillColor }));
+                        }
+                    }),
+                    isShapeToolActive && createElement('select', {
+                        key: 'shape-opacity',
+                        className: 'pdf-tool-select',
+                        value: toolStyle.opacity,
+                        title: 'Opacity',
+                        onChange: (e) => {
+                            const opacity = Number(e.target.value);
+                            setToolStyle(prev => ({ ...prev, opacity }));
+                        }
+                    }, OPACITY_LEVELS.map(level => createElement('option', {
+                        key: level,
+                        value: level
+                    }, `${level * 100}%`))),
+                    isPenToolActive && createElement('button', {
+                        key: 'pen-undo-stroke',
+                        onClick: handleUndoInkStroke,
+                        disabled: pendingInkStrokes.length === 0,
+                        className: `pdf-button pdf-pen-undo-btn ${pendingInkStrokes.length === 0 ? 'disabled' : ''}`,
+                        title: 'Remove last stroke'
+                    }, '↶'),
+                    isPenToolActive && createElement('button', {
+                        key: 'pen-finish',
+                        onClick: handleFinishInk,
+                        disabled: pendingInkStrokes.length === 0,
+                        className: `pdf-button pdf-button-success pdf-pen-finish-btn ${pendingInkStrokes.length === 0 ? 'disabled' : ''}`
+                    }, `Finish Drawing (${pendingInkStrokes.length})`)
+                ]),
                 
+                // Undo / Redo
+                canAddAnnotations && createElement('div', {
+                    key: 'history-controls',
+                    className: 'pdf-history-controls'
+                }, [
+                    createElement('button', {
+                        key: 'undo-btn',
+                        onClick: () => stepHistory('undo'),
+                        disabled: undoStack.length === 0,
+                        className: `pdf-button pdf-undo-btn ${undoStack.length === 0 ? 'disabled' : ''}`,
+                        title: undoStack.length > 0
+                            ? `Undo ${HISTORY_OPERATION_LABELS[undoStack[undoStack.length - 1].operation]} (Ctrl+Z)`
+                            : 'Nothing to undo'
+                    }, '↶ Undo'),
+                    createElement('button', {
+                        key: 'redo-btn',
+                        onClick: () => stepHistory('redo'),
+                        disabled: redoStack.length === 0,
+                        className: `pdf-button pdf-redo-btn ${redoStack.length === 0 ? 'disabled' : ''}`,
+                        title: redoStack.length > 0
+                            ? `Redo ${HISTORY_OPERATION_LABELS[redoStack[redoStack.length - 1].operation]} (Ctrl+Shift+Z)`
+                            : 'Nothing to redo'
+                    }, '↷ Redo')
+                ]),
+
                 createElement('button', {
                     key: 'sidebar-btn',
                     onClick: () => setShowSidebar(!showSidebar),
@@ -1059,11 +3066,165 @@ export default function PDFViewerComponent({
             ])
         ]),
 
+        // Offer to merge the PDF's own annotations into the widget's list
+        canAddAnnotations && !pdfImportDismissed && pendingPdfImports.length > 0 && createElement('div', {
+            key: 'pdf-import-banner',
+            className: 'pdf-import-banner'
+        }, [
+            createElement('span', {
+                key: 'pdf-import-text',
+                className: 'pdf-import-text'
+            }, `📥 This PDF contains ${pendingPdfImports.length} annotation${pendingPdfImports.length === 1 ? '' : 's'} made in another PDF tool` +
+                `${pdfImport.unsupported > 0 ? ` (${pdfImport.unsupported} of an unsupported type will be skipped)` : ''}.`),
+            createElement('button', {
+                key: 'pdf-import-accept',
+                onClick: handleImportPdfAnnotations,
+                className: 'pdf-button pdf-import-accept-btn'
+            }, 'Import'),
+            createElement('button', {
+                key: 'pdf-import-dismiss',
+                onClick: () => setPdfImportDismissed(true),
+                className: 'pdf-button pdf-import-dismiss-btn'
+            }, 'Dismiss')
+        ]),
+
+        // Question asked in place of confirm(), e.g. before deleting an annotation
+        pendingConfirmation && createElement('div', {
+            key: 'pdf-confirmation',
+            className: 'pdf-confirmation',
+            role: 'alertdialog'
+        }, [
+            createElement('span', {
+                key: 'pdf-confirmation-text',
+                className: 'pdf-confirmation-text'
+            }, `❓ ${pendingConfirmation.message}`),
+            createElement('button', {
+                key: 'pdf-confirmation-accept',
+                type: 'button',
+                onClick: () => {
+                    setPendingConfirmation(null);
+                    pendingConfirmation.onConfirm();
+                },
+                className: 'pdf-button pdf-confirmation-accept-btn'
+            }, pendingConfirmation.confirmLabel),
+            createElement('button', {
+                key: 'pdf-confirmation-cancel',
+                type: 'button',
+                onClick: () => setPendingConfirmation(null),
+                className: 'pdf-button pdf-confirmation-cancel-btn'
+            }, 'Cancel')
+        ]),
+
+        !showCommentModal && renderNotice(),
+
+        // Find bar
+        showFindBar && createElement('div', {
+            key: 'find-bar',
+            className: 'pdf-find-bar'
+        }, [
+            createElement('div', {
+                key: 'find-controls',
+                className: 'pdf-find-controls'
+            }, [
+                createElement('input', {
+                    key: 'find-input',
+                    ref: findInputRef,
+                    type: 'text',
+                    className: 'pdf-find-input',
+                    placeholder: 'Find in document...',
+                    value: findQuery,
+                    onChange: (e) => {
+                        setFindQuery(e.target.value);
+                        setActiveMatchIndex(0);
+                    },
+                    onKeyDown: (e) => {
+                        if (e.key === 'Enter') {
+                            e.preventDefault();
+                            goToMatch(activeMatchIndex + (e.shiftKey ? -1 : 1));
+                        } else if (e.key === 'Escape') {
+                            e.stopPropagation();
+                            closeFindBar();
+                        }
+                    }
+                }),
+                createElement('span', {
+                    key: 'find-status',
+                    className: 'pdf-find-status'
+                }, textExtractionProgress
+                    ? `Reading text ${textExtractionProgress.done}/${textExtractionProgress.total}...`
+                    : !hasSearchableText
+                        ? 'This document has no searchable text'
+                        : findQuery.trim() && documentText
+                            ? (findMatches.length > 0 ? `${activeMatchIndex + 1} of ${findMatches.length}` : 'No matches')
+                            : ''),
+                createElement('button', {
+                    key: 'find-prev',
+                    onClick: () => goToMatch(activeMatchIndex - 1),
+                    disabled: findMatches.length === 0,
+                    className: 'pdf-button pdf-find-prev-btn',
+                    title: 'Previous match (Shift+Enter)'
+                }, '▲'),
+                createElement('button', {
+                    key: 'find-next',
+                    onClick: () => goToMatch(activeMatchIndex + 1),
+                    disabled: findMatches.length === 0,
+                    className: 'pdf-button pdf-find-next-btn',
+                    title: 'Next match (Enter)'
+                }, '▼'),
+                createElement('button', {
+                    key: 'find-close',
+                    onClick: closeFindBar,
+                    className: 'pdf-button pdf-find-close-btn',
+                    title: 'Close (Esc)'
+                }, '✕')
+            ]),
+
+            findMatches.length > 0 && createElement('div', {
+                key: 'find-results',
+                className: 'pdf-find-results'
+            }, [
+                ...findMatches.slice(0, MAX_LISTED_MATCHES).map((match, index) => createElement('div', {
+                    key: match.id,
+                    className: `pdf-find-result ${index === activeMatchIndex ? 'active' : ''}`,
+                    onClick: () => goToMatch(index)
+                }, [
+                    createElement('span', {
+                        key: 'result-page',
+                        className: 'pdf-find-result-page'
+                    }, `p. ${match.page}`),
+                    createElement('span', {
+                        key: 'result-context',
+                        className: 'pdf-find-result-context'
+                    }, [
+                        match.before,
+                        createElement('mark', { key: 'result-hit' }, match.text),
+                        match.after
+                    ])
+                ])),
+                findMatches.length > MAX_LISTED_MATCHES && createElement('div', {
+                    key: 'find-results-more',
+                    className: 'pdf-find-results-more'
+                }, `Showing the first ${MAX_LISTED_MATCHES} of ${findMatches.length} matches`)
+            ])
+        ]),
+
         // Main Content
         createElement('div', {
             key: 'main-content',
             className: 'pdf-main-content'
         }, [
+            // Page thumbnails
+            pdfDocument && numPages > 0 && createElement(ThumbnailPanel, {
+                key: 'thumbnail-panel',
+                pdfDocument,
+                numPages,
+                currentPage,
+                annotationCounts: annotationCountsByPage,
+                onSelectPage: goToPage,
+                collapsed: thumbnailsCollapsed,
+                onToggleCollapsed: () => setThumbnailsCollapsed(prev => !prev)
+            }),
+
             // PDF Viewer Container
             createElement('div', {
                 key: 'viewer-area',
@@ -1101,7 +3262,9 @@ export default function PDFViewerComponent({
                 // Document and Page rendering
                 processedPdfSource ? createElement('div', {
                     key: 'pdf-document-container',
-                    className: 'pdf-document-container',
+                    ref: documentContainerRef,
+                    className: `pdf-document-container ${viewMode === 'continuous' ? 'pdf-continuous-mode' : ''}`,
+                    onScroll: viewMode === 'continuous' ? updateVisiblePages : undefined,
                     style: {
                         width: '100%',
                         height: '100%',
@@ -1114,10 +3277,20 @@ export default function PDFViewerComponent({
                         boxSizing: 'border-box'
                     }
                 }, [
-                    createElement('div', {
+                    viewMode === 'continuous' ? createElement(Document, {
+                        key: 'pdf-document-continuous',
+                        file: processedPdfSource,
+                        onLoadSuccess: handleDocumentLoadSuccess,
+                        onLoadError: handleDocumentLoadError,
+                        options: documentOptions,
+                        loading: documentLoadingIndicator
+                    }, renderContinuousPages()) : createElement('div', {
                         key: 'pdf-page-wrapper',
                         ref: pdfPageRef,
                         className: 'pdf-page-wrapper',
+                        onMouseUp: handleTextSelectionEnd,
+                        onMouseMove: onPresenceChange ? (e) => handlePresencePointerMove(e, currentPage) : undefined,
+                        onMouseLeave: onPresenceChange ? handlePresencePointerLeave : undefined,
                         style: {
                             position: 'relative',
                             display: 'inline-block',
@@ -1135,24 +3308,16 @@ export default function PDFViewerComponent({
                             onLoadSuccess: handleDocumentLoadSuccess,
                             onLoadError: handleDocumentLoadError,
                             options: documentOptions,
-                            loading: createElement('div', {
-                                className: 'pdf-document-loading'
-                            }, [
-                                createElement('div', {
-                                    key: 'doc-loading-text',
-                                    className: 'pdf-document-loading-text'
-                                }, 'Loading PDF...'),
-                                createElement('div', {
-                                    key: 'doc-loading-details',
-                                    className: 'pdf-document-loading-details'
-                                }, 'Area selection ready • Fixed Microflows')
-                            ])
+                            loading: documentLoadingIndicator
                         }, [
                             createElement(Page, {
                                 key: 'pdf-page',
                                 pageNumber: currentPage,
                                 scale: scale,
+                                onLoadSuccess: handlePageLoadSuccess,
                                 onRenderSuccess: handlePageRenderSuccess,
+                                customTextRenderer: highlightSearchHits,
+                                onRenderTextLayerSuccess: handleTextLayerRenderSuccess,
                                 loading: createElement('div', {
                                     className: 'pdf-page-loading'
                                 }, [
@@ -1164,83 +3329,7 @@ export default function PDFViewerComponent({
                             })
                         ]),
 
-                        // Area selection overlay
-                        createElement('div', {
-                            key: 'selection-overlay',
-                            ref: overlayRef,
-                            className: `pdf-selection-overlay ${annotationMode ? 'active' : ''}`,
-                            onMouseDown: handleMouseDown,
-                            onMouseMove: handleMouseMove,
-                            onMouseUp: handleMouseUp,
-                            title: annotationMode ? "Click and drag to select area" : "PDF Viewer",
-                            style: {
-                                position: 'absolute',
-                                top: 0,
-                                left: 0,
-                                width: '100%',
-                                height: '100%',
-                                zIndex: annotationMode ? 15 : -1,
-                                cursor: annotationMode ? 'crosshair' : 'default',
-                                pointerEvents: annotationMode ? 'auto' : 'none'
-                            }
-                        }, [
-                            // Current drawing rectangle
-                            currentRect && annotationMode && createElement('div', {
-                                key: 'current-rect',
-                                className: 'pdf-selection-rect current',
-                                style: {
-                                    position: 'absolute',
-                                    left: `${currentRect.x}%`,
-                                    top: `${currentRect.y}%`,
-                                    width: `${currentRect.width}%`,
-                                    height: `${currentRect.height}%`,
-                                    backgroundColor: 'rgba(0, 123, 255, 0.25)',
-                                    border: '2px solid #007bff',
-                                    borderRadius: '3px',
-                                    pointerEvents: 'none'
-                                }
-                            })
-                        ]),
-
-                        // Area annotations overlay
-                        createElement('div', {
-                            key: 'annotations-overlay',
-                            className: `pdf-annotations-overlay ${isMaximized ? 'maximized-view' : 'normal-view'}`,
-                            style: {
-                                position: 'absolute',
-                                top: 0,
-                                left: 0,
-                                width: '100%',
-                                height: '100%',
-                                pointerEvents: 'none',
-                                zIndex: 20
-                            }
-                        }, [
-                            // Area annotation rectangles
-                            ...currentPageAnnotations.map((annotation) => {
-                                if (!annotation.area) return null;
-                                
-                                return createElement('div', {
-                                    key: `area-${annotation.id}`,
-                                    'data-annotation-id': annotation.id,
-                                    className: `pdf-annotation-area ${isMaximized ? 'maximized' : 'normal'}`,
-                                    style: {
-                                        position: 'absolute',
-                                        left: `${annotation.area.x}%`,
-                                        top: `${annotation.area.y}%`,
-                                        width: `${annotation.area.width}%`,
-                                        height: `${annotation.area.height}%`,
-                                        backgroundColor: 'rgba(0, 123, 255, 0.25)',
-                                        border: isMaximized ? '3px solid #007bff' : '2px solid #007bff',
-                                        borderRadius: '3px',
-                                        cursor: 'pointer',
-                                        pointerEvents: 'auto'
-                                    },
-                                    onClick: () => handleNavigateToAnnotation(annotation),
-                                    title: `Area annotation by ${annotation.createdBy}: ${annotation.comment}`
-                                });
-                            })
-                        ])
+                        ...renderPageOverlays(currentPage)
                     ]),
 
                     // Instruction message overlay
@@ -1309,16 +3398,174 @@ export default function PDFViewerComponent({
                             createElement('h4', {
                                 key: 'sidebar-title',
                                 className: 'pdf-sidebar-title pdf-annotations-heading'
-                            }, '📝 Area Annotations'),
+                            }, '📝 Annotations'),
                             createElement('span', {
                                 key: 'sidebar-count',
                                 className: 'pdf-sidebar-count pdf-annotations-count'
-                            }, `(${annotations.length})`)
+                            }, sidebarEntries.length === annotations.length
+                                ? `(${annotations.length})`
+                                : `(${sidebarEntries.length} of ${annotations.length})`)
                         ]),
                         createElement('div', {
                             key: 'sidebar-page-info',
                             className: 'pdf-sidebar-page-info'
                         }, `Page ${currentPage} / ${numPages}`)
+                    ]),
+
+                    // Status filter chips
+                    annotations.length > 0 && createElement('div', {
+                        key: 'status-filters',
+                        className: 'pdf-status-filters'
+                    }, Object.values(STATUS_FILTERS).map(filter => createElement('button', {
+                        key: filter,
+                        onClick: () => setStatusFilter(filter),
+                        className: `pdf-status-filter ${statusFilter === filter ? 'active' : ''}`
+                    }, `${filter === STATUS_FILTERS.ALL
+                        ? 'All'
+                        : filter === STATUS_FILTERS.OUTSTANDING ? 'Outstanding' : ANNOTATION_STATUS_LABELS[filter]} (${statusFilterCounts[filter]})`))),
+
+                    // Search, sort and filters
+                    annotations.length > 0 && createElement('div', {
+                        key: 'sidebar-search',
+                        className: 'pdf-sidebar-search'
+                    }, [
+                        createElement('input', {
+                            key: 'sidebar-search-input',
+                            type: 'search',
+                            className: 'pdf-sidebar-search-input',
+                            placeholder: 'Search comments, authors, files...',
+                            value: annotationFilters.searchTerm,
+                            onChange: (e) => updateAnnotationFilter('searchTerm', e.target.value)
+                        }),
+                        createElement('select', {
+                            key: 'sidebar-sort',
+                            className: 'pdf-sidebar-sort',
+                            value: sortOrder,
+                            onChange: (e) => setSortOrder(e.target.value),
+                            title: 'Sort annotations'
+                        }, Object.values(ANNOTATION_SORT_ORDERS).map(order => createElement('option', {
+                            key: order,
+                            value: order
+                        }, ANNOTATION_SORT_LABELS[order]))),
+                        createElement('button', {
+                            key: 'sidebar-filter-toggle',
+                            onClick: () => setShowFilterPanel(prev => !prev),
+                            className: `pdf-sidebar-filter-toggle ${showFilterPanel || activeFilterCount > 0 ? 'active' : ''}`,
+                            title: showFilterPanel ? 'Hide filters' : 'Show filters'
+                        }, activeFilterCount > 0 ? `Filters (${activeFilterCount})` : 'Filters')
+                    ]),
+
+                    annotations.length > 0 && showFilterPanel && createElement('div', {
+                        key: 'sidebar-filter-panel',
+                        className: 'pdf-sidebar-filter-panel'
+                    }, [
+                        createElement('label', {
+                            key: 'filter-author',
+                            className: 'pdf-sidebar-filter'
+                        }, [
+                            createElement('span', { key: 'label' }, 'Author'),
+                            createElement('select', {
+                                key: 'input',
+                                value: annotationFilters.author,
+                                onChange: (e) => updateAnnotationFilter('author', e.target.value)
+                            }, [
+                                createElement('option', { key: 'any', value: '' }, 'Any author'),
+                                ...getAnnotationAuthors(annotations).map(author => createElement('option', {
+                                    key: author,
+                                    value: author
+                                }, author))
+                            ])
+                        ]),
+                        createElement('label', {
+                            key: 'filter-page',
+                            className: 'pdf-sidebar-filter'
+                        }, [
+                            createElement('span', { key: 'label' }, 'Page'),
+                            createElement('select', {
+                                key: 'input',
+                                value: annotationFilters.page,
+                                onChange: (e) => updateAnnotationFilter('page', e.target.value)
+                            }, [
+                                createElement('option', { key: 'any', value: '' }, 'Any page'),
+                                ...getAnnotatedPages(annotations).map(page => createElement('option', {
+                                    key: page,
+                                    value: String(page)
+                                }, `Page ${page}`))
+                            ])
+                        ]),
+                        createElement('label', {
+                            key: 'filter-type',
+                            className: 'pdf-sidebar-filter'
+                        }, [
+                            createElement('span', { key: 'label' }, 'Type'),
+                            createElement('select', {
+                                key: 'input',
+                                value: annotationFilters.type,
+                                onChange: (e) => updateAnnotationFilter('type', e.target.value)
+                            }, [
+                                createElement('option', { key: 'any', value: '' }, 'Any type'),
+                                ...getAnnotationTypeOptions(annotations).map(option => createElement('option', {
+                                    key: option.value,
+                                    value: option.value
+                                }, option.label))
+                            ])
+                        ]),
+                        createElement('label', {
+                            key: 'filter-date-from',
+                            className: 'pdf-sidebar-filter'
+                        }, [
+                            createElement('span', { key: 'label' }, 'From'),
+                            createElement('input', {
+                                key: 'input',
+                                type: 'date',
+                                value: annotationFilters.dateFrom,
+                                max: annotationFilters.dateTo || undefined,
+                                onChange: (e) => updateAnnotationFilter('dateFrom', e.target.value)
+                            })
+                        ]),
+                        createElement('label', {
+                            key: 'filter-date-to',
+                            className: 'pdf-sidebar-filter'
+                        }, [
+                            createElement('span', { key: 'label' }, 'To'),
+                            createElement('input', {
+                                key: 'input',
+                                type: 'date',
+                                value: annotationFilters.dateTo,
+                                min: annotationFilters.dateFrom || undefined,
+                                onChange: (e) => updateAnnotationFilter('dateTo', e.target.value)
+                            })
+                        ]),
+                        createElement('label', {
+                            key: 'filter-attachments',
+                            className: 'pdf-sidebar-filter pdf-sidebar-filter-checkbox'
+                        }, [
+                            createElement('input', {
+                                key: 'input',
+                                type: 'checkbox',
+                                checked: annotationFilters.hasAttachments,
+                                onChange: (e) => updateAnnotationFilter('hasAttachments', e.target.checked)
+                            }),
+                            createElement('span', { key: 'label' }, 'Has attachments')
+                        ]),
+                        createElement('label', {
+                            key: 'filter-reference-doc',
+                            className: 'pdf-sidebar-filter pdf-sidebar-filter-checkbox'
+                        }, [
+                            createElement('input', {
+                                key: 'input',
+                                type: 'checkbox',
+                                checked: annotationFilters.hasReferenceDoc,
+                                onChange: (e) => updateAnnotationFilter('hasReferenceDoc', e.target.checked)
+                            }),
+                            createElement('span', { key: 'label' }, 'Has reference document')
+                        ]),
+                        createElement('button', {
+                            key: 'filter-clear',
+                            onClick: () => setAnnotationFilters(DEFAULT_ANNOTATION_FILTERS),
+                            disabled: activeFilterCount === 0 && !annotationFilters.searchTerm,
+                            className: 'pdf-sidebar-filter-clear'
+                        }, 'Clear filters')
                     ])
                 ]),
 
@@ -1351,16 +3598,25 @@ export default function PDFViewerComponent({
                             className: 'pdf-no-annotations-microflows'
                         }, `🔧 Fixed Microflows: ${executeMendixAction ? 'Ready' : 'Not Available'}`)
                     ]) :
-                    annotations.map((annotation, index) => {
+                    sidebarEntries.length === 0 ?
+                        createElement('div', {
+                            key: 'no-matching-annotations',
+                            className: 'pdf-no-annotations'
+                        }, createElement('p', {
+                            className: 'pdf-no-annotations-text'
+                        }, 'No annotations match the current search and filters.')) :
+                    sidebarEntries.map(({ annotation, index }) => {
+                        const status = getAnnotationStatus(annotation);
                         const isActive = annotation.page === currentPage;
                         const canEdit = canEditAnnotation(annotation);
                         const isExpanded = expandedAnnotations.has(annotation.id);
                         const hasAttachments = (annotation.uploadedFiles && annotation.uploadedFiles.length > 0) || annotation.referenceDoc;
                         const shouldShowReadMore = shouldTruncateText(annotation) || hasAttachments;
+                        const replies = annotation.replies || [];
                         
                         return createElement('div', {
                             key: annotation.id,
-                            className: `pdf-annotation-item pdf-annotation-item-consistent ${isActive ? 'current-page' : 'other-page'}`,
+                            className: `pdf-annotation-item pdf-annotation-item-consistent ${isActive ? 'current-page' : 'other-page'} status-${status}`,
                             onClick: () => handleNavigateToAnnotation(annotation)
                         }, [
                             // Annotation header
@@ -1376,6 +3632,21 @@ export default function PDFViewerComponent({
                                         key: 'annotation-number',
                                         className: 'pdf-annotation-number'
                                     }, `#${index + 1} Page ${annotation.page || 1}`),
+
+                                    annotation.type !== ANNOTATION_TYPES.AREA && createElement('span', {
+                                        key: 'type-badge',
+                                        className: 'pdf-annotation-type-badge'
+                                    }, annotation.type === ANNOTATION_TYPES.NOTE
+                                        ? `📌 ${annotation.pinNumber}`
+                                        : getAnnotationTypeLabel(annotation)),
+
+                                    createElement('span', {
+                                        key: 'status-chip',
+                                        className: `pdf-status-chip status-${status}`,
+                                        title: annotation.statusChangedBy
+                                            ? `${ANNOTATION_STATUS_LABELS[status]} by ${annotation.statusChangedBy} on ${new Date(annotation.statusChangedAt).toLocaleString()}`
+                                            : ANNOTATION_STATUS_LABELS[status]
+                                    }, ANNOTATION_STATUS_LABELS[status]),
                                     
                                     isActive && createElement('span', {
                                         key: 'current-badge',
@@ -1415,12 +3686,18 @@ export default function PDFViewerComponent({
                                 key: 'annotation-content',
                                 className: 'pdf-annotation-content pdf-annotation-content-consistent'
                             }, [
+                                annotation.quote && createElement('blockquote', {
+                                    key: 'quote',
+                                    className: 'pdf-annotation-quote',
+                                    title: annotation.quote
+                                }, `“${annotation.quote}”`),
+
                                 annotation.richTextContent ? 
                                     createElement('div', {
                                         key: 'rich-text',
                                         className: 'pdf-annotation-rich-content',
                                         dangerouslySetInnerHTML: { 
-                                            __html: isExpanded ? annotation.richTextContent : getTruncatedText(annotation, isExpanded)
+                                            __html: isExpanded ? sanitizeRichText(annotation.richTextContent) : plainTextToRichText(getTruncatedText(annotation, isExpanded))
                                         }
                                     }) : 
                                     createElement('p', {
@@ -1543,11 +3820,93 @@ export default function PDFViewerComponent({
                                         fontWeight: canEdit ? '600' : '500'
                                     }
                                 }, `By: ${annotation.createdBy || 'Unknown User'}${canEdit ? ' (You)' : ''}`),
+                                annotation.importedFrom === IMPORTED_FROM_PDF && createElement('span', {
+                                    key: 'annotation-imported',
+                                    className: 'pdf-annotation-imported-badge',
+                                    title: 'Imported from the annotations stored in the PDF file'
+                                }, 'Imported from PDF'),
                                 createElement('span', {
                                     key: 'annotation-date',
                                     className: 'pdf-annotation-date'
                                 }, `${new Date(annotation.timestamp).toLocaleDateString()} • ${new Date(annotation.timestamp).toLocaleTimeString()}`)
-                            ])
+                            ]),
+
+                            // Last status change and the transitions available from here
+                            (annotation.statusChangedBy || canAddAnnotations) && createElement('div', {
+                                key: 'annotation-status',
+                                className: 'pdf-annotation-status'
+                            }, [
+                                annotation.statusChangedBy && createElement('span', {
+                                    key: 'status-changed',
+                                    className: 'pdf-annotation-status-changed'
+                                }, `${ANNOTATION_STATUS_LABELS[status]} by ${annotation.statusChangedBy} • ${new Date(annotation.statusChangedAt).toLocaleDateString()}`),
+                                canAddAnnotations && createElement('div', {
+                                    key: 'status-actions',
+                                    className: 'pdf-annotation-status-actions'
+                                }, getAllowedStatusTransitions(annotation).map(nextStatus => createElement('button', {
+                                    key: nextStatus,
+                                    onClick: (e) => {
+                                        e.stopPropagation();
+                                        handleChangeStatus(annotation, nextStatus);
+                                    },
+                                    className: `pdf-status-action-btn status-${nextStatus}`
+                                }, ANNOTATION_STATUS_ACTIONS[nextStatus])))
+                            ]),
+
+                            // Reply thread
+                            replies.length > 0 && createElement('div', {
+                                key: 'annotation-replies',
+                                className: 'pdf-annotation-replies'
+                            }, replies.map(reply => createElement('div', {
+                                key: reply.id,
+                                className: 'pdf-annotation-reply'
+                            }, [
+                                createElement('div', {
+                                    key: 'reply-meta',
+                                    className: 'pdf-annotation-reply-meta'
+                                }, [
+                                    createElement('span', {
+                                        key: 'reply-user',
+                                        className: 'pdf-annotation-user'
+                                    }, reply.createdBy || 'Unknown User'),
+                                    createElement('span', {
+                                        key: 'reply-date',
+                                        className: 'pdf-annotation-date'
+                                    }, `${new Date(reply.timestamp).toLocaleDateString()} • ${new Date(reply.timestamp).toLocaleTimeString()}`)
+                                ]),
+                                reply.richTextContent
+                                    ? createElement('div', {
+                                        key: 'reply-rich-text',
+                                        className: 'pdf-annotation-rich-content',
+                                        dangerouslySetInnerHTML: { __html: sanitizeRichText(reply.richTextContent) }
+                                    })
+                                    : createElement('p', {
+                                        key: 'reply-plain-text',
+                                        className: 'pdf-annotation-text'
+                                    }, reply.comment),
+                                reply.uploadedFiles && reply.uploadedFiles.length > 0 && createElement('div', {
+                                    key: 'reply-files',
+                                    className: 'pdf-annotation-files'
+                                }, reply.uploadedFiles.map(file => createElement('div', {
+                                    key: file.id,
+                                    className: 'pdf-annotation-file-item pdf-clickable-file',
+                                    onClick: (e) => {
+                                        e.stopPropagation();
+                                        handlePreviewFile(file);
+                                    },
+                                    title: 'Click to preview file'
+                                }, `📎 ${file.name} (${formatFileSize(file.size)})`)))
+                            ]))),
+
+                            canAddAnnotations && createElement('button', {
+                                key: 'reply-btn',
+                                onClick: (e) => {
+                                    e.stopPropagation();
+                                    handleStartReply(annotation);
+                                },
+                                className: 'pdf-annotation-reply-btn',
+                                title: 'Reply to this annotation'
+                            }, replies.length > 0 ? `↩ Reply (${replies.length})` : '↩ Reply')
                         ]);
                     })
                 )
@@ -1579,51 +3938,234 @@ export default function PDFViewerComponent({
                     createElement('h3', {
                         key: 'modal-title',
                         className: 'pdf-modal-title'
-                    }, editingAnnotation ? 'Edit Area Annotation' : `Add Area Annotation - Page ${selectedArea?.page || currentPage}`)
+                    }, replyingTo
+                        ? `Reply to ${getAnnotationTypeLabel(replyingTo)} by ${replyingTo.createdBy || 'Unknown User'}`
+                        : editingAnnotation ? `Edit ${modalAnnotationLabel}` : `Add ${modalAnnotationLabel} - Page ${modalAnnotationPage}`)
                 ]),
 
                 createElement('div', {
                     key: 'modal-body',
                     className: 'pdf-modal-body'
                 }, [
+                    renderNotice(),
+
+                    // Comment being replied to
+                    replyingTo && createElement('div', {
+                        key: 'reply-parent-section',
+                        className: 'pdf-form-group'
+                    }, [
+                        createElement('label', {
+                            key: 'reply-parent-label',
+                            className: 'pdf-form-label'
+                        }, 'Replying To:'),
+                        createElement('blockquote', {
+                            key: 'reply-parent',
+                            className: 'pdf-annotation-quote pdf-highlight-quote-preview'
+                        }, replyingTo.comment || replyingTo.quote || getAnnotationTypeLabel(replyingTo))
+                    ]),
+
+                    // Quoted text of the highlight being created or edited
+                    (selectedHighlight || editingAnnotation?.quote) && createElement('div', {
+                        key: 'highlight-quote-section',
+                        className: 'pdf-form-group'
+                    }, [
+                        createElement('label', {
+                            key: 'highlight-quote-label',
+                            className: 'pdf-form-label'
+                        }, 'Highlighted Text:'),
+                        createElement('blockquote', {
+                            key: 'highlight-quote',
+                            className: 'pdf-annotation-quote pdf-highlight-quote-preview'
+                        }, `“${selectedHighlight ? selectedHighlight.quote : editingAnnotation.quote}”`)
+                    ]),
+
+                    // Pen drawing and shape style while editing
+                    editingAnnotation && editStyle && createElement('div', {
+                        key: 'ink-style-section',
+                        className: 'pdf-form-group'
+                    }, [
+                        createElement('label', {
+                            key: 'ink-style-label',
+                            className: 'pdf-form-label'
+                        }, 'Stroke Style:'),
+                        createElement('div', {
+                            key: 'ink-style-controls',
+                            className: 'pdf-tool-options'
+                        }, [
+                            createElement('input', {
+                                key: 'ink-style-color',
+                                type: 'color',
+                                className: 'pdf-tool-color-input',
+                                value: editStyle.strokeColor,
+                                onChange: (e) => {
+                                    const strokeColor = e.target.value;
+                                    setEditStyle(prev => ({ ...prev, strokeColor }));
+                                }
+                            }),
+                            createElement('select', {
+                                key: 'ink-style-width',
+                                className: 'pdf-tool-select',
+                                value: editStyle.strokeWidth,
+                                onChange: (e) => {
+                                    const strokeWidth = Number(e.target.value);
+                                    setEditStyle(prev => ({ ...prev, strokeWidth }));
+                                }
+                            }, STROKE_WIDTHS.map(width => createElement('option', {
+                                key: width,
+                                value: width
+                            }, `${width}px`))),
+                            editingAnnotation.type === ANNOTATION_TYPES.SHAPE && createElement('label', {
+                                key: 'shape-style-fill',
+                                className: 'pdf-tool-checkbox'
+                            }, [
+                                createElement('input', {
+                                    key: 'shape-style-fill-toggle',
+                                    type: 'checkbox',
+                                    checked: editStyle.fillEnabled,
+                                    onChange: (e) => {
+                                        const fillEnabled = e.target.checked;
+                                        setEditStyle(prev => ({ ...prev, fillEnabled }));
+                                    }
+                                }),
+                                'Fill'
+                            ]),
+                            editingAnnotation.type === ANNOTATION_TYPES.SHAPE && editStyle.fillEnabled && createElement('input', {
+                                key: 'shape-style-fill-color',
+                                type: 'color',
+                                className: 'pdf-tool-color-input',
+                                value: editStyle.fillColor,
+                                onChange: (e) => {
+                                    const fillColor = e.target.value;
+                                    setEditStyle(prev => ({ ...prev, fillColor }));
+                                }
+                            }),
+                            editingAnnotation.type === ANNOTATION_TYPES.SHAPE && createElement('select', {
+                                key: 'shape-style-opacity',
+                                className: 'pdf-tool-select',
+                                value: editStyle.opacity,
+                                onChange: (e) => {
+                                    const opacity = Number(e.target.value);
+                                    setEditStyle(prev => ({ ...prev, opacity }));
+                                }
+                            }, OPACITY_LEVELS.map(level => createElement('option', {
+                                key: level,
+                                value: level
+                            }, `${level * 100}%`)))
+                        ])
+                    ]),
+
                     // Rich text editor
                     createElement('div', {
                         key: 'richtext-section',
-                        className: 'pdf-form-group'
+                        className: 'pdf-form-group pdf-richtext-section'
                     }, [
                         createElement('label', {
                             key: 'richtext-label',
                             className: 'pdf-form-label'
-                        }, 'Comment:'),
+                        }, replyingTo ? 'Reply:' : isCommentOptional ? 'Comment (optional):' : 'Comment:'),
                         
                         createElement('div', {
                             key: 'richtext-toolbar',
                             className: 'pdf-richtext-toolbar'
                         }, [
-                            createElement('button', {
-                                key: 'bold-btn',
-                                className: 'pdf-richtext-btn',
+                            ...RICH_TEXT_TOOLBAR.map((group, groupIndex) => createElement('div', {
+                                key: `group-${groupIndex}`,
+                                className: 'pdf-richtext-group'
+                            }, group.map(button => createElement('button', {
+                                key: button.command,
+                                className: `pdf-richtext-btn pdf-richtext-btn-${button.command}`,
                                 type: 'button',
-                                onClick: () => applyRichTextFormat('bold')
-                            }, 'B'),
-                            createElement('button', {
-                                key: 'italic-btn',
-                                className: 'pdf-richtext-btn',
-                                type: 'button',
-                                onClick: () => applyRichTextFormat('italic')
-                            }, 'I'),
+                                title: `${button.title}${getShortcutLabel(button.command)}`,
+                                // Keep the selection in the editor
+                                onMouseDown: (e) => e.preventDefault(),
+                                onClick: () => applyRichTextFormat(button.command)
+                            }, button.label)))),
+
+                            // Text colour and highlight palettes
+                            createElement('div', {
+                                key: 'group-colors',
+                                className: 'pdf-richtext-group'
+                            }, [
+                                { command: RICH_TEXT_COMMANDS.TEXT_COLOR, label: 'A', title: 'Text colour', colors: TEXT_COLORS, getClass: getTextColorClass },
+                                { command: RICH_TEXT_COMMANDS.HIGHLIGHT, label: '🖍', title: 'Highlight', colors: HIGHLIGHT_COLORS, getClass: getHighlightClass }
+                            ].map(palette => createElement('div', {
+                                key: palette.command,
+                                className: 'pdf-richtext-palette'
+                            }, [
+                                createElement('button', {
+                                    key: 'toggle',
+                                    className: `pdf-richtext-btn ${openRichTextPalette === palette.command ? 'active' : ''}`,
+                                    type: 'button',
+                                    title: palette.title,
+                                    onMouseDown: (e) => e.preventDefault(),
+                                    onClick: () => setOpenRichTextPalette(prev => (prev === palette.command ? null : palette.command))
+                                }, `${palette.label} ▾`),
+                                openRichTextPalette === palette.command && createElement('div', {
+                                    key: 'swatches',
+                                    className: 'pdf-richtext-swatches'
+                                }, [
+                                    ...palette.colors.map(color => createElement('button', {
+                                        key: color,
+                                        className: `pdf-richtext-swatch ${palette.getClass(color)}`,
+                                        type: 'button',
+                                        title: color,
+                                        onMouseDown: (e) => e.preventDefault(),
+                                        onClick: () => applyRichTextFormat(palette.command, color)
+                                    }, 'A')),
+                                    createElement('button', {
+                                        key: 'none',
+                                        className: 'pdf-richtext-swatch none',
+                                        type: 'button',
+                                        title: 'Remove',
+                                        onMouseDown: (e) => e.preventDefault(),
+                                        onClick: () => applyRichTextFormat(palette.command, null)
+                                    }, '✕')
+                                ])
+                            ])))
+                        ]),
+
+                        // Link address, checked while typing - only web and e-mail addresses can be applied
+                        openRichTextPalette === RICH_TEXT_COMMANDS.LINK && createElement('div', {
+                            key: 'richtext-link-bar',
+                            className: 'pdf-richtext-link-bar'
+                        }, [
+                            createElement('input', {
+                                key: 'link-address',
+                                type: 'text',
+                                className: `pdf-richtext-link-input ${linkAddress.trim() && !normalizeLinkUrl(linkAddress) ? 'invalid' : ''}`,
+                                placeholder: 'Link address (web or e-mail)',
+                                'aria-label': 'Link address (web or e-mail)',
+                                autoFocus: true,
+                                value: linkAddress,
+                                onChange: e => setLinkAddress(e.target.value),
+                                onKeyDown: e => {
+                                    if (e.key === 'Enter') {
+                                        e.preventDefault();
+                                        applyLinkAddress();
+                                    } else if (e.key === 'Escape') {
+                                        e.preventDefault();
+                                        e.stopPropagation();
+                                        cancelLinkAddress();
+                                    }
+                                }
+                            }),
                             createElement('button', {
-                                key: 'underline-btn',
-                                className: 'pdf-richtext-btn',
+                                key: 'link-apply',
                                 type: 'button',
-                                onClick: () => applyRichTextFormat('underline')
-                            }, 'U'),
+                                className: 'pdf-button pdf-richtext-link-apply-btn',
+                                disabled: !normalizeLinkUrl(linkAddress),
+                                onClick: applyLinkAddress
+                            }, 'Apply'),
                             createElement('button', {
-                                key: 'list-btn',
-                                className: 'pdf-richtext-btn',
+                                key: 'link-cancel',
                                 type: 'button',
-                                onClick: () => applyRichTextFormat('insertUnorderedList')
-                            }, '•')
+                                className: 'pdf-button pdf-richtext-link-cancel-btn',
+                                onClick: cancelLinkAddress
+                            }, 'Cancel'),
+                            linkAddress.trim() && !normalizeLinkUrl(linkAddress) && createElement('div', {
+                                key: 'link-hint',
+                                className: 'pdf-richtext-link-hint'
+                            }, 'Enter a web address (https://...) or an e-mail address.')
                         ]),
                         
                         createElement('div', {
@@ -1631,28 +4173,58 @@ export default function PDFViewerComponent({
                             ref: richTextRef,
                             className: 'pdf-richtext-editor',
                             contentEditable: true,
-                            'data-placeholder': 'Enter your comment with formatting...',
+                            'data-placeholder': mentionableUsers.length > 0
+                                ? 'Enter your comment with formatting... Type @ to mention someone'
+                                : 'Enter your comment with formatting...',
                             onInput: () => {
                                 if (richTextRef.current) {
                                     const content = richTextRef.current.innerText || '';
                                     setRichTextContent(content);
                                 }
+                                updateMentionQuery();
                             },
-                            onKeyUp: () => {
+                            onKeyDown: handleRichTextKeyDown,
+                            onKeyUp: (e) => {
                                 if (richTextRef.current) {
                                     const content = richTextRef.current.innerText || '';
                                     setRichTextContent(content);
                                 }
+                                // Caret moves; the keys that drive the suggestion list are handled on key down
+                                if (['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key)) {
+                                    updateMentionQuery();
+                                }
                             },
-                            onPaste: () => {
-                                setTimeout(() => {
-                                    if (richTextRef.current) {
-                                        const content = richTextRef.current.innerText || '';
-                                        setRichTextContent(content);
-                                    }
-                                }, 0);
+                            onClick: updateMentionQuery,
+                            onBlur: () => setMentionQuery(null),
+                            onPaste: handleRichTextPaste
+                        }),
+
+                        // @mention suggestions
+                        mentionQuery && mentionSuggestions.length > 0 && createElement('div', {
+                            key: 'mention-suggestions',
+                            className: 'pdf-mention-suggestions',
+                            role: 'listbox'
+                        }, mentionSuggestions.map((user, index) => createElement('button', {
+                            key: user.id,
+                            type: 'button',
+                            role: 'option',
+                            'aria-selected': index === mentionIndex,
+                            className: `pdf-mention-suggestion ${index === mentionIndex ? 'active' : ''}`,
+                            // Keep the editor's caret where the "@" was typed
+                            onMouseDown: (e) => {
+                                e.preventDefault();
+                                handleSelectMention(user);
                             }
-                        })
+                        }, [
+                            createElement('span', {
+                                key: 'name',
+                                className: 'pdf-mention-suggestion-name'
+                            }, user.name),
+                            user.email && createElement('span', {
+                                key: 'email',
+                                className: 'pdf-mention-suggestion-email'
+                            }, user.email)
+                        ])))
                     ]),
                     
                     // File upload section
@@ -1663,7 +4235,7 @@ export default function PDFViewerComponent({
                         createElement('label', {
                             key: 'file-label',
                             className: 'pdf-form-label'
-                        }, 'Attach Files (Local Storage):'),
+                        }, onAttachmentUpload ? 'Attach Files:' : 'Attach Files (Local Storage):'),
                         
                         createElement('div', {
                             key: 'file-upload-area',
@@ -1700,7 +4272,7 @@ export default function PDFViewerComponent({
                                     cursor: isUploading ? 'not-allowed' : 'pointer',
                                     opacity: isUploading ? 0.6 : 1
                                 }
-                            }, isUploading ? 'Processing...' : 'Choose Files')
+                            }, isUploading ? (uploadProgress !== null ? `Uploading ${uploadProgress}%...` : 'Processing...') : 'Choose Files')
                         ]),
                         
                         uploadedFiles.length > 0 && createElement('div', {
@@ -1728,8 +4300,8 @@ export default function PDFViewerComponent({
                         ))
                     ]),
                     
-                    // Reference Documents dropdown
-                    referenceDocList.length > 0 && createElement('div', {
+                    // Reference Documents dropdown (annotations only - replies carry attachments)
+                    !replyingTo && referenceDocList.length > 0 && createElement('div', {
                         key: 'reference-section',
                         className: 'pdf-form-group'
                     }, [
@@ -1923,7 +4495,7 @@ export default function PDFViewerComponent({
                         createElement('div', {
                             key: 'user-info',
                             style: { marginBottom: '4px' }
-                        }, `Creating area annotation as: ${currentUser}`),
+                        }, replyingTo ? `Replying as: ${currentUser}` : `Creating ${modalAnnotationLabel.toLowerCase()} as: ${currentUser}`),
                         createElement('div', {
                             key: 'microflow-status',
                             style: { 
@@ -1946,18 +4518,18 @@ export default function PDFViewerComponent({
                     }, 'Cancel'),
                     createElement('button', {
                         key: 'save-btn',
-                        onClick: editingAnnotation ? handleSaveEdit : handleAddAnnotation,
+                        onClick: replyingTo ? handleAddReply : editingAnnotation ? handleSaveEdit : handleAddAnnotation,
                         disabled: (() => {
                             const richText = richTextContent.trim();
                             const plainText = commentText.trim();
-                            return !richText && !plainText;
+                            return !richText && !plainText && !isCommentOptional;
                         })(),
                         className: `pdf-button pdf-button-save pdf-modal-save-btn ${(() => {
                             const richText = richTextContent.trim();
                             const plainText = commentText.trim();
-                            return (!richText && !plainText) ? 'disabled' : '';
+                            return (!richText && !plainText && !isCommentOptional) ? 'disabled' : '';
                         })()}`
-                    }, editingAnnotation ? 'Save Changes' : 'Add Area Annotation')
+                    }, replyingTo ? 'Post Reply' : editingAnnotation ? 'Save Changes' : `Add ${modalAnnotationLabel}`)
                 ])
             ])
         ]),
@@ -2074,7 +4646,13 @@ export default function PDFViewerComponent({
                                             className: 'pdf-file-preview-download-btn'
                                         }, 'Download File')
                                     ])
-                            ) : null
+                            ) :
+                            previewFile.error ?
+                                createElement('p', {
+                                    key: 'preview-error',
+                                    className: 'pdf-file-preview-error'
+                                }, `Could not load ${previewFile.name}: ${previewFile.error}`) :
+                                null
                 ])
             ])
         ])
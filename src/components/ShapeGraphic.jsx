@@ -0,0 +1,154 @@
+import { createElement } from "react";
+import { SHAPE_KINDS } from "../utils/annotation-types";
+import { toContainerRelativePoint, toContainerRelativeRect } from "../utils/annotation-geometry";
+
+const percent = value => `${value}%`;
+
+// Shape annotation graphic (arrow, line, ellipse or callout) drawn inside a box placed at `bounds`.
+// All geometry is page-relative; SVG percentage units keep arrowheads undistorted at any page size.
+export default function ShapeGraphic({
+    shape,
+    bounds,
+    scale = 1,
+    markerId,
+    comment = '',
+    interactive = true,
+    onClick,
+    title = ''
+}) {
+    const style = shape.style || {};
+    const strokeColor = style.strokeColor || '#e53935';
+    const strokeWidth = (style.strokeWidth || 2) * scale;
+    const fillColor = style.fillColor || 'none';
+    const pointerEvents = interactive ? 'visiblePainted' : 'none';
+    const cursor = interactive ? 'pointer' : 'default';
+
+    const svgChildren = [createElement('title', { key: 'shape-title' }, title)];
+    let calloutBox = null;
+
+    if (shape.shape === SHAPE_KINDS.LINE || shape.shape === SHAPE_KINDS.ARROW) {
+        const start = toContainerRelativePoint(shape.start, bounds);
+        const end = toContainerRelativePoint(shape.end, bounds);
+        const isArrow = shape.shape === SHAPE_KINDS.ARROW;
+
+        if (isArrow) {
+            svgChildren.push(createElement('defs', { key: 'shape-defs' },
+                createElement('marker', {
+                    id: markerId,
+                    viewBox: '0 0 10 10',
+                    refX: 8,
+                    refY: 5,
+                    markerWidth: 4,
+                    markerHeight: 4,
+                    orient: 'auto',
+                    markerUnits: 'strokeWidth'
+                }, createElement('path', { d: 'M 0 0 L 10 5 L 0 10 z', fill: strokeColor }))
+            ));
+        }
+
+        // Wide transparent twin of the line so thin strokes stay clickable
+        if (interactive) {
+            svgChildren.push(createElement('line', {
+                key: 'shape-hit-area',
+                x1: percent(start.x),
+                y1: percent(start.y),
+                x2: percent(end.x),
+                y2: percent(end.y),
+                stroke: 'transparent',
+                strokeWidth: Math.max(strokeWidth, 12),
+                style: { pointerEvents: 'stroke', cursor },
+                onClick
+            }));
+        }
+
+        svgChildren.push(createElement('line', {
+            key: 'shape-line',
+            x1: percent(start.x),
+            y1: percent(start.y),
+            x2: percent(end.x),
+            y2: percent(end.y),
+            stroke: strokeColor,
+            strokeWidth,
+            strokeLinecap: 'round',
+            markerEnd: isArrow ? `url(#${markerId})` : undefined,
+            style: { pointerEvents, cursor },
+            onClick
+        }));
+    } else if (shape.shape === SHAPE_KINDS.ELLIPSE) {
+        const area = toContainerRelativeRect(shape.area, bounds);
+
+        svgChildren.push(createElement('ellipse', {
+            key: 'shape-ellipse',
+            cx: percent(area.x + area.width / 2),
+            cy: percent(area.y + area.height / 2),
+            rx: percent(area.width / 2),
+            ry: percent(area.height / 2),
+            stroke: strokeColor,
+            strokeWidth,
+            fill: fillColor,
+            style: { pointerEvents, cursor },
+            onClick
+        }));
+    } else if (shape.shape === SHAPE_KINDS.CALLOUT) {
+        const area = toContainerRelativeRect(shape.area, bounds);
+        const anchor = toContainerRelativePoint(shape.anchor, bounds);
+
+        // Leader line from the anchor to the centre of the box; the box is drawn on top of it
+        svgChildren.push(createElement('line', {
+            key: 'shape-leader',
+            x1: percent(anchor.x),
+            y1: percent(anchor.y),
+            x2: percent(area.x + area.width / 2),
+            y2: percent(area.y + area.height / 2),
+            stroke: strokeColor,
+            strokeWidth,
+            strokeLinecap: 'round',
+            style: { pointerEvents: 'none' }
+        }));
+        svgChildren.push(createElement('circle', {
+            key: 'shape-anchor',
+            cx: percent(anchor.x),
+            cy: percent(anchor.y),
+            r: Math.max(strokeWidth, 3),
+            fill: strokeColor,
+            style: { pointerEvents: 'none' }
+        }));
+
+        calloutBox = createElement('div', {
+            key: 'callout-box',
+            className: 'pdf-callout-box',
+            onClick,
+            title,
+            style: {
+                position: 'absolute',
+                left: percent(area.x),
+                top: percent(area.y),
+                width: percent(area.width),
+                height: percent(area.height),
+                border: `${strokeWidth}px solid ${strokeColor}`,
+                backgroundColor: style.fillColor || '#ffffff',
+                fontSize: `${Math.max(11 * scale, 8)}px`,
+                pointerEvents: interactive ? 'auto' : 'none',
+                cursor
+            }
+        }, comment);
+    }
+
+    return createElement('div', {
+        className: `pdf-shape-graphic pdf-shape-${shape.shape}`,
+        style: {
+            position: 'relative',
+            width: '100%',
+            height: '100%',
+            opacity: style.opacity ?? 1
+        }
+    }, [
+        createElement('svg', {
+            key: 'shape-svg',
+            width: '100%',
+            height: '100%',
+            style: { position: 'absolute', top: 0, left: 0, overflow: 'visible', pointerEvents: 'none' }
+        }, svgChildren),
+        calloutBox
+    ]);
+}
@@ -0,0 +1,134 @@
+import { createElement, useState, useEffect, useRef } from "react";
+import { Thumbnail } from 'react-pdf';
+
+const THUMBNAIL_WIDTH = 96;
+
+// Thumbnails load this far (px) before they scroll into the panel
+const PRELOAD_MARGIN = '300px';
+
+// Collapsible strip of page previews. A thumbnail is only rendered once its slot has come
+// near the visible part of the strip, so opening a long document does not render every page.
+export default function ThumbnailPanel({
+    pdfDocument,
+    numPages,
+    currentPage,
+    annotationCounts = {},
+    onSelectPage,
+    collapsed = false,
+    onToggleCollapsed
+}) {
+    const listRef = useRef(null);
+    const [seenPages, setSeenPages] = useState({});
+
+    // A new document starts with nothing rendered
+    useEffect(() => {
+        setSeenPages({});
+    }, [pdfDocument]);
+
+    useEffect(() => {
+        const list = listRef.current;
+        if (collapsed || !list || !numPages) return undefined;
+
+        // Without IntersectionObserver every page is treated as visible
+        if (typeof IntersectionObserver === 'undefined') {
+            const all = {};
+            for (let pageNumber = 1; pageNumber <= numPages; pageNumber++) {
+                all[pageNumber] = true;
+            }
+            setSeenPages(all);
+            return undefined;
+        }
+
+        const observer = new IntersectionObserver(entries => {
+            const appeared = entries
+                .filter(entry => entry.isIntersecting)
+                .map(entry => Number(entry.target.getAttribute('data-thumbnail-page')));
+
+            if (appeared.length === 0) return;
+
+            setSeenPages(prev => {
+                if (appeared.every(pageNumber => prev[pageNumber])) return prev;
+                const next = { ...prev };
+                appeared.forEach(pageNumber => {
+                    next[pageNumber] = true;
+                });
+                return next;
+            });
+        }, { root: list, rootMargin: PRELOAD_MARGIN });
+
+        list.querySelectorAll('[data-thumbnail-page]').forEach(slot => observer.observe(slot));
+
+        return () => observer.disconnect();
+    }, [collapsed, numPages, pdfDocument]);
+
+    // Keep the current page's thumbnail in view while paging through the document
+    useEffect(() => {
+        const list = listRef.current;
+        if (collapsed || !list) return;
+
+        const slot = list.querySelector(`[data-thumbnail-page="${currentPage}"]`);
+        if (slot && slot.scrollIntoView) {
+            slot.scrollIntoView({ block: 'nearest' });
+        }
+    }, [currentPage, collapsed]);
+
+    const toggleButton = createElement('button', {
+        key: 'thumbnail-toggle',
+        className: 'pdf-thumbnail-toggle',
+        onClick: onToggleCollapsed,
+        title: collapsed ? 'Show page thumbnails' : 'Hide page thumbnails'
+    }, collapsed ? '▸' : '◂');
+
+    if (collapsed) {
+        return createElement('div', {
+            className: 'pdf-thumbnail-panel collapsed'
+        }, toggleButton);
+    }
+
+    const slots = Array.from({ length: numPages || 0 }, (_, index) => {
+        const pageNumber = index + 1;
+        const count = annotationCounts[pageNumber] || 0;
+
+        return createElement('div', {
+            key: `thumbnail-${pageNumber}`,
+            'data-thumbnail-page': pageNumber,
+            className: `pdf-thumbnail-item ${pageNumber === currentPage ? 'active' : ''}`,
+            onClick: () => onSelectPage(pageNumber),
+            title: `Page ${pageNumber}${count > 0 ? ` • ${count} annotation${count === 1 ? '' : 's'}` : ''}`
+        }, [
+            createElement('div', {
+                key: 'thumbnail-preview',
+                className: 'pdf-thumbnail-preview'
+            }, pdfDocument && seenPages[pageNumber]
+                ? createElement(Thumbnail, {
+                    pdf: pdfDocument,
+                    pageNumber,
+                    width: THUMBNAIL_WIDTH,
+                    // Navigation goes through the slot's own click handler
+                    onItemClick: () => {},
+                    loading: createElement('div', { className: 'pdf-thumbnail-placeholder' }),
+                    error: createElement('div', { className: 'pdf-thumbnail-placeholder' })
+                })
+                : createElement('div', { className: 'pdf-thumbnail-placeholder' })),
+            count > 0 && createElement('span', {
+                key: 'thumbnail-badge',
+                className: 'pdf-thumbnail-badge'
+            }, count),
+            createElement('span', {
+                key: 'thumbnail-label',
+                className: 'pdf-thumbnail-label'
+            }, pageNumber)
+        ]);
+    });
+
+    return createElement('div', {
+        className: 'pdf-thumbnail-panel'
+    }, [
+        toggleButton,
+        createElement('div', {
+            key: 'thumbnail-list',
+            ref: listRef,
+            className: 'pdf-thumbnail-list'
+        }, slots)
+    ]);
+}
@@ -0,0 +1,95 @@
+import { getRevision, hasAnnotationChanges, mergeAnnotations, stampRevisions } from '../annotation-merge';
+
+const note = (id, comment, revision) => ({ id, type: 'note-annotation', page: 1, point: { x: 1, y: 1 }, comment, revision });
+
+describe('annotation-merge', () => {
+    describe('stampRevisions', () => {
+        it('starts new annotations at revision 1 and raises changed ones by one', () => {
+            const previous = [note(1, 'a', 1), note(2, 'b', 4)];
+            const stamped = stampRevisions([note(1, 'a', 1), note(2, 'b changed', 4), note(3, 'new')], previous);
+
+            expect(stamped.map(getRevision)).toEqual([1, 5, 1]);
+        });
+
+        it('keeps the previous revision of an unchanged annotation', () => {
+            const previous = [note(1, 'a', 3)];
+            expect(stampRevisions([note(1, 'a', 1)], previous)[0].revision).toBe(3);
+        });
+    });
+
+    describe('hasAnnotationChanges', () => {
+        it('ignores revision and schema version bookkeeping', () => {
+            const base = [note(1, 'a', 1)];
+
+            expect(hasAnnotationChanges(base, [{ ...note(1, 'a', 2), schemaVersion: 3 }])).toBe(false);
+            expect(hasAnnotationChanges(base, [note(1, 'b', 1)])).toBe(true);
+            expect(hasAnnotationChanges(base, [])).toBe(true);
+        });
+    });
+
+    describe('mergeAnnotations', () => {
+        const base = [note(1, 'one', 1), note(2, 'two', 1), note(3, 'three', 1)];
+
+        it('takes changes from both sides when they touch different annotations', () => {
+            const local = [note(1, 'one - local', 2), note(2, 'two', 1), note(3, 'three', 1), note(4, 'local new', 1)];
+            const remote = [note(1, 'one', 1), note(2, 'two - remote', 2), note(5, 'remote new', 1)];
+
+            const { merged, conflicts } = mergeAnnotations(base, local, remote);
+
+            expect(conflicts).toEqual([]);
+            // Remote order first, then what only exists locally; the remote delete of 3 is kept
+            expect(merged.map(annotation => [annotation.id, annotation.comment])).toEqual([
+                [1, 'one - local'],
+                [2, 'two - remote'],
+                [5, 'remote new'],
+                [4, 'local new']
+            ]);
+        });
+
+        it('takes the same change made on both sides once', () => {
+            const local = [note(1, 'same', 2), note(2, 'two', 1), note(3, 'three', 1)];
+            const remote = [note(1, 'same', 2), note(2, 'two', 1), note(3, 'three', 1)];
+
+            const { merged, conflicts } = mergeAnnotations(base, local, remote);
+
+            expect(conflicts).toEqual([]);
+            expect(merged).toEqual(remote);
+        });
+
+        it('reports different changes to the same annotation and keeps the remote version meanwhile', () => {
+            const local = [note(1, 'mine', 2), note(2, 'two', 1), note(3, 'three', 1)];
+            const remote = [note(1, 'theirs', 2), note(2, 'two', 1), note(3, 'three', 1)];
+
+            const { merged, conflicts } = mergeAnnotations(base, local, remote);
+
+            expect(conflicts).toEqual([{ id: 1, base: base[0], local: local[0], remote: remote[0] }]);
+            expect(merged[0].comment).toBe('theirs');
+        });
+
+        it('reports an edit on one side against a delete on the other', () => {
+            const local = [note(1, 'edited', 2), note(2, 'two', 1), note(3, 'three', 1)];
+            const remote = [note(2, 'two', 1), note(3, 'three', 1)];
+
+            const { merged, conflicts } = mergeAnnotations(base, local, remote);
+
+            expect(conflicts).toEqual([{ id: 1, base: base[0], local: local[0], remote: null }]);
+            expect(merged.map(annotation => annotation.id)).toEqual([2, 3]);
+        });
+
+        it('does not report our own saved edit as a conflict once the saved list is the base', () => {
+            // We saved revision 2 of annotation 1; another reviewer then changed annotation 2 on top of it
+            const saved = [note(1, 'mine', 2), note(2, 'two', 1), note(3, 'three', 1)];
+            const local = [note(1, 'mine', 2), note(2, 'two', 1), note(3, 'three', 1), note(4, 'unsaved', 1)];
+            const remote = [note(1, 'mine', 2), note(2, 'two - remote', 2)];
+
+            const { merged, conflicts } = mergeAnnotations(saved, local, remote);
+
+            expect(conflicts).toEqual([]);
+            expect(merged.map(annotation => [annotation.id, annotation.comment])).toEqual([
+                [1, 'mine'],
+                [2, 'two - remote'],
+                [4, 'unsaved']
+            ]);
+        });
+    });
+});
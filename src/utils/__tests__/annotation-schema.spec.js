@@ -0,0 +1,148 @@
+import {
+    ANNOTATION_SCHEMA_VERSION,
+    getSchemaVersion,
+    migrateAnnotation,
+    parseAnnotationsJson,
+    serializeAnnotations,
+    validateAnnotation
+} from '../annotation-schema';
+import { ANNOTATION_STATUSES } from '../annotation-status';
+import { ANNOTATION_TYPES } from '../annotation-types';
+
+// An area annotation as the first widget version stored it: no type, status or schemaVersion
+const legacyArea = {
+    id: 1700000000001,
+    area: { x: 10, y: 20, width: 30, height: 40 },
+    comment: 'Check this figure',
+    createdBy: 'ann'
+};
+
+const currentNote = {
+    id: 'note-1',
+    type: ANNOTATION_TYPES.NOTE,
+    page: 2,
+    point: { x: 50, y: 50 },
+    status: ANNOTATION_STATUSES.RESOLVED,
+    schemaVersion: ANNOTATION_SCHEMA_VERSION
+};
+
+describe('annotation-schema', () => {
+    describe('migrateAnnotation', () => {
+        it('upgrades an unversioned area annotation to the current version', () => {
+            const migrated = migrateAnnotation(legacyArea);
+
+            expect(getSchemaVersion(legacyArea)).toBe(1);
+            expect(migrated).toMatchObject({
+                ...legacyArea,
+                type: ANNOTATION_TYPES.AREA,
+                page: 1,
+                status: ANNOTATION_STATUSES.OPEN,
+                referenceDoc: '',
+                uploadedFiles: [],
+                schemaVersion: ANNOTATION_SCHEMA_VERSION
+            });
+            expect(validateAnnotation(migrated)).toEqual([]);
+        });
+
+        it('keeps the values an old entry already had', () => {
+            const migrated = migrateAnnotation({ ...legacyArea, page: 3, status: ANNOTATION_STATUSES.RESOLVED });
+
+            expect(migrated.page).toBe(3);
+            expect(migrated.status).toBe(ANNOTATION_STATUSES.RESOLVED);
+        });
+
+        it('sanitizes the comment and reply HTML of version 2 entries', () => {
+            const migrated = migrateAnnotation({
+                ...currentNote,
+                schemaVersion: 2,
+                richTextContent: '<b>Look</b><img src="https://tracker.example/pixel.gif"><script>alert(1)</script>',
+                replies: [{ id: 'r1', richTextContent: '<a href="javascript:alert(1)">here</a>' }, null]
+            });
+
+            expect(migrated.richTextContent).toBe('<b>Look</b>');
+            expect(migrated.replies).toEqual([{ id: 'r1', richTextContent: 'here' }, null]);
+            expect(migrated.schemaVersion).toBe(ANNOTATION_SCHEMA_VERSION);
+        });
+
+        it('leaves current entries unchanged and never lowers a newer version', () => {
+            expect(migrateAnnotation(currentNote)).toEqual(currentNote);
+
+            const future = { ...currentNote, schemaVersion: ANNOTATION_SCHEMA_VERSION + 1 };
+            expect(migrateAnnotation(future).schemaVersion).toBe(ANNOTATION_SCHEMA_VERSION + 1);
+        });
+    });
+
+    describe('validateAnnotation', () => {
+        it('reports what keeps an entry from being shown', () => {
+            expect(validateAnnotation(null)).toEqual(['Entry is not an object']);
+            expect(validateAnnotation({ type: ANNOTATION_TYPES.NOTE, page: 0, point: { x: 1 } })).toEqual([
+                'Missing id',
+                'Invalid page "0"',
+                'Sticky note without a valid point'
+            ]);
+            expect(validateAnnotation({ ...currentNote, type: 'stamp' })).toEqual(['Unknown type "stamp"']);
+            expect(validateAnnotation({ ...currentNote, replies: {} })).toEqual(['Replies are not a list']);
+        });
+    });
+
+    describe('parseAnnotationsJson', () => {
+        it('migrates valid entries and keeps invalid and duplicate ones aside', () => {
+            const broken = { id: 'x', type: ANNOTATION_TYPES.AREA, page: 1 };
+            const result = parseAnnotationsJson(JSON.stringify([legacyArea, currentNote, broken, currentNote]));
+
+            expect(result.parseError).toBeNull();
+            expect(result.annotations.map(annotation => annotation.id)).toEqual([legacyArea.id, currentNote.id]);
+            expect(result.migratedCount).toBe(1);
+            expect(result.invalidEntries).toEqual([
+                { index: 2, entry: broken, errors: ['Area annotation without a valid area'] },
+                { index: 3, entry: currentNote, errors: ['Duplicate id "note-1"'] }
+            ]);
+        });
+
+        it('treats numeric and string forms of an id as the same id', () => {
+            const result = parseAnnotationsJson(JSON.stringify([{ ...currentNote, id: 1 }, { ...currentNote, id: '1' }]));
+
+            expect(result.annotations.map(annotation => annotation.id)).toEqual([1]);
+            expect(result.invalidEntries[0].errors).toEqual(['Duplicate id "1"']);
+        });
+
+        it('accepts the envelope format', () => {
+            const result = parseAnnotationsJson(JSON.stringify({ schemaVersion: 2, annotations: [currentNote] }));
+            expect(result.annotations).toEqual([currentNote]);
+        });
+
+        it('reports values it cannot read at all', () => {
+            expect(parseAnnotationsJson('').annotations).toEqual([]);
+            expect(parseAnnotationsJson('{not json').parseError).toBeTruthy();
+            expect(parseAnnotationsJson('{"annotations": 1}').parseError).toBe('Expected a list of annotations');
+        });
+    });
+
+    describe('serializeAnnotations', () => {
+        it('stamps the current version and writes invalid entries back unchanged', () => {
+            const invalid = { index: 1, entry: { id: 'x', type: 'stamp' }, errors: ['Unknown type "stamp"'] };
+            const stored = JSON.parse(serializeAnnotations([{ ...legacyArea }], [invalid]));
+
+            expect(stored).toEqual([{ ...legacyArea, schemaVersion: ANNOTATION_SCHEMA_VERSION }, invalid.entry]);
+        });
+
+        it('stores sanitized comment and reply HTML', () => {
+            const stored = JSON.parse(serializeAnnotations([{
+                ...currentNote,
+                richTextContent: '<p>See <a href="javascript:alert(1)">this</a></p>',
+                replies: [{ id: 'r1', richTextContent: '<b onclick="alert(1)">ok</b><img src="x">' }]
+            }]));
+
+            expect(stored[0].richTextContent).toBe('<p>See this</p>');
+            expect(stored[0].replies[0].richTextContent).toBe('<b>ok</b>');
+        });
+
+        it('round-trips through parseAnnotationsJson', () => {
+            const { annotations } = parseAnnotationsJson(JSON.stringify([legacyArea, currentNote]));
+            const reparsed = parseAnnotationsJson(serializeAnnotations(annotations));
+
+            expect(reparsed.annotations).toEqual(annotations);
+            expect(reparsed.migratedCount).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,29 @@
+import { ATTACHMENT_STORAGE, buildAttachmentKey, collectS3Attachments } from '../attachment-storage';
+
+const s3File = key => ({ id: key, name: `${key}.txt`, s3Key: `annotation-attachments/${key}/${key}.txt`, storageType: ATTACHMENT_STORAGE.S3 });
+
+describe('attachment-storage', () => {
+    describe('buildAttachmentKey', () => {
+        it('puts each file in its own folder under the prefix, with a safe name', () => {
+            expect(buildAttachmentKey('/attachments/', 'f1', 'my report (1).pdf')).toBe('attachments/f1/my_report_1_.pdf');
+            expect(buildAttachmentKey('', 'f2', '..hidden')).toBe('f2/hidden');
+        });
+    });
+
+    describe('collectS3Attachments', () => {
+        it('lists the S3 files of annotations and their replies by key', () => {
+            const local = { id: 'l', name: 'inline.txt', data: 'aGk=', storageType: ATTACHMENT_STORAGE.LOCAL };
+            const annotations = [
+                { id: 1, uploadedFiles: [s3File('a'), local], replies: [{ id: 'r', uploadedFiles: [s3File('b')] }] },
+                null,
+                { id: 2, uploadedFiles: [s3File('a')] },
+                { id: 3 }
+            ];
+
+            const attachments = collectS3Attachments(annotations);
+
+            expect([...attachments.keys()]).toEqual(['annotation-attachments/a/a.txt', 'annotation-attachments/b/b.txt']);
+            expect(attachments.get('annotation-attachments/b/b.txt').name).toBe('b.txt');
+        });
+    });
+});
@@ -0,0 +1,128 @@
+import { CollaborationSession, InMemoryTransport, applyAnnotationChanges, applyAnnotationsMessage } from '../collaboration';
+import { ANNOTATION_SCHEMA_VERSION } from '../annotation-schema';
+
+const note = (id, createdBy, changes = {}) => ({
+    id,
+    type: 'note-annotation',
+    page: 1,
+    point: { x: 1, y: 1 },
+    comment: `note ${id}`,
+    createdBy,
+    status: 'open',
+    revision: 1,
+    schemaVersion: ANNOTATION_SCHEMA_VERSION,
+    ...changes
+});
+
+const message = (operation, userName, annotations) => ({ type: 'annotations', operation, userName, annotations });
+
+describe('collaboration', () => {
+    const annotations = [note(1, 'ann'), note(2, 'bob')];
+
+    describe('applyAnnotationChanges', () => {
+        it('replaces known annotations, appends new ones and removes deleted ones', () => {
+            const changed = applyAnnotationChanges(annotations, 'EDIT', [note(2, 'bob', { comment: 'edited' }), note(3, 'bob')]);
+            expect(changed.map(annotation => [annotation.id, annotation.comment])).toEqual([[1, 'note 1'], [2, 'edited'], [3, 'note 3']]);
+
+            expect(applyAnnotationChanges(annotations, 'DELETE', [{ id: '1' }])).toEqual([annotations[1]]);
+        });
+    });
+
+    describe('applyAnnotationsMessage', () => {
+        it('applies changes the sender could make in their own viewer', () => {
+            const added = applyAnnotationsMessage(annotations, message('ADD', 'bob', [note(3, 'bob')]));
+            expect(added.map(annotation => annotation.id)).toEqual([1, 2, 3]);
+
+            const edited = applyAnnotationsMessage(annotations, message('EDIT', 'bob', [note(2, 'bob', { comment: 'new text', revision: 2 })]));
+            expect(edited[1].comment).toBe('new text');
+
+            const deleted = applyAnnotationsMessage(annotations, message('DELETE', 'bob', [{ id: 2 }]));
+            expect(deleted).toEqual([annotations[0]]);
+        });
+
+        it('lets anyone reply to or change the status of an annotation, but nothing else', () => {
+            const reply = { id: 'r1', comment: 'agreed', createdBy: 'bob' };
+            const replied = applyAnnotationsMessage(annotations, message('REPLY', 'bob', [note(1, 'ann', { replies: [reply], revision: 2 })]));
+            expect(replied[0].replies).toEqual([reply]);
+
+            const sneakyEdit = applyAnnotationsMessage(annotations, message('REPLY', 'bob', [note(1, 'ann', { comment: 'rewritten', revision: 2 })]));
+            expect(sneakyEdit).toBe(annotations);
+        });
+
+        it('rejects edits and deletes of annotations by someone else', () => {
+            expect(applyAnnotationsMessage(annotations, message('EDIT', 'bob', [note(1, 'ann', { comment: 'hijacked', revision: 9 })]))).toBe(annotations);
+            expect(applyAnnotationsMessage(annotations, message('DELETE', 'bob', [{ id: 1 }]))).toBe(annotations);
+            // Nor may an author hand an annotation to someone else, or add one in another's name
+            expect(applyAnnotationsMessage(annotations, message('EDIT', 'bob', [note(2, 'ann', { revision: 2 })]))).toBe(annotations);
+            expect(applyAnnotationsMessage(annotations, message('ADD', 'bob', [note(3, 'ann')]))).toBe(annotations);
+        });
+
+        it('rejects entries that do not validate and versions older than the one shown', () => {
+            expect(applyAnnotationsMessage(annotations, message('ADD', 'bob', [{ id: 3, type: 'note-annotation', createdBy: 'bob' }]))).toBe(annotations);
+            expect(applyAnnotationsMessage(annotations, message('ADD', 'bob', ['not an annotation', null]))).toBe(annotations);
+
+            const newer = [note(1, 'ann'), note(2, 'bob', { comment: 'latest', revision: 3 })];
+            expect(applyAnnotationsMessage(newer, message('EDIT', 'bob', [note(2, 'bob', { comment: 'stale', revision: 2 })]))).toBe(newer);
+        });
+
+        it('ignores messages without a sender', () => {
+            expect(applyAnnotationsMessage(annotations, message('DELETE', '', [{ id: 1 }]))).toBe(annotations);
+        });
+    });
+
+    describe('CollaborationSession', () => {
+        const join = userName => {
+            const received = [];
+            const session = new CollaborationSession({
+                transport: new InMemoryTransport('spec:room'),
+                room: 'room',
+                userName,
+                onAnnotations: annotationsMessage => received.push(annotationsMessage),
+                debugLog: () => {}
+            });
+            session.start();
+            return { session, received };
+        };
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        it('passes on annotations sent under the name the client joined with', () => {
+            const ann = join('ann');
+            const bob = join('bob');
+            jest.advanceTimersByTime(0);
+
+            bob.session.broadcastAnnotations('ADD', [note(3, 'bob')]);
+            jest.advanceTimersByTime(0);
+
+            expect(ann.received.map(received => received.userName)).toEqual(['bob']);
+            ann.session.stop();
+            bob.session.stop();
+        });
+
+        it('ignores annotations claiming another user or from a client that never announced itself', () => {
+            const ann = join('ann');
+            const bob = join('bob');
+            jest.advanceTimersByTime(0);
+
+            const intruder = new InMemoryTransport('spec:room');
+            intruder.connect(() => {});
+            intruder.send({ ...message('DELETE', 'ann', [{ id: 1 }]), room: 'room', clientId: bob.session.clientId });
+            intruder.send({ ...message('DELETE', 'ann', [{ id: 1 }]), room: 'room', clientId: 'unknown' });
+            // Nor can a client change its name afterwards
+            intruder.send({ type: 'presence', userName: 'ann', room: 'room', clientId: bob.session.clientId });
+            intruder.send({ ...message('DELETE', 'ann', [{ id: 1 }]), room: 'room', clientId: bob.session.clientId });
+            jest.advanceTimersByTime(0);
+
+            expect(ann.received).toEqual([]);
+            intruder.close();
+            ann.session.stop();
+            bob.session.stop();
+        });
+    });
+});
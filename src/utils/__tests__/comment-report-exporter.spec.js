@@ -0,0 +1,68 @@
+import { CommentReportExporter } from '../comment-report-exporter';
+import { PDFPage } from 'pdf-lib';
+
+// The widget bundles pdf-lib's prebuilt ES module; Jest runs the CommonJS build of the same version
+jest.mock('pdf-lib/dist/pdf-lib.esm', () => jest.requireActual('pdf-lib'));
+
+const MARGIN = 36;
+
+// Every text drawn into the report, with its page and baseline
+const recordDrawnText = () => {
+    const drawn = [];
+    jest.spyOn(PDFPage.prototype, 'drawText').mockImplementation(function(text, options) {
+        drawn.push({ page: this, text, y: options.y });
+    });
+    return drawn;
+};
+
+describe('CommentReportExporter', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('exportPdf', () => {
+        it('continues a comment longer than a page on the next pages, below a repeated header', () => {
+            const drawn = recordDrawnText();
+            const words = Array.from({ length: 3000 }, (_, index) => `word${index}`);
+            const annotations = [
+                { id: 1, page: 1, createdBy: 'ann', comment: 'Short one' },
+                { id: 2, page: 2, createdBy: 'bob', comment: words.join(' ') },
+                { id: 3, page: 3, createdBy: 'carla', comment: 'After the long one' }
+            ];
+
+            return CommentReportExporter.exportPdf(annotations, 'Spec.pdf', { debugLog: () => {} }).then(() => {
+                const pages = [...new Set(drawn.map(item => item.page))];
+                expect(pages.length).toBeGreaterThan(2);
+                // Nothing is drawn into the bottom margin or below the page
+                expect(drawn.filter(item => item.y < MARGIN).map(item => item.text)).toEqual([]);
+                // Every word of the long comment is in the report, in order
+                const text = drawn.map(item => item.text).join(' ');
+                expect(words.every(word => text.includes(`${word} `) || text.endsWith(word))).toBe(true);
+                expect(text.indexOf('word0 ')).toBeLessThan(text.indexOf('word2999'));
+                expect(text).toContain('After the long one');
+                // Each page starts its table with the header row
+                expect(drawn.filter(item => item.text === 'Comment').map(item => item.page)).toEqual(pages);
+            });
+        });
+
+        it('moves a row that does not fit to the next page instead of splitting it', () => {
+            const drawn = recordDrawnText();
+            // Eight-line comments, more than fit on one page
+            const annotations = Array.from({ length: 12 }, (unused, row) => ({
+                id: row + 1,
+                page: 1,
+                createdBy: 'ann',
+                comment: Array.from({ length: 8 }, (_, line) => `row ${row} line ${line}`).join('\n')
+            }));
+
+            return CommentReportExporter.exportPdf(annotations, '', { debugLog: () => {} }).then(() => {
+                expect(new Set(drawn.map(item => item.page)).size).toBeGreaterThan(1);
+                annotations.forEach((annotation, row) => {
+                    const lines = drawn.filter(item => item.text.startsWith(`row ${row} `));
+                    expect(lines).toHaveLength(8);
+                    expect(new Set(lines.map(item => item.page)).size).toBe(1);
+                });
+            });
+        });
+    });
+});
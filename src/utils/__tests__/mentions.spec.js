@@ -0,0 +1,133 @@
+import {
+    MENTION_CLASS,
+    extractMentions,
+    filterMentionableUsers,
+    getMentionQuery,
+    getNewMentions,
+    insertMention,
+    parseMentionableUsers
+} from '../mentions';
+
+const users = [
+    { id: '1', name: 'Ann Lee', email: 'ann@example.com' },
+    { id: '2', name: 'Bob Annan', email: 'bob@example.com' },
+    { id: '3', name: 'Carla Diaz', email: 'cd@example.com' }
+];
+
+// Editor with `text` and the caret at its end
+const createEditor = text => {
+    const editor = document.createElement('div');
+    editor.contentEditable = 'true';
+    editor.appendChild(document.createTextNode(text));
+    document.body.appendChild(editor);
+
+    const caret = document.createRange();
+    caret.setStart(editor.firstChild, text.length);
+    caret.collapse(true);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(caret);
+    return editor;
+};
+
+describe('mentions', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    describe('parseMentionableUsers', () => {
+        it('reads the Mendix export keys as well as id/name/email and skips entries without a name', () => {
+            const json = JSON.stringify([
+                { UserID: 7, Name: 'Ann Lee', Email: 'ann@example.com' },
+                { id: 'b', name: 'Bob Annan' },
+                { email: 'nobody@example.com' },
+                { UserID: 0, Name: 'Admin' }
+            ]);
+
+            expect(parseMentionableUsers(json)).toEqual([
+                { id: '7', name: 'Ann Lee', email: 'ann@example.com' },
+                { id: 'b', name: 'Bob Annan', email: '' },
+                { id: '0', name: 'Admin', email: '' }
+            ]);
+        });
+
+        it('returns no users for an empty value or anything but a list', () => {
+            expect(parseMentionableUsers('')).toEqual([]);
+            expect(parseMentionableUsers(undefined)).toEqual([]);
+            expect(parseMentionableUsers('{"Name": "Ann"}')).toEqual([]);
+        });
+    });
+
+    describe('filterMentionableUsers', () => {
+        it('matches the start of any word of the name or of the e-mail address', () => {
+            expect(filterMentionableUsers(users, 'ann').map(user => user.id)).toEqual(['1', '2']);
+            expect(filterMentionableUsers(users, 'DIA').map(user => user.id)).toEqual(['3']);
+            expect(filterMentionableUsers(users, 'cd@').map(user => user.id)).toEqual(['3']);
+            expect(filterMentionableUsers(users, 'nan')).toEqual([]);
+        });
+
+        it('offers everyone for an empty query, up to the suggestion limit', () => {
+            const many = Array.from({ length: 12 }, (_, index) => ({ id: String(index), name: `User ${index}`, email: '' }));
+            expect(filterMentionableUsers(users, '')).toEqual(users);
+            expect(filterMentionableUsers(many, '')).toHaveLength(8);
+        });
+    });
+
+    describe('getMentionQuery and insertMention', () => {
+        it('finds the @query at the caret only at the start of a word', () => {
+            expect(getMentionQuery(createEditor('Please check @an'))).toMatchObject({ query: 'an', start: 13, end: 16 });
+            expect(getMentionQuery(createEditor('mail me at ann@ex'))).toBeNull();
+            expect(getMentionQuery(createEditor('@'))).toMatchObject({ query: '' });
+        });
+
+        it('replaces the query with a non-editable chip followed by a non-breaking space', () => {
+            const editor = createEditor('Please check @an');
+            insertMention(getMentionQuery(editor), users[0]);
+
+            const chip = editor.querySelector(`.${MENTION_CLASS}`);
+            expect(chip.getAttribute('data-mention-id')).toBe('1');
+            expect(chip.contentEditable).toBe('false');
+            expect(editor.textContent).toBe('Please check @Ann Lee\u00a0');
+        });
+    });
+
+    describe('extractMentions', () => {
+        it('lists each mentioned user once, with the e-mail address from the user list', () => {
+            const editor = document.createElement('div');
+            editor.innerHTML =
+                `<span class="${MENTION_CLASS}" data-mention-id="1">@Ann Lee</span> and ` +
+                `<span class="${MENTION_CLASS}" data-mention-id="9">@Former Colleague</span> and ` +
+                `<span class="${MENTION_CLASS}" data-mention-id="1">@Ann Lee</span>`;
+
+            expect(extractMentions(editor, users)).toEqual([
+                { id: '1', name: 'Ann Lee', email: 'ann@example.com' },
+                { id: '9', name: 'Former Colleague', email: '' }
+            ]);
+            expect(extractMentions(null, users)).toEqual([]);
+        });
+    });
+
+    describe('getNewMentions', () => {
+        it('returns users mentioned in the comment or its replies who were not mentioned before', () => {
+            const ann = { id: '1', name: 'Ann Lee' };
+            const bob = { id: 2, name: 'Bob Annan' };
+            const carla = { id: '3', name: 'Carla Diaz' };
+            const previous = { mentions: [ann], replies: [{ mentions: [{ id: '2', name: 'Bob Annan' }] }] };
+            const updated = { mentions: [ann], replies: [{ mentions: [bob] }, { mentions: [carla, carla] }] };
+
+            expect(getNewMentions(previous, updated, users)).toEqual([users[2]]);
+            expect(getNewMentions(null, { mentions: [ann] }, users)).toEqual([users[0]]);
+            expect(getNewMentions(updated, previous, users)).toEqual([]);
+        });
+
+        it('notifies only configured users, at the address from the user list', () => {
+            // A chip pasted from elsewhere keeps its id through the sanitizer
+            const pasted = [
+                { id: '9', name: 'Outsider', email: 'outsider@example.com' },
+                { id: '2', name: 'Bob Annan', email: 'attacker@example.com' }
+            ];
+
+            expect(getNewMentions(null, { mentions: pasted }, users)).toEqual([users[1]]);
+            expect(getNewMentions(null, { mentions: pasted }, [])).toEqual([]);
+        });
+    });
+});
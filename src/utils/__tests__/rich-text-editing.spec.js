@@ -0,0 +1,206 @@
+import {
+    RICH_TEXT_COMMANDS,
+    executeRichTextCommand,
+    getSelectedLink,
+    getShortcut,
+    normalizeLinkUrl
+} from '../rich-text-editing';
+import { cleanPastedHtml, insertSanitizedHtml, sanitizeRichText } from '../rich-text-sanitizer';
+
+// Built up so the linter does not take the test data for code
+const SCRIPT_SCHEME = `${'java'}script:`;
+
+// Editor with `html`, attached to the document so the selection can be inside it
+const createEditor = html => {
+    const editor = document.createElement('div');
+    editor.contentEditable = 'true';
+    editor.innerHTML = html;
+    document.body.appendChild(editor);
+    return editor;
+};
+
+// Select from `startOffset` in the first text node containing `startText` to `endOffset` in the one containing `endText`
+const select = (editor, startText, startOffset, endText = startText, endOffset = startOffset) => {
+    const textNodes = [];
+    const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+    const find = text => textNodes.find(node => node.textContent.includes(text));
+
+    const range = document.createRange();
+    range.setStart(find(startText), startOffset);
+    range.setEnd(find(endText), endOffset);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+};
+
+const selectContents = node => {
+    const range = document.createRange();
+    range.selectNodeContents(node);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+};
+
+describe('rich-text-editing', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+        window.getSelection().removeAllRanges();
+    });
+
+    describe('inline formatting', () => {
+        it('wraps a selection that spans several nodes and blocks, one element per block', () => {
+            const editor = createEditor('<p>first <i>italic</i> line</p><p>second line</p>');
+            select(editor, 'first', 2, 'second', 3);
+
+            expect(executeRichTextCommand(editor, RICH_TEXT_COMMANDS.BOLD)).toBe(true);
+
+            expect(editor.innerHTML).toBe('<p>fi<b>rst <i>italic</i> line</b></p><p><b>sec</b>ond line</p>');
+        });
+
+        it('replaces nested matches instead of nesting the same format twice', () => {
+            const editor = createEditor('<p>a <strong>b</strong> c</p>');
+            selectContents(editor.querySelector('p'));
+
+            executeRichTextCommand(editor, RICH_TEXT_COMMANDS.BOLD);
+
+            expect(editor.innerHTML).toBe('<p><b>a b c</b></p>');
+        });
+
+        it('unwraps the format around the caret and keeps its text', () => {
+            const editor = createEditor('<p>plain <b>bold <u>under</u></b> end</p>');
+            select(editor, 'bold', 2);
+
+            executeRichTextCommand(editor, RICH_TEXT_COMMANDS.BOLD);
+
+            expect(editor.innerHTML).toBe('<p>plain bold <u>under</u> end</p>');
+        });
+
+        it('wraps loose text typed into the editor into a paragraph first', () => {
+            const editor = createEditor('loose text');
+            select(editor, 'loose', 0, 'loose', 5);
+
+            executeRichTextCommand(editor, RICH_TEXT_COMMANDS.ITALIC);
+
+            expect(editor.innerHTML).toBe('<p><i>loose</i> text</p>');
+        });
+
+        it('sets and removes colours as classes only', () => {
+            const editor = createEditor('<p>colour me</p>');
+            select(editor, 'colour', 0, 'colour', 6);
+
+            executeRichTextCommand(editor, RICH_TEXT_COMMANDS.TEXT_COLOR, 'red');
+            expect(editor.innerHTML).toBe('<p><span class="pdf-text-red">colour</span> me</p>');
+
+            select(editor, 'colour', 2);
+            executeRichTextCommand(editor, RICH_TEXT_COMMANDS.TEXT_COLOR, null);
+            expect(editor.innerHTML).toBe('<p>colour me</p>');
+        });
+    });
+
+    describe('blocks and lists', () => {
+        it('turns the selected paragraphs into a list and back', () => {
+            const editor = createEditor('<p>one</p><p>two</p><p>three</p>');
+            select(editor, 'one', 1, 'two', 1);
+
+            executeRichTextCommand(editor, RICH_TEXT_COMMANDS.UNORDERED_LIST);
+            expect(editor.innerHTML).toBe('<ul><li>one</li><li>two</li></ul><p>three</p>');
+
+            select(editor, 'one', 1);
+            executeRichTextCommand(editor, RICH_TEXT_COMMANDS.ORDERED_LIST);
+            expect(editor.innerHTML).toBe('<ol><li>one</li><li>two</li></ol><p>three</p>');
+
+            select(editor, 'two', 1);
+            executeRichTextCommand(editor, RICH_TEXT_COMMANDS.ORDERED_LIST);
+            expect(editor.innerHTML).toBe('<p>one</p><p>two</p><p>three</p>');
+        });
+
+        it('toggles headings back to paragraphs', () => {
+            const editor = createEditor('<p>title</p>');
+            select(editor, 'title', 1);
+
+            executeRichTextCommand(editor, RICH_TEXT_COMMANDS.HEADING_2);
+            expect(editor.innerHTML).toBe('<h2>title</h2>');
+
+            select(editor, 'title', 1);
+            executeRichTextCommand(editor, RICH_TEXT_COMMANDS.HEADING_2);
+            expect(editor.innerHTML).toBe('<p>title</p>');
+        });
+    });
+
+    describe('links', () => {
+        it('links the selection and edits the address of the link the caret is in', () => {
+            const editor = createEditor('<p>see the docs here</p>');
+            select(editor, 'docs', 8, 'docs', 12);
+
+            expect(executeRichTextCommand(editor, RICH_TEXT_COMMANDS.LINK, 'example.com/docs')).toBe(true);
+            expect(editor.innerHTML).toBe('<p>see the <a href="https://example.com/docs" target="_blank" rel="noopener noreferrer">docs</a> here</p>');
+
+            select(editor, 'docs', 1);
+            expect(getSelectedLink(editor)).toBe(editor.querySelector('a'));
+            executeRichTextCommand(editor, RICH_TEXT_COMMANDS.LINK, 'ann@example.com');
+            expect(editor.querySelector('a').getAttribute('href')).toBe('mailto:ann@example.com');
+        });
+
+        it('removes a link and keeps its text', () => {
+            const editor = createEditor('<p>a <a href="https://example.com">link</a></p>');
+            select(editor, 'link', 2);
+
+            expect(executeRichTextCommand(editor, RICH_TEXT_COMMANDS.UNLINK)).toBe(true);
+            expect(editor.innerHTML).toBe('<p>a link</p>');
+            expect(executeRichTextCommand(editor, RICH_TEXT_COMMANDS.UNLINK)).toBe(false);
+        });
+
+        it('refuses addresses that are not web or mail links', () => {
+            const editor = createEditor('<p>click</p>');
+            select(editor, 'click', 0, 'click', 5);
+
+            [`${SCRIPT_SCHEME}alert(1)`, ' JavaScript:alert(1)', 'data:text/html,x', 'vbscript:x', 'https://', ''].forEach(url => {
+                expect(normalizeLinkUrl(url)).toBeNull();
+                expect(executeRichTextCommand(editor, RICH_TEXT_COMMANDS.LINK, url)).toBe(false);
+            });
+            expect(editor.innerHTML).toBe('<p>click</p>');
+        });
+
+        it('drops javascript: links put into the editor some other way before the comment is stored', () => {
+            const editor = createEditor('<p>read <a href="https://example.com" target="_blank">this</a></p>');
+            // Changed through the DOM, e.g. from the developer tools
+            editor.querySelector('a').setAttribute('href', `${SCRIPT_SCHEME}alert(document.cookie)`);
+            // Pasted as-is, bypassing the paste handler
+            editor.insertAdjacentHTML('beforeend', '<p><a href="jAvAsCrIpT:alert(1)">pasted</a> <a href="java&#10;script:alert(1)">split</a></p>');
+
+            expect(sanitizeRichText(editor.innerHTML)).toBe('<p>read this</p><p>pasted split</p>');
+        });
+    });
+
+    describe('paste', () => {
+        it('normalizes pasted HTML and inserts it at the caret', () => {
+            const editor = createEditor('<p>before after</p>');
+            select(editor, 'before', 7);
+
+            insertSanitizedHtml(editor, cleanPastedHtml(
+                '<span style="font-weight:bold" onclick="alert(1)">bold</span> <a href="javascript:alert(1)">link</a><img src="x"> '
+            ));
+
+            expect(editor.innerHTML).toBe('<p>before <b>bold</b> link after</p>');
+            // The caret is after the inserted content
+            const caret = window.getSelection().getRangeAt(0);
+            expect(caret.collapsed).toBe(true);
+            const beforeCaret = document.createRange();
+            beforeCaret.setStart(editor, 0);
+            beforeCaret.setEnd(caret.startContainer, caret.startOffset);
+            expect(beforeCaret.toString()).toBe('before bold link ');
+        });
+    });
+
+    describe('getShortcut', () => {
+        it('maps Ctrl or Cmd with the right modifiers to a command', () => {
+            const key = (code, modifiers = {}) => ({ code, ctrlKey: false, metaKey: false, shiftKey: false, altKey: false, ...modifiers });
+
+            expect(getShortcut(key('KeyB', { ctrlKey: true })).command).toBe(RICH_TEXT_COMMANDS.BOLD);
+            expect(getShortcut(key('Digit1', { metaKey: true, altKey: true })).command).toBe(RICH_TEXT_COMMANDS.HEADING_1);
+            expect(getShortcut(key('KeyB'))).toBeNull();
+            expect(getShortcut(key('KeyB', { ctrlKey: true, shiftKey: true }))).toBeNull();
+        });
+    });
+});
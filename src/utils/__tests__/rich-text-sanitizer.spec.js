@@ -0,0 +1,94 @@
+import { cleanPastedHtml, insertSanitizedHtml, plainTextToRichText, sanitizeRichText } from '../rich-text-sanitizer';
+import { MENTION_CLASS } from '../mentions';
+
+describe('rich-text-sanitizer', () => {
+    describe('sanitizeRichText', () => {
+        it('keeps the formatting the editor produces', () => {
+            const html = '<p><b>bold</b> <i>italic</i> <u>under</u></p><ul><li>one</li></ul><blockquote>quote</blockquote>';
+            expect(sanitizeRichText(html)).toBe(html);
+        });
+
+        it('drops scripts, styles, images and forms together with their content', () => {
+            expect(sanitizeRichText('a<script>alert(1)</script>b<style>p{}</style>c')).toBe('abc');
+            expect(sanitizeRichText('before<img src="https://tracker.example/pixel.gif" onerror="alert(1)">after')).toBe('beforeafter');
+            expect(sanitizeRichText('<form action="/x"><input value="secret"><button>Go</button></form>kept')).toBe('kept');
+            expect(sanitizeRichText('<iframe src="https://example.com">frame</iframe><svg><text>drawn</text></svg>')).toBe('');
+        });
+
+        it('unwraps unknown tags and strips attributes that are not allowed', () => {
+            expect(sanitizeRichText('<font color="red">text</font>')).toBe('text');
+            expect(sanitizeRichText('<p onclick="alert(1)" style="color:red" class="x">text</p>')).toBe('<p>text</p>');
+            expect(sanitizeRichText('<b onmouseover="alert(1)">bold</b><!-- comment -->')).toBe('<b>bold</b>');
+        });
+
+        it('keeps web and mail links only, and always opens them in a new tab', () => {
+            expect(sanitizeRichText('<a href="https://example.com" target="_self" rel="opener">site</a>')).toBe(
+                '<a href="https://example.com" target="_blank" rel="noopener noreferrer">site</a>'
+            );
+            expect(sanitizeRichText('<a href="mailto:ann@example.com">mail</a>')).toContain('href="mailto:ann@example.com"');
+            expect(sanitizeRichText('<a href="javascript:alert(1)">click</a>')).toBe('click');
+            expect(sanitizeRichText('<a href=" JavaScript:alert(1)">click</a>')).toBe('click');
+            expect(sanitizeRichText('<a href="data:text/html,<script>alert(1)</script>">click</a>')).toBe('click');
+        });
+
+        it('keeps mention chips and the colour classes, but no other class', () => {
+            const mention = `<span class="${MENTION_CLASS}" data-mention-id="42" contenteditable="false">@Ann Lee</span>`;
+            expect(sanitizeRichText(mention)).toBe(mention);
+
+            expect(sanitizeRichText('<span class="pdf-text-red">red</span>')).toBe('<span class="pdf-text-red">red</span>');
+            expect(sanitizeRichText('<mark class="pdf-highlight-yellow">marked</mark>')).toBe('<mark class="pdf-highlight-yellow">marked</mark>');
+            expect(sanitizeRichText('<span class="pdf-text-red overlay">text</span>')).toBe('text');
+            expect(sanitizeRichText('<mark class="pdf-highlight-black">text</mark>')).toBe('text');
+            expect(sanitizeRichText('<span class="pdf-text-red" contenteditable="true">text</span>')).toBe('<span class="pdf-text-red">text</span>');
+        });
+
+        it('escapes text and removes the editor\'s zero-width placeholders', () => {
+            expect(sanitizeRichText('<b>\u200b1 &lt; 2</b>')).toBe('<b>1 &lt; 2</b>');
+            expect(sanitizeRichText('')).toBe('');
+            expect(sanitizeRichText(null)).toBe('');
+        });
+    });
+
+    describe('plainTextToRichText', () => {
+        it('escapes the text and keeps its line breaks', () => {
+            expect(plainTextToRichText('<b>not bold</b>\r\nsecond\nthird')).toBe('&lt;b&gt;not bold&lt;/b&gt;<br>second<br>third');
+        });
+    });
+
+    describe('cleanPastedHtml', () => {
+        it('turns Word list paragraphs into lists', () => {
+            const word =
+                '<p class="MsoListParagraphCxSpFirst" style="mso-list:l0 level1 lfo1"><span style="mso-list:Ignore">1.</span>First</p>' +
+                '<p class="MsoListParagraphCxSpLast" style="mso-list:l0 level1 lfo1"><span style="mso-list:Ignore">2.</span>Second</p>' +
+                '<p class="MsoListParagraph" style="mso-list:l1 level1 lfo2"><span style="mso-list:Ignore">·</span>Bullet</p>';
+
+            expect(cleanPastedHtml(word)).toBe('<ol><li>First</li><li>Second</li></ol><ul><li>Bullet</li></ul>');
+        });
+
+        it('turns inline font styles into tags and unwraps the Google Docs wrapper', () => {
+            const docs =
+                '<b style="font-weight:normal" id="docs-internal-guid-1">' +
+                '<span style="font-weight:700">bold</span> <span style="font-style:italic">italic</span> plain</b>';
+
+            expect(cleanPastedHtml(docs)).toBe('<b>bold</b> <i>italic</i> plain');
+        });
+
+        it('drops what the sanitizer drops', () => {
+            expect(cleanPastedHtml('<p>text<img src="https://tracker.example/pixel.gif"></p><script>alert(1)</script>')).toBe('<p>text</p>');
+        });
+    });
+
+    describe('insertSanitizedHtml', () => {
+        it('inserts the sanitized HTML at the end when the caret is not in the editor', () => {
+            const editor = document.createElement('div');
+            editor.innerHTML = 'Hello ';
+            document.body.appendChild(editor);
+            window.getSelection().removeAllRanges();
+
+            insertSanitizedHtml(editor, '<b onclick="alert(1)">world</b><script>alert(1)</script>');
+
+            expect(editor.innerHTML).toBe('Hello <b>world</b>');
+            document.body.removeChild(editor);
+        });
+    });
+});
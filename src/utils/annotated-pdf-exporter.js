@@ -0,0 +1,407 @@
+// Prebuilt ES bundle: the package's module build imports its font metrics as JSON, which the widget build cannot load
+import { PDFDocument, StandardFonts, degrees, rgb } from 'pdf-lib/dist/pdf-lib.esm';
+import { ANNOTATION_TYPES, SHAPE_KINDS, getAnnotationTypeLabel } from './annotation-types';
+import { ANNOTATION_STATUS_LABELS, getAnnotationStatus } from './annotation-status';
+import { createUserSpaceMapper } from './annotation-geometry';
+
+/**
+ * Annotated PDF Exporter
+ * Burns every annotation into a copy of the loaded PDF (rectangles, highlights, pen strokes,
+ * shapes and numbered pins) and appends a comment appendix listing each annotation's number,
+ * page, author, date, status, comment, reference document, attachments and replies.
+ * Runs entirely in the browser on the bytes of the already downloaded document.
+ */
+
+// Characters 0x80-0x9F of WinAnsiEncoding; with Latin-1 and ASCII this is all the standard fonts can show
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+// Common characters outside WinAnsi with a readable replacement
+const WIN_ANSI_REPLACEMENTS = {
+    '\u2010': '-',
+    '\u2011': '-',
+    '\u2012': '-',
+    '\u2212': '-',
+    '\u2192': '->',
+    '\u2190': '<-',
+    '\u2713': 'v',
+    '\u2714': 'v',
+    '\u202f': ' ',
+    '\u200b': ''
+};
+
+const isWinAnsiCharacter = character => {
+    const code = character.charCodeAt(0);
+    return character.length === 1 && ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff) || WIN_ANSI_EXTRAS.includes(character));
+};
+
+/**
+ * Make `text` drawable with the standard (WinAnsi) fonts: tabs become spaces, accents that only
+ * exist as combined characters are decomposed, and anything else (emoji, CJK, ...) becomes '?'.
+ * Line breaks are kept for the caller to split on.
+ */
+export function toWinAnsiText(text) {
+    return Array.from(String(text || '').replace(/\r\n?/g, '\n').replace(/\t/g, ' '))
+        .map(character => {
+            if (character === '\n' || isWinAnsiCharacter(character)) {
+                return character;
+            }
+            if (WIN_ANSI_REPLACEMENTS[character] !== undefined) {
+                return WIN_ANSI_REPLACEMENTS[character];
+            }
+            const decomposed = character.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+            return decomposed && Array.from(decomposed).every(isWinAnsiCharacter) ? decomposed : '?';
+        })
+        .join('');
+}
+
+/**
+ * Split `text` into lines no wider than `maxWidth`; explicit line breaks are kept
+ */
+export function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+
+    text.split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (font.widthOfTextAtSize(candidate, size) <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) {
+                lines.push(line);
+            }
+            // Words longer than a line are broken by character
+            line = '';
+            Array.from(word).forEach(character => {
+                if (font.widthOfTextAtSize(line + character, size) > maxWidth && line) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += character;
+            });
+        });
+        lines.push(line);
+    });
+
+    return lines;
+}
+
+const hexToRgb = (hex, fallback) => {
+    const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+    if (!match) {
+        return fallback;
+    }
+    return rgb(
+        parseInt(match[1].slice(0, 2), 16) / 255,
+        parseInt(match[1].slice(2, 4), 16) / 255,
+        parseInt(match[1].slice(4, 6), 16) / 255
+    );
+};
+
+const COLORS = {
+    area: rgb(0.231, 0.51, 0.965),
+    highlight: rgb(1, 0.835, 0),
+    note: rgb(1, 0.757, 0.027),
+    shape: rgb(0.898, 0.224, 0.208),
+    label: rgb(1, 1, 1),
+    text: rgb(0.13, 0.15, 0.16),
+    muted: rgb(0.42, 0.46, 0.49),
+    rule: rgb(0.87, 0.89, 0.9)
+};
+
+// Page-relative → user space for a pdf-lib page, over the box the viewer displays
+export const createPageMapper = page => createUserSpaceMapper(page.getCropBox(), page.getRotation().angle);
+
+export class AnnotatedPdfExporter {
+    constructor(options = {}) {
+        this.options = {
+            appendixPageWidth: 595, // A4 portrait
+            appendixPageHeight: 842,
+            margin: 50,
+            fontSize: 10,
+            headingFontSize: 16,
+            lineHeight: 14,
+            labelFontSize: 8,
+            ...options
+        };
+
+        this.debugLog = options.debugLog || (message => console.log(message));
+        this.getReferenceDocName = options.getReferenceDocName || (() => '');
+    }
+
+    /**
+     * Export `annotations` into a copy of `pdfBytes` (ArrayBuffer or Uint8Array).
+     * Returns a PDF Blob.
+     */
+    async exportPdf(pdfBytes, annotations) {
+        this.debugLog(`📤 Exporting annotated PDF with ${annotations.length} annotations...`);
+
+        const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+        this.font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+        this.boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+        const pages = pdfDoc.getPages();
+        let skipped = 0;
+
+        annotations.forEach((annotation, index) => {
+            const page = pages[(annotation.page || 1) - 1];
+            if (!page) {
+                skipped++;
+                return;
+            }
+            try {
+                this.drawAnnotation(page, annotation, index + 1);
+            } catch (error) {
+                skipped++;
+                this.debugLog(`⚠️ Could not draw annotation ${annotation.id}: ${error.message}`);
+            }
+        });
+
+        if (annotations.length > 0) {
+            this.addAppendix(pdfDoc, annotations);
+        }
+
+        const bytes = await pdfDoc.save();
+        this.debugLog(`✅ Annotated PDF created: ${bytes.length} bytes${skipped > 0 ? `, ${skipped} annotations not drawn` : ''}`);
+        return new Blob([bytes], { type: 'application/pdf' });
+    }
+
+    drawAnnotation(page, annotation, number) {
+        const mapper = createPageMapper(page);
+
+        switch (annotation.type) {
+            case ANNOTATION_TYPES.TEXT_HIGHLIGHT:
+                (annotation.quads || []).forEach(quad => {
+                    page.drawRectangle({ ...mapper.toUserRect(quad), color: COLORS.highlight, opacity: 0.4 });
+                });
+                if (annotation.quads && annotation.quads.length > 0) {
+                    this.drawNumberLabel(page, mapper, annotation.quads[0], number, COLORS.highlight);
+                }
+                break;
+
+            case ANNOTATION_TYPES.INK:
+                (annotation.strokes || []).forEach(stroke => {
+                    const points = (stroke.points || []).map(mapper.toUserSpace);
+                    const color = hexToRgb(stroke.color, COLORS.shape);
+                    for (let i = 1; i < points.length; i++) {
+                        page.drawLine({ start: points[i - 1], end: points[i], thickness: stroke.width || 2, color });
+                    }
+                });
+                if (annotation.strokes && annotation.strokes[0] && annotation.strokes[0].points && annotation.strokes[0].points[0]) {
+                    const first = annotation.strokes[0].points[0];
+                    this.drawNumberLabel(page, mapper, { x: first.x, y: first.y, width: 0, height: 0 }, number, hexToRgb(annotation.strokes[0].color, COLORS.shape));
+                }
+                break;
+
+            case ANNOTATION_TYPES.SHAPE:
+                this.drawShape(page, mapper, annotation, number);
+                break;
+
+            case ANNOTATION_TYPES.NOTE:
+                if (annotation.point) {
+                    this.drawNumberLabel(page, mapper, { x: annotation.point.x, y: annotation.point.y, width: 0, height: 0 }, number, COLORS.note, COLORS.text);
+                }
+                break;
+
+            default:
+                if (annotation.area) {
+                    page.drawRectangle({
+                        ...mapper.toUserRect(annotation.area),
+                        color: COLORS.area,
+                        opacity: 0.15,
+                        borderColor: COLORS.area,
+                        borderWidth: 1.5
+                    });
+                    this.drawNumberLabel(page, mapper, annotation.area, number, COLORS.area);
+                }
+        }
+    }
+
+    drawShape(page, mapper, annotation, number) {
+        const style = annotation.style || {};
+        const color = hexToRgb(style.strokeColor, COLORS.shape);
+        const thickness = style.strokeWidth || 2;
+        const opacity = style.opacity || 1;
+        const fill = style.fillColor ? hexToRgb(style.fillColor, undefined) : undefined;
+
+        if (annotation.shape === SHAPE_KINDS.LINE || annotation.shape === SHAPE_KINDS.ARROW) {
+            const start = mapper.toUserSpace(annotation.start);
+            const end = mapper.toUserSpace(annotation.end);
+            page.drawLine({ start, end, thickness, color, opacity });
+
+            if (annotation.shape === SHAPE_KINDS.ARROW) {
+                const angle = Math.atan2(end.y - start.y, end.x - start.x);
+                const headLength = Math.max(thickness * 4, 8);
+                [-0.45, 0.45].forEach(spread => {
+                    page.drawLine({
+                        start: end,
+                        end: {
+                            x: end.x - headLength * Math.cos(angle + spread),
+                            y: end.y - headLength * Math.sin(angle + spread)
+                        },
+                        thickness,
+                        color,
+                        opacity
+                    });
+                });
+            }
+            this.drawNumberLabel(page, mapper, { ...annotation.start, width: 0, height: 0 }, number, color);
+            return;
+        }
+
+        if (annotation.shape === SHAPE_KINDS.ELLIPSE && annotation.area) {
+            const rect = mapper.toUserRect(annotation.area);
+            page.drawEllipse({
+                x: rect.x + rect.width / 2,
+                y: rect.y + rect.height / 2,
+                xScale: rect.width / 2,
+                yScale: rect.height / 2,
+                borderColor: color,
+                borderWidth: thickness,
+                color: fill,
+                opacity,
+                borderOpacity: opacity
+            });
+            this.drawNumberLabel(page, mapper, annotation.area, number, color);
+            return;
+        }
+
+        if (annotation.shape === SHAPE_KINDS.CALLOUT && annotation.area && annotation.anchor) {
+            const rect = mapper.toUserRect(annotation.area);
+            const anchor = mapper.toUserSpace(annotation.anchor);
+            page.drawLine({ start: anchor, end: { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 }, thickness, color, opacity });
+            page.drawCircle({ x: anchor.x, y: anchor.y, size: Math.max(thickness, 3), color, opacity });
+            page.drawRectangle({
+                ...rect,
+                color: fill || rgb(1, 1, 1),
+                borderColor: color,
+                borderWidth: thickness,
+                opacity,
+                borderOpacity: opacity
+            });
+            this.drawWrappedText(page, toWinAnsiText(annotation.comment), rect, mapper.rotation);
+            this.drawNumberLabel(page, mapper, annotation.area, number, color);
+        }
+    }
+
+    // Comment inside a callout box, clipped to the lines that fit (the appendix has the full text).
+    // Rotated pages get the box only; their text would need rotating along with it.
+    drawWrappedText(page, text, rect, rotation) {
+        if (rotation !== 0) {
+            return;
+        }
+
+        const size = this.options.labelFontSize;
+        const padding = 3;
+        const lines = wrapText(text, this.font, size, rect.width - padding * 2);
+        const maxLines = Math.max(Math.floor((rect.height - padding * 2) / (size + 2)), 0);
+
+        lines.slice(0, maxLines).forEach((line, index) => {
+            page.drawText(line, {
+                x: rect.x + padding,
+                y: rect.y + rect.height - padding - size - index * (size + 2),
+                size,
+                font: this.font,
+                color: COLORS.text
+            });
+        });
+    }
+
+    // Numbered tag at the top-left corner of `rect` (page-relative), matching the appendix numbers
+    drawNumberLabel(page, mapper, rect, number, color, textColor = COLORS.label) {
+        const label = String(number);
+        const size = this.options.labelFontSize;
+        const width = this.boldFont.widthOfTextAtSize(label, size) + 6;
+        const height = size + 4;
+        const corner = mapper.toUserSpace({ x: rect.x, y: rect.y });
+        const rotate = degrees(mapper.rotation);
+
+        page.drawRectangle({ x: corner.x, y: corner.y, width, height, color, rotate });
+
+        // Text origin is rotated along with the tag, 3pt in and 3pt up from its corner
+        const radians = (mapper.rotation * Math.PI) / 180;
+        page.drawText(label, {
+            x: corner.x + 3 * Math.cos(radians) - 3 * Math.sin(radians),
+            y: corner.y + 3 * Math.sin(radians) + 3 * Math.cos(radians),
+            size,
+            font: this.boldFont,
+            color: textColor,
+            rotate
+        });
+    }
+
+    addAppendix(pdfDoc, annotations) {
+        const { appendixPageWidth, appendixPageHeight, margin, fontSize, headingFontSize, lineHeight } = this.options;
+        const textWidth = appendixPageWidth - margin * 2;
+        let page = null;
+        let y = 0;
+
+        const newPage = () => {
+            page = pdfDoc.addPage([appendixPageWidth, appendixPageHeight]);
+            y = appendixPageHeight - margin;
+        };
+
+        const writeLines = (text, { font = this.font, size = fontSize, color = COLORS.text, indent = 0 } = {}) => {
+            wrapText(toWinAnsiText(text), font, size, textWidth - indent).forEach(line => {
+                if (y - lineHeight < margin) {
+                    newPage();
+                }
+                y -= lineHeight;
+                page.drawText(line, { x: margin + indent, y, size, font, color });
+            });
+        };
+
+        newPage();
+        y -= headingFontSize;
+        page.drawText('Annotations', { x: margin, y, size: headingFontSize, font: this.boldFont, color: COLORS.text });
+        y -= lineHeight / 2;
+        writeLines(`${annotations.length} annotation${annotations.length === 1 ? '' : 's'} • exported ${new Date().toLocaleString()}`, { color: COLORS.muted });
+        y -= lineHeight / 2;
+
+        annotations.forEach((annotation, index) => {
+            // Keep the heading of an entry together with at least its first comment line
+            if (y - lineHeight * 3 < margin) {
+                newPage();
+            }
+
+            y -= lineHeight / 2;
+            page.drawLine({
+                start: { x: margin, y },
+                end: { x: appendixPageWidth - margin, y },
+                thickness: 0.5,
+                color: COLORS.rule
+            });
+
+            writeLines(`#${index + 1}  Page ${annotation.page || 1}  •  ${getAnnotationTypeLabel(annotation)}  •  ${ANNOTATION_STATUS_LABELS[getAnnotationStatus(annotation)]}${annotation.pinNumber ? `  •  Pin ${annotation.pinNumber}` : ''}`, { font: this.boldFont });
+            writeLines(`${annotation.createdBy || 'Unknown'}  •  ${annotation.timestamp ? new Date(annotation.timestamp).toLocaleString() : ''}`, { color: COLORS.muted });
+
+            if (annotation.quote) {
+                writeLines(`"${annotation.quote}"`, { color: COLORS.muted, indent: 10 });
+            }
+            if (annotation.comment) {
+                writeLines(annotation.comment);
+            }
+            if (annotation.referenceDoc) {
+                writeLines(`Reference document: ${this.getReferenceDocName(annotation.referenceDoc) || annotation.referenceDoc}`, { color: COLORS.muted });
+            }
+            if (annotation.uploadedFiles && annotation.uploadedFiles.length > 0) {
+                writeLines(`Attachments: ${annotation.uploadedFiles.map(file => file.name).join(', ')}`, { color: COLORS.muted });
+            }
+            (annotation.replies || []).forEach(reply => {
+                writeLines(`Reply from ${reply.createdBy || 'Unknown'} • ${reply.timestamp ? new Date(reply.timestamp).toLocaleString() : ''}`, { color: COLORS.muted, indent: 14 });
+                writeLines(reply.comment || '', { indent: 14 });
+            });
+        });
+    }
+
+    /**
+     * Static export method (same shape as the converters)
+     */
+    static export(pdfBytes, annotations, options = {}) {
+        const exporter = new AnnotatedPdfExporter(options);
+        return exporter.exportPdf(pdfBytes, annotations);
+    }
+}
+
+export default AnnotatedPdfExporter;
@@ -0,0 +1,156 @@
+/**
+ * Sidebar search, filters and sort order.
+ * Filters combine with the status filter; an empty value means "any".
+ */
+import { ANNOTATION_TYPES, getAnnotationTypeLabel } from './annotation-types';
+import { getBoundingArea, getPointsBounds, getShapeBounds } from './annotation-geometry';
+
+export const ANNOTATION_SORT_ORDERS = {
+    PAGE: 'page',
+    NEWEST: 'newest',
+    OLDEST: 'oldest',
+    AUTHOR: 'author'
+};
+
+export const ANNOTATION_SORT_LABELS = {
+    [ANNOTATION_SORT_ORDERS.PAGE]: 'Page order',
+    [ANNOTATION_SORT_ORDERS.NEWEST]: 'Newest first',
+    [ANNOTATION_SORT_ORDERS.OLDEST]: 'Oldest first',
+    [ANNOTATION_SORT_ORDERS.AUTHOR]: 'Author'
+};
+
+export const DEFAULT_ANNOTATION_FILTERS = {
+    searchTerm: '',
+    author: '',
+    page: '',
+    dateFrom: '',
+    dateTo: '',
+    hasAttachments: false,
+    hasReferenceDoc: false,
+    type: ''
+};
+
+export function countActiveFilters(filters) {
+    return Object.keys(DEFAULT_ANNOTATION_FILTERS)
+        .filter(key => key !== 'searchTerm' && filters[key] !== DEFAULT_ANNOTATION_FILTERS[key])
+        .length;
+}
+
+// Distinct authors, alphabetically
+export function getAnnotationAuthors(annotations) {
+    return [...new Set(annotations.map(annotation => annotation.createdBy).filter(Boolean))]
+        .sort((a, b) => a.localeCompare(b));
+}
+
+// Pages that carry at least one annotation, ascending
+export function getAnnotatedPages(annotations) {
+    return [...new Set(annotations.map(annotation => annotation.page || 1))].sort((a, b) => a - b);
+}
+
+// Distinct annotation types in the list, as { value, label } options
+export function getAnnotationTypeOptions(annotations) {
+    return [...new Set(annotations.map(annotation => annotation.type).filter(Boolean))]
+        .map(type => ({ value: type, label: getAnnotationTypeLabel(type) }))
+        .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+// Local calendar day (YYYY-MM-DD) of an ISO timestamp, comparable with <input type="date"> values
+function toLocalDay(timestamp) {
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) {
+        return null;
+    }
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Text the search box looks through: comment, author, reference document name,
+ * attachment names and the comments of replies
+ */
+function getSearchableText(annotation, getReferenceDocName) {
+    return [
+        annotation.comment,
+        annotation.quote,
+        annotation.createdBy,
+        annotation.referenceDoc && getReferenceDocName ? getReferenceDocName(annotation.referenceDoc) : '',
+        ...(annotation.uploadedFiles || []).map(file => file.name),
+        ...(annotation.replies || []).map(reply => `${reply.comment || ''} ${reply.createdBy || ''}`)
+    ].filter(Boolean).join('\n').toLowerCase();
+}
+
+export function matchesAnnotationFilters(annotation, filters, getReferenceDocName) {
+    const searchTerm = filters.searchTerm.trim().toLowerCase();
+    if (searchTerm && !getSearchableText(annotation, getReferenceDocName).includes(searchTerm)) {
+        return false;
+    }
+
+    if (filters.author && annotation.createdBy !== filters.author) {
+        return false;
+    }
+
+    if (filters.page && (annotation.page || 1) !== Number(filters.page)) {
+        return false;
+    }
+
+    if (filters.type && annotation.type !== filters.type) {
+        return false;
+    }
+
+    if (filters.hasAttachments && !(annotation.uploadedFiles && annotation.uploadedFiles.length > 0)) {
+        return false;
+    }
+
+    if (filters.hasReferenceDoc && !annotation.referenceDoc) {
+        return false;
+    }
+
+    if (filters.dateFrom || filters.dateTo) {
+        const day = toLocalDay(annotation.timestamp);
+        if (!day || (filters.dateFrom && day < filters.dateFrom) || (filters.dateTo && day > filters.dateTo)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+const getTime = annotation => new Date(annotation.timestamp).getTime() || 0;
+
+// Top edge of the annotation on its page, so page order also reads top to bottom
+const getTopOffset = annotation => {
+    let bounds = null;
+    if (annotation.type === ANNOTATION_TYPES.TEXT_HIGHLIGHT) {
+        bounds = getBoundingArea(annotation.quads);
+    } else if (annotation.type === ANNOTATION_TYPES.INK) {
+        bounds = getPointsBounds((annotation.strokes || []).flatMap(stroke => stroke.points || []));
+    } else if (annotation.type === ANNOTATION_TYPES.SHAPE) {
+        bounds = getShapeBounds(annotation);
+    } else if (annotation.point) {
+        return annotation.point.y;
+    } else {
+        bounds = annotation.area;
+    }
+    return bounds ? bounds.y : 0;
+};
+
+/**
+ * Sort sidebar entries ({ annotation, index }); ties keep the order of the stored list
+ */
+export function sortAnnotationEntries(entries, order) {
+    const compare = {
+        [ANNOTATION_SORT_ORDERS.PAGE]: (a, b) => (a.annotation.page || 1) - (b.annotation.page || 1) ||
+            getTopOffset(a.annotation) - getTopOffset(b.annotation),
+        [ANNOTATION_SORT_ORDERS.NEWEST]: (a, b) => getTime(b.annotation) - getTime(a.annotation),
+        [ANNOTATION_SORT_ORDERS.OLDEST]: (a, b) => getTime(a.annotation) - getTime(b.annotation),
+        [ANNOTATION_SORT_ORDERS.AUTHOR]: (a, b) => (a.annotation.createdBy || '').localeCompare(b.annotation.createdBy || '') ||
+            (a.annotation.page || 1) - (b.annotation.page || 1)
+    }[order];
+
+    if (!compare) {
+        return entries;
+    }
+
+    return [...entries].sort((a, b) => compare(a, b) || a.index - b.index);
+}
@@ -0,0 +1,294 @@
+/**
+ * Page-relative geometry helpers for annotations.
+ * Every coordinate is a percentage of the rendered page box, so stored
+ * annotations line up again at any zoom level.
+ */
+
+import { SHAPE_KINDS } from './annotation-types';
+
+const clampPercent = value => Math.min(Math.max(value, 0), 100);
+
+/**
+ * Convert a viewport rect (DOMRect) into page-relative percentages
+ */
+export function toPageRelativeRect(clientRect, pageRect) {
+    const left = clampPercent(((clientRect.left - pageRect.left) / pageRect.width) * 100);
+    const top = clampPercent(((clientRect.top - pageRect.top) / pageRect.height) * 100);
+    const right = clampPercent(((clientRect.right - pageRect.left) / pageRect.width) * 100);
+    const bottom = clampPercent(((clientRect.bottom - pageRect.top) / pageRect.height) * 100);
+
+    return {
+        x: left,
+        y: top,
+        width: Math.max(right - left, 0),
+        height: Math.max(bottom - top, 0)
+    };
+}
+
+/**
+ * Merge the per-span rects of a text selection into one quad per line.
+ * Rects whose vertical centres are within `tolerance` percent are treated as the same line.
+ */
+export function mergeLineRects(rects, tolerance = 0.6) {
+    const sorted = rects
+        .filter(rect => rect.width > 0 && rect.height > 0)
+        .sort((a, b) => a.y - b.y || a.x - b.x);
+
+    const lines = [];
+
+    sorted.forEach(rect => {
+        const centre = rect.y + rect.height / 2;
+        const line = lines.find(candidate => Math.abs(candidate.y + candidate.height / 2 - centre) <= tolerance);
+
+        if (!line) {
+            lines.push({ ...rect });
+            return;
+        }
+
+        const right = Math.max(line.x + line.width, rect.x + rect.width);
+        const bottom = Math.max(line.y + line.height, rect.y + rect.height);
+        line.x = Math.min(line.x, rect.x);
+        line.y = Math.min(line.y, rect.y);
+        line.width = right - line.x;
+        line.height = bottom - line.y;
+    });
+
+    return lines;
+}
+
+/**
+ * Smallest rect enclosing all given rects, or null for an empty list
+ */
+export function getBoundingArea(rects) {
+    if (!rects || rects.length === 0) {
+        return null;
+    }
+
+    const left = Math.min(...rects.map(rect => rect.x));
+    const top = Math.min(...rects.map(rect => rect.y));
+    const right = Math.max(...rects.map(rect => rect.x + rect.width));
+    const bottom = Math.max(...rects.map(rect => rect.y + rect.height));
+
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Express `rect` as percentages of `container` (both page-relative), for nesting quads inside their bounding box
+ */
+export function toContainerRelativeRect(rect, container) {
+    return {
+        x: container.width ? ((rect.x - container.x) / container.width) * 100 : 0,
+        y: container.height ? ((rect.y - container.y) / container.height) * 100 : 0,
+        width: container.width ? (rect.width / container.width) * 100 : 100,
+        height: container.height ? (rect.height / container.height) * 100 : 100
+    };
+}
+
+/**
+ * Drop points closer than `minDistance` percent to their predecessor, keeping both stroke ends
+ */
+export function simplifyStroke(points, minDistance = 0.25) {
+    if (points.length <= 2) {
+        return points;
+    }
+
+    const simplified = [points[0]];
+
+    points.slice(1, -1).forEach(point => {
+        const last = simplified[simplified.length - 1];
+        if (Math.hypot(point.x - last.x, point.y - last.y) >= minDistance) {
+            simplified.push(point);
+        }
+    });
+
+    simplified.push(points[points.length - 1]);
+    return simplified;
+}
+
+/**
+ * Bounding rect of a point list, padded so straight horizontal/vertical strokes keep a visible box
+ */
+export function getPointsBounds(points, padding = 0.5) {
+    if (!points || points.length === 0) {
+        return null;
+    }
+
+    const left = Math.min(...points.map(point => point.x)) - padding;
+    const top = Math.min(...points.map(point => point.y)) - padding;
+    const right = Math.max(...points.map(point => point.x)) + padding;
+    const bottom = Math.max(...points.map(point => point.y)) + padding;
+
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Express a page-relative point as percentages of `container`
+ */
+export function toContainerRelativePoint(point, container) {
+    return {
+        x: container.width ? ((point.x - container.x) / container.width) * 100 : 0,
+        y: container.height ? ((point.y - container.y) / container.height) * 100 : 0
+    };
+}
+
+/**
+ * SVG `points` attribute for a polyline
+ */
+export function toSvgPoints(points) {
+    return points.map(point => `${point.x.toFixed(3)},${point.y.toFixed(3)}`).join(' ');
+}
+
+// Default size of a callout box, in percent of the page
+export const CALLOUT_BOX_SIZE = { width: 22, height: 7 };
+
+/**
+ * Place a callout box with its top-left corner at `point`, kept inside the page
+ */
+export function getCalloutBox(point) {
+    return {
+        x: Math.min(Math.max(point.x, 0), 100 - CALLOUT_BOX_SIZE.width),
+        y: Math.min(Math.max(point.y, 0), 100 - CALLOUT_BOX_SIZE.height),
+        width: CALLOUT_BOX_SIZE.width,
+        height: CALLOUT_BOX_SIZE.height
+    };
+}
+
+/**
+ * Page-relative bounding rect of a shape annotation (arrow, line, ellipse or callout)
+ */
+export function getShapeBounds(shape) {
+    if (!shape) {
+        return null;
+    }
+
+    if (shape.start && shape.end) {
+        return getPointsBounds([shape.start, shape.end], 1);
+    }
+
+    if (shape.area && shape.anchor) {
+        return getBoundingArea([shape.area, { x: shape.anchor.x, y: shape.anchor.y, width: 0, height: 0 }]);
+    }
+
+    return shape.area || null;
+}
+
+/**
+ * Rect spanned by two opposite corners
+ */
+export function rectFromPoints(start, end) {
+    return {
+        x: Math.min(start.x, end.x),
+        y: Math.min(start.y, end.y),
+        width: Math.abs(end.x - start.x),
+        height: Math.abs(end.y - start.y)
+    };
+}
+
+/**
+ * Geometry stored for a shape dragged from `start` to `end`:
+ * lines and arrows keep both points, ellipses their box, callouts the anchor plus a box at `end`
+ */
+export function buildShapeGeometry(kind, start, end) {
+    switch (kind) {
+        case SHAPE_KINDS.ELLIPSE:
+            return { shape: kind, area: rectFromPoints(start, end) };
+        case SHAPE_KINDS.CALLOUT:
+            return { shape: kind, anchor: start, area: getCalloutBox(end) };
+        default:
+            return { shape: kind, start, end };
+    }
+}
+
+// Smallest width/height (percent) an area can be resized to
+export const MIN_AREA_SIZE = 1;
+
+/**
+ * Shift `rect` by `dx`/`dy` percent, keeping it entirely on the page
+ */
+export function moveRect(rect, dx, dy) {
+    return {
+        ...rect,
+        x: Math.min(Math.max(rect.x + dx, 0), 100 - rect.width),
+        y: Math.min(Math.max(rect.y + dy, 0), 100 - rect.height)
+    };
+}
+
+/**
+ * Drag one corner of `rect` ('nw', 'ne', 'sw' or 'se') by `dx`/`dy` percent.
+ * The opposite corner stays put; the rect never flips or leaves the page.
+ */
+export function resizeRect(rect, handle, dx, dy) {
+    let left = rect.x;
+    let top = rect.y;
+    let right = rect.x + rect.width;
+    let bottom = rect.y + rect.height;
+
+    if (handle.includes('w')) {
+        left = Math.min(Math.max(left + dx, 0), right - MIN_AREA_SIZE);
+    } else {
+        right = Math.max(Math.min(right + dx, 100), left + MIN_AREA_SIZE);
+    }
+
+    if (handle.includes('n')) {
+        top = Math.min(Math.max(top + dy, 0), bottom - MIN_AREA_SIZE);
+    } else {
+        bottom = Math.max(Math.min(bottom + dy, 100), top + MIN_AREA_SIZE);
+    }
+
+    return { ...rect, x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Maps page-relative percentages (top-left origin of the page as displayed) to PDF user space
+ * and back. `box` is the page box the viewer renders ({ x, y, width, height } in user space) and
+ * `rotation` the page's /Rotate in degrees, which pdf.js applies when displaying the page.
+ */
+export function createUserSpaceMapper(box, rotation = 0) {
+    const normalizedRotation = ((rotation % 360) + 360) % 360;
+
+    const toUserSpace = point => {
+        const u = point.x / 100;
+        const v = point.y / 100;
+
+        switch (normalizedRotation) {
+            case 90:
+                return { x: box.x + v * box.width, y: box.y + u * box.height };
+            case 180:
+                return { x: box.x + (1 - u) * box.width, y: box.y + v * box.height };
+            case 270:
+                return { x: box.x + (1 - v) * box.width, y: box.y + (1 - u) * box.height };
+            default:
+                return { x: box.x + u * box.width, y: box.y + (1 - v) * box.height };
+        }
+    };
+
+    const toUserRect = rect => {
+        const a = toUserSpace({ x: rect.x, y: rect.y });
+        const b = toUserSpace({ x: rect.x + rect.width, y: rect.y + rect.height });
+        return {
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            width: Math.abs(b.x - a.x),
+            height: Math.abs(b.y - a.y)
+        };
+    };
+
+    const toPageRelative = point => {
+        const fx = (point.x - box.x) / box.width;
+        const fy = (point.y - box.y) / box.height;
+        const [u, v] = {
+            90: [fy, fx],
+            180: [1 - fx, fy],
+            270: [1 - fy, 1 - fx]
+        }[normalizedRotation] || [fx, 1 - fy];
+
+        return { x: clampPercent(u * 100), y: clampPercent(v * 100) };
+    };
+
+    const toPageRelativeFromUserRect = rect => rectFromPoints(
+        toPageRelative({ x: rect.x, y: rect.y }),
+        toPageRelative({ x: rect.x + rect.width, y: rect.y + rect.height })
+    );
+
+    return { rotation: normalizedRotation, toUserSpace, toUserRect, toPageRelative, toPageRelativeFromUserRect };
+}
@@ -0,0 +1,77 @@
+/**
+ * Undo/redo history for annotation operations.
+ * Every entry keeps a snapshot of the annotation before and after the operation,
+ * so undo and redo are just another add, edit or delete of a snapshot - which lets
+ * the viewer persist them through the same handlers (and microflows) as a user action.
+ */
+export const HISTORY_OPERATIONS = {
+    ADD: 'add',
+    EDIT: 'edit',
+    MOVE: 'move',
+    RESIZE: 'resize',
+    DELETE: 'delete',
+    STATUS_CHANGE: 'status-change'
+};
+
+export const HISTORY_OPERATION_LABELS = {
+    [HISTORY_OPERATIONS.ADD]: 'add',
+    [HISTORY_OPERATIONS.EDIT]: 'edit',
+    [HISTORY_OPERATIONS.MOVE]: 'move',
+    [HISTORY_OPERATIONS.RESIZE]: 'resize',
+    [HISTORY_OPERATIONS.DELETE]: 'delete',
+    [HISTORY_OPERATIONS.STATUS_CHANGE]: 'status change'
+};
+
+// Oldest entries are dropped beyond this
+export const HISTORY_LIMIT = 50;
+
+export function createHistoryEntry(operation, before, after) {
+    return { operation, before: before || null, after: after || null };
+}
+
+export function pushHistoryEntry(stack, entry) {
+    return [...stack, entry].slice(-HISTORY_LIMIT);
+}
+
+/**
+ * Work out what undoing (`direction` 'undo') or redoing ('redo') an entry means:
+ * the operation to persist it with and the annotation snapshot to apply.
+ * Undoing an add is a delete and undoing a delete is an add.
+ */
+export function resolveHistoryStep(entry, direction) {
+    const from = direction === 'undo' ? entry.after : entry.before;
+    const to = direction === 'undo' ? entry.before : entry.after;
+
+    if (!to) {
+        return { operation: HISTORY_OPERATIONS.DELETE, annotation: from };
+    }
+    if (!from) {
+        return { operation: HISTORY_OPERATIONS.ADD, annotation: to };
+    }
+    return { operation: entry.operation, annotation: to };
+}
+
+/**
+ * Apply a resolved step to the annotation list. Returns null when the step no longer
+ * applies (e.g. the annotation was removed in the meantime).
+ * Replies are not part of the history, so the current thread is kept on restored snapshots.
+ */
+export function applyHistoryStep(annotations, step) {
+    const current = annotations.find(annotation => annotation.id === step.annotation.id);
+
+    if (step.operation === HISTORY_OPERATIONS.DELETE) {
+        return current ? { annotations: annotations.filter(annotation => annotation.id !== current.id), annotation: current } : null;
+    }
+
+    const restored = current && current.replies ? { ...step.annotation, replies: current.replies } : step.annotation;
+
+    if (step.operation === HISTORY_OPERATIONS.ADD) {
+        return current
+            ? { annotations: annotations.map(annotation => (annotation.id === restored.id ? restored : annotation)), annotation: restored }
+            : { annotations: [...annotations, restored], annotation: restored };
+    }
+
+    return current
+        ? { annotations: annotations.map(annotation => (annotation.id === restored.id ? restored : annotation)), annotation: restored }
+        : null;
+}
@@ -0,0 +1,87 @@
+/**
+ * Concurrent edits of the pdfAnnotations attribute.
+ * Every annotation carries a `revision` that goes up with each change made to it. When the
+ * attribute changes underneath the widget (another reviewer saved), the remote list is merged
+ * with the local one by annotation id against the last list both started from:
+ * a change on one side wins over an untouched other side, the same change on both sides is
+ * taken once, and different changes to the same annotation are reported as conflicts.
+ */
+
+export function getRevision(annotation) {
+    return Number.isInteger(annotation.revision) ? annotation.revision : 0;
+}
+
+// Content of an annotation without its bookkeeping fields, for comparing versions
+const toComparable = annotation => JSON.stringify({ ...annotation, revision: undefined, schemaVersion: undefined });
+
+const isSameVersion = (a, b) => (!a && !b) || (Boolean(a) && Boolean(b) && toComparable(a) === toComparable(b));
+
+const indexById = annotations => new Map(annotations.map(annotation => [String(annotation.id), annotation]));
+
+/**
+ * `nextAnnotations` with the revision of every added or changed annotation raised by one
+ * compared with `previousAnnotations`
+ */
+export function stampRevisions(nextAnnotations, previousAnnotations) {
+    const previousById = indexById(previousAnnotations);
+
+    return nextAnnotations.map(annotation => {
+        const previous = previousById.get(String(annotation.id));
+        if (!previous) {
+            return { ...annotation, revision: Math.max(getRevision(annotation), 1) };
+        }
+        if (isSameVersion(annotation, previous)) {
+            return getRevision(annotation) === getRevision(previous) ? annotation : { ...annotation, revision: getRevision(previous) };
+        }
+        return { ...annotation, revision: getRevision(previous) + 1 };
+    });
+}
+
+// Whether `current` differs from `base` in any annotation
+export function hasAnnotationChanges(base, current) {
+    if (base.length !== current.length) {
+        return true;
+    }
+    const baseById = indexById(base);
+    return current.some(annotation => !isSameVersion(annotation, baseById.get(String(annotation.id))));
+}
+
+/**
+ * Three-way merge by id. Returns `{ merged, conflicts }`; a conflict
+ * `{ id, base, local, remote }` (missing side = deleted) is merged as the remote version
+ * until the user decides.
+ */
+export function mergeAnnotations(base, local, remote) {
+    const baseById = indexById(base);
+    const localById = indexById(local);
+    const remoteById = indexById(remote);
+    const merged = [];
+    const conflicts = [];
+
+    const mergeOne = id => {
+        const baseVersion = baseById.get(id);
+        const localVersion = localById.get(id);
+        const remoteVersion = remoteById.get(id);
+        const localChanged = !isSameVersion(baseVersion, localVersion);
+        const remoteChanged = !isSameVersion(baseVersion, remoteVersion);
+
+        if (!localChanged) {
+            return remoteVersion;
+        }
+        if (!remoteChanged || isSameVersion(localVersion, remoteVersion)) {
+            return localVersion;
+        }
+        conflicts.push({ id: (localVersion || remoteVersion).id, base: baseVersion || null, local: localVersion || null, remote: remoteVersion || null });
+        return remoteVersion;
+    };
+
+    // Remote order first, then what only exists locally
+    [...remoteById.keys(), ...[...localById.keys()].filter(id => !remoteById.has(id))].forEach(id => {
+        const version = mergeOne(id);
+        if (version) {
+            merged.push(version);
+        }
+    });
+
+    return { merged, conflicts };
+}
@@ -0,0 +1,184 @@
+/**
+ * Versioned schema of the pdfAnnotations JSON.
+ * Every saved annotation carries `schemaVersion`; entries without one were written before
+ * versioning (version 1) and are migrated step by step on load. Entries that still do not
+ * validate are reported and kept aside - they are written back unchanged on the next save,
+ * so nothing stored is lost because this widget cannot show it.
+ */
+import { ANNOTATION_TYPES, SHAPE_KINDS, isKnownAnnotationType } from './annotation-types';
+import { ANNOTATION_STATUSES, ANNOTATION_STATUS_LABELS } from './annotation-status';
+import { sanitizeRichText } from './rich-text-sanitizer';
+
+export const ANNOTATION_SCHEMA_VERSION = 3;
+
+const withSanitizedRichText = item => (typeof item.richTextContent === 'string'
+    ? { ...item, richTextContent: sanitizeRichText(item.richTextContent) }
+    : item);
+
+// The comment HTML of an annotation and its replies reduced to what the sanitizer allows
+const withSanitizedComments = annotation => ({
+    ...withSanitizedRichText(annotation),
+    ...(Array.isArray(annotation.replies) ? { replies: annotation.replies.map(reply => (reply ? withSanitizedRichText(reply) : reply)) } : {})
+});
+
+/**
+ * Migrations from one schema version to the next, keyed by the version they upgrade from
+ */
+const MIGRATIONS = {
+    // Version 1: area annotations only - `type` could be missing and there was no review status
+    1: annotation => ({
+        ...annotation,
+        type: annotation.type || (annotation.area ? ANNOTATION_TYPES.AREA : undefined),
+        page: annotation.page || 1,
+        status: annotation.status || ANNOTATION_STATUSES.OPEN,
+        referenceDoc: annotation.referenceDoc || '',
+        uploadedFiles: Array.isArray(annotation.uploadedFiles) ? annotation.uploadedFiles : []
+    }),
+    // Version 2: comment HTML was stored as typed or pasted, scripts and tracking images included
+    2: withSanitizedComments
+};
+
+export function getSchemaVersion(annotation) {
+    return Number.isInteger(annotation.schemaVersion) ? annotation.schemaVersion : 1;
+}
+
+// Apply every migration between the entry's version and the current one
+export function migrateAnnotation(annotation) {
+    let migrated = annotation;
+    for (let version = getSchemaVersion(annotation); version < ANNOTATION_SCHEMA_VERSION; version++) {
+        migrated = MIGRATIONS[version] ? MIGRATIONS[version](migrated) : migrated;
+    }
+    return { ...migrated, schemaVersion: Math.max(getSchemaVersion(annotation), ANNOTATION_SCHEMA_VERSION) };
+}
+
+const isNumber = value => typeof value === 'number' && isFinite(value);
+const isPoint = value => Boolean(value) && isNumber(value.x) && isNumber(value.y);
+const isRect = value => isPoint(value) && isNumber(value.width) && isNumber(value.height);
+
+/**
+ * Problems that keep `annotation` from being shown, as readable messages (empty when valid)
+ */
+export function validateAnnotation(annotation) {
+    if (!annotation || typeof annotation !== 'object' || Array.isArray(annotation)) {
+        return ['Entry is not an object'];
+    }
+
+    const errors = [];
+
+    if (typeof annotation.id !== 'string' && !isNumber(annotation.id)) {
+        errors.push('Missing id');
+    }
+    if (!isKnownAnnotationType(annotation.type)) {
+        errors.push(`Unknown type "${annotation.type}"`);
+    }
+    if (!Number.isInteger(annotation.page) || annotation.page < 1) {
+        errors.push(`Invalid page "${annotation.page}"`);
+    }
+    if (annotation.status && !ANNOTATION_STATUS_LABELS[annotation.status]) {
+        errors.push(`Unknown status "${annotation.status}"`);
+    }
+    if (annotation.replies !== undefined && !Array.isArray(annotation.replies)) {
+        errors.push('Replies are not a list');
+    }
+    if (annotation.uploadedFiles !== undefined && !Array.isArray(annotation.uploadedFiles)) {
+        errors.push('Attachments are not a list');
+    }
+    if (annotation.mentions !== undefined && !Array.isArray(annotation.mentions)) {
+        errors.push('Mentions are not a list');
+    }
+
+    switch (annotation.type) {
+        case ANNOTATION_TYPES.AREA:
+            if (!isRect(annotation.area)) errors.push('Area annotation without a valid area');
+            break;
+        case ANNOTATION_TYPES.TEXT_HIGHLIGHT:
+            if (!Array.isArray(annotation.quads) || annotation.quads.length === 0 || !annotation.quads.every(isRect)) {
+                errors.push('Text highlight without valid quads');
+            }
+            break;
+        case ANNOTATION_TYPES.INK:
+            if (!Array.isArray(annotation.strokes) || !annotation.strokes.every(stroke => stroke && Array.isArray(stroke.points) && stroke.points.every(isPoint))) {
+                errors.push('Pen drawing without valid strokes');
+            }
+            break;
+        case ANNOTATION_TYPES.NOTE:
+            if (!isPoint(annotation.point)) errors.push('Sticky note without a valid point');
+            break;
+        case ANNOTATION_TYPES.SHAPE:
+            if (annotation.shape === SHAPE_KINDS.LINE || annotation.shape === SHAPE_KINDS.ARROW) {
+                if (!isPoint(annotation.start) || !isPoint(annotation.end)) errors.push('Line without valid start and end');
+            } else if (annotation.shape === SHAPE_KINDS.ELLIPSE || annotation.shape === SHAPE_KINDS.CALLOUT) {
+                if (!isRect(annotation.area)) errors.push('Shape without a valid area');
+                if (annotation.shape === SHAPE_KINDS.CALLOUT && !isPoint(annotation.anchor)) errors.push('Callout without a valid anchor');
+            } else {
+                errors.push(`Unknown shape "${annotation.shape}"`);
+            }
+            break;
+        default:
+            break;
+    }
+
+    return errors;
+}
+
+/**
+ * Parse the stored JSON. Accepts the plain annotation list and an envelope
+ * `{ schemaVersion, annotations: [...] }`. Returns
+ * `{ annotations, invalidEntries: [{ index, entry, errors }], migratedCount, parseError }`;
+ * when `parseError` is set the stored value could not be read at all.
+ */
+export function parseAnnotationsJson(json) {
+    const result = { annotations: [], invalidEntries: [], migratedCount: 0, parseError: null };
+
+    if (!json || typeof json !== 'string' || json.trim() === '') {
+        return result;
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(json);
+    } catch (error) {
+        return { ...result, parseError: error.message };
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : parsed && Array.isArray(parsed.annotations) ? parsed.annotations : null;
+    if (!entries) {
+        return { ...result, parseError: 'Expected a list of annotations' };
+    }
+
+    // Compared as strings, like the merge does - ids 1 and "1" would collide there
+    const seenIds = new Set();
+    entries.forEach((entry, index) => {
+        const migrated = entry && typeof entry === 'object' && !Array.isArray(entry) ? migrateAnnotation(entry) : entry;
+        const errors = validateAnnotation(migrated);
+
+        if (errors.length === 0 && seenIds.has(String(migrated.id))) {
+            errors.push(`Duplicate id "${migrated.id}"`);
+        }
+        if (errors.length > 0) {
+            // The original is kept, so saving writes back exactly what was stored
+            result.invalidEntries.push({ index, entry, errors });
+            return;
+        }
+
+        seenIds.add(String(migrated.id));
+        if (getSchemaVersion(entry) < ANNOTATION_SCHEMA_VERSION) {
+            result.migratedCount++;
+        }
+        result.annotations.push(migrated);
+    });
+
+    return result;
+}
+
+/**
+ * JSON to store: the annotations stamped with the current schema version and their comment HTML
+ * sanitized - whichever editor, import or peer it came from - followed by the invalid entries
+ * exactly as they were loaded
+ */
+export function serializeAnnotations(annotations, invalidEntries = []) {
+    return JSON.stringify([
+        ...annotations.map(annotation => ({ ...withSanitizedComments(annotation), schemaVersion: Math.max(getSchemaVersion(annotation), ANNOTATION_SCHEMA_VERSION) })),
+        ...invalidEntries.map(invalid => invalid.entry)
+    ]);
+}
@@ -0,0 +1,81 @@
+/**
+ * Review status workflow of an annotation:
+ * Open → Resolved / Won't fix → Reopened → Resolved / Won't fix ...
+ */
+export const ANNOTATION_STATUSES = {
+    OPEN: 'open',
+    RESOLVED: 'resolved',
+    WONT_FIX: 'wont-fix',
+    REOPENED: 'reopened'
+};
+
+export const ANNOTATION_STATUS_LABELS = {
+    [ANNOTATION_STATUSES.OPEN]: 'Open',
+    [ANNOTATION_STATUSES.RESOLVED]: 'Resolved',
+    [ANNOTATION_STATUSES.WONT_FIX]: "Won't fix",
+    [ANNOTATION_STATUSES.REOPENED]: 'Reopened'
+};
+
+// Button captions for moving into a status
+export const ANNOTATION_STATUS_ACTIONS = {
+    [ANNOTATION_STATUSES.RESOLVED]: '✓ Resolve',
+    [ANNOTATION_STATUSES.WONT_FIX]: "⊘ Won't fix",
+    [ANNOTATION_STATUSES.REOPENED]: '↻ Reopen'
+};
+
+const STATUS_TRANSITIONS = {
+    [ANNOTATION_STATUSES.OPEN]: [ANNOTATION_STATUSES.RESOLVED, ANNOTATION_STATUSES.WONT_FIX],
+    [ANNOTATION_STATUSES.RESOLVED]: [ANNOTATION_STATUSES.REOPENED],
+    [ANNOTATION_STATUSES.WONT_FIX]: [ANNOTATION_STATUSES.REOPENED],
+    [ANNOTATION_STATUSES.REOPENED]: [ANNOTATION_STATUSES.RESOLVED, ANNOTATION_STATUSES.WONT_FIX]
+};
+
+// Sidebar filter values; 'outstanding' groups everything still waiting for an answer
+export const STATUS_FILTERS = {
+    ALL: 'all',
+    OUTSTANDING: 'outstanding',
+    ...ANNOTATION_STATUSES
+};
+
+// Annotations saved before the workflow existed count as open
+export function getAnnotationStatus(annotation) {
+    return annotation.status && ANNOTATION_STATUS_LABELS[annotation.status] ? annotation.status : ANNOTATION_STATUSES.OPEN;
+}
+
+export function getAllowedStatusTransitions(annotation) {
+    return STATUS_TRANSITIONS[getAnnotationStatus(annotation)] || [];
+}
+
+export function isOutstandingStatus(status) {
+    return status === ANNOTATION_STATUSES.OPEN || status === ANNOTATION_STATUSES.REOPENED;
+}
+
+export function matchesStatusFilter(annotation, filter) {
+    const status = getAnnotationStatus(annotation);
+
+    if (filter === STATUS_FILTERS.ALL) {
+        return true;
+    }
+    if (filter === STATUS_FILTERS.OUTSTANDING) {
+        return isOutstandingStatus(status);
+    }
+    return status === filter;
+}
+
+/**
+ * Copy of `annotation` moved to `status`, recording who changed it and when
+ */
+export function applyStatusChange(annotation, status, changedBy) {
+    const changedAt = new Date().toISOString();
+
+    return {
+        ...annotation,
+        status,
+        statusChangedBy: changedBy,
+        statusChangedAt: changedAt,
+        statusHistory: [
+            ...(annotation.statusHistory || []),
+            { from: getAnnotationStatus(annotation), to: status, changedBy, changedAt }
+        ]
+    };
+}
@@ -0,0 +1,60 @@
+/**
+ * Annotation types stored in the pdfAnnotations JSON
+ */
+export const ANNOTATION_TYPES = {
+    AREA: 'area-annotation',
+    TEXT_HIGHLIGHT: 'text-highlight',
+    INK: 'ink-annotation',
+    SHAPE: 'shape-annotation',
+    NOTE: 'note-annotation'
+};
+
+// Geometry kinds of a shape annotation
+export const SHAPE_KINDS = {
+    ARROW: 'arrow',
+    LINE: 'line',
+    ELLIPSE: 'ellipse',
+    CALLOUT: 'callout'
+};
+
+export const SHAPE_KIND_LABELS = {
+    [SHAPE_KINDS.ARROW]: 'Arrow',
+    [SHAPE_KINDS.LINE]: 'Line',
+    [SHAPE_KINDS.ELLIPSE]: 'Ellipse',
+    [SHAPE_KINDS.CALLOUT]: 'Callout'
+};
+
+export const ANNOTATION_TYPE_LABELS = {
+    [ANNOTATION_TYPES.AREA]: 'Area Annotation',
+    [ANNOTATION_TYPES.TEXT_HIGHLIGHT]: 'Text Highlight',
+    [ANNOTATION_TYPES.INK]: 'Pen Drawing',
+    [ANNOTATION_TYPES.SHAPE]: 'Shape',
+    [ANNOTATION_TYPES.NOTE]: 'Sticky Note'
+};
+
+// Types whose geometry speaks for itself, so a comment is optional
+const COMMENT_OPTIONAL_TYPES = [ANNOTATION_TYPES.TEXT_HIGHLIGHT, ANNOTATION_TYPES.INK, ANNOTATION_TYPES.SHAPE];
+
+export function getAnnotationTypeLabel(annotationOrType) {
+    if (annotationOrType && typeof annotationOrType === 'object' && annotationOrType.type === ANNOTATION_TYPES.SHAPE) {
+        return SHAPE_KIND_LABELS[annotationOrType.shape] || ANNOTATION_TYPE_LABELS[ANNOTATION_TYPES.SHAPE];
+    }
+    const type = typeof annotationOrType === 'string' ? annotationOrType : annotationOrType?.type;
+    return ANNOTATION_TYPE_LABELS[type] || 'Annotation';
+}
+
+// Sticky-note pins keep their number when other notes are deleted
+export function getNextPinNumber(annotations) {
+    return annotations
+        .filter(annotation => annotation.type === ANNOTATION_TYPES.NOTE)
+        .reduce((max, annotation) => Math.max(max, annotation.pinNumber || 0), 0) + 1;
+}
+
+export function isKnownAnnotationType(type) {
+    return Object.values(ANNOTATION_TYPES).includes(type);
+}
+
+// A callout box exists to show its comment, so it always needs one
+export function isCommentOptionalType(type, shape) {
+    return COMMENT_OPTIONAL_TYPES.includes(type) && shape !== SHAPE_KINDS.CALLOUT;
+}
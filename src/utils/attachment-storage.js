@@ -0,0 +1,104 @@
+/**
+ * Files attached to comments and replies.
+ * With S3 credentials configured they are uploaded to the document's bucket under the attachment
+ * prefix and the annotation only keeps `{ id, name, size, type, s3Key, sha256, storageType: 's3', uploadedAt }`;
+ * the content is downloaded when someone opens the file and checked against the SHA-256.
+ * Without credentials - and for everything attached before - the file is stored inside the annotation
+ * as base64 `data` (storageType 'local').
+ */
+import CryptoJS from 'crypto-js';
+
+export const ATTACHMENT_STORAGE = {
+    LOCAL: 'local',
+    S3: 's3'
+};
+
+export const DEFAULT_ATTACHMENT_PREFIX = 'annotation-attachments/';
+
+export function isS3Attachment(file) {
+    return Boolean(file) && file.storageType === ATTACHMENT_STORAGE.S3 && Boolean(file.s3Key);
+}
+
+// "attachments" / "/attachments/" → "attachments/" ("" when not configured)
+export function normalizeAttachmentPrefix(prefix) {
+    const trimmed = (prefix || '').trim().replace(/^\/+/, '').replace(/\/+$/, '');
+    return trimmed ? `${trimmed}/` : '';
+}
+
+// Key of an attachment: one folder per file id, so equal file names never overwrite each other
+export function buildAttachmentKey(prefix, fileId, fileName) {
+    const safeName = (fileName || 'file').replace(/[^\w.-]+/g, '_').replace(/^\.+/, '') || 'file';
+    return `${normalizeAttachmentPrefix(prefix)}${fileId}/${safeName}`;
+}
+
+const toHex = buffer => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Hex SHA-256 of `content` (ArrayBuffer or Uint8Array); Web Crypto where available,
+ * CryptoJS outside secure contexts
+ */
+export async function computeSha256(content) {
+    const bytes = content instanceof Uint8Array ? content : new Uint8Array(content);
+    if (typeof crypto !== 'undefined' && crypto.subtle) {
+        return toHex(await crypto.subtle.digest('SHA-256', bytes));
+    }
+    return CryptoJS.SHA256(CryptoJS.lib.WordArray.create(bytes)).toString();
+}
+
+/**
+ * Upload `file` under `prefix` in `bucketName` and return the record stored in the annotation
+ */
+export async function uploadAttachment(s3Client, bucketName, prefix, file, { id, onProgress } = {}) {
+    const sha256 = await computeSha256(await file.arrayBuffer());
+    const s3Key = buildAttachmentKey(prefix, id, file.name);
+
+    await s3Client.uploadFile(bucketName, s3Key, file, {
+        contentType: file.type || 'application/octet-stream',
+        onProgress
+    });
+
+    return {
+        id,
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        s3Key,
+        sha256,
+        storageType: ATTACHMENT_STORAGE.S3,
+        uploadedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * S3 attachments of `annotations` and their replies, by key; empty entries are skipped
+ */
+export function collectS3Attachments(annotations) {
+    const attachments = new Map();
+    const addFiles = item => (item.uploadedFiles || []).filter(isS3Attachment).forEach(file => attachments.set(file.s3Key, file));
+
+    annotations.filter(Boolean).forEach(annotation => {
+        addFiles(annotation);
+        (annotation.replies || []).forEach(addFiles);
+    });
+    return attachments;
+}
+
+/**
+ * Remove an S3 attachment that no annotation refers to - one picked for a comment that was
+ * then removed from it or never saved
+ */
+export function deleteAttachment(s3Client, bucketName, file) {
+    return s3Client.deleteObject(bucketName, file.s3Key);
+}
+
+/**
+ * Content of an S3 attachment as a Blob; fails when it does not match the stored checksum
+ */
+export async function downloadAttachment(s3Client, bucketName, file) {
+    const { buffer } = await s3Client.downloadFile(bucketName, file.s3Key);
+
+    if (file.sha256 && (await computeSha256(buffer)) !== file.sha256) {
+        throw new Error(`${file.name} does not match its checksum - the stored file was changed or damaged`);
+    }
+    return new Blob([buffer], { type: file.type || 'application/octet-stream' });
+}
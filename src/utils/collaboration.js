@@ -0,0 +1,394 @@
+/**
+ * Real-time collaboration between widget instances showing the same document.
+ * A session exchanges small JSON messages over a pluggable transport:
+ * presence (who is on which page, their pointer and selection rectangle, repeated as a
+ * heartbeat), leave, and the annotations saved by an add/edit/delete so other viewers show
+ * them before the pdfAnnotations attribute refreshes. The transports are not authenticated, so
+ * received annotations are checked like a local change would be and are only shown - they are
+ * not saved by this client, the attribute refresh confirms them.
+ *
+ * A transport is any object with `connect(onMessage)`, `send(message)` and `close()`.
+ * Included are an in-memory hub (same JavaScript context, for tests), BroadcastChannel
+ * (tabs and widgets of one browser) and WebSocket (any relay server that forwards each
+ * message to the other clients of the room).
+ */
+import { migrateAnnotation, validateAnnotation } from './annotation-schema';
+import { getRevision } from './annotation-merge';
+
+export const COLLABORATION_MESSAGES = {
+    PRESENCE: 'presence',
+    LEAVE: 'leave',
+    ANNOTATIONS: 'annotations'
+};
+
+const HEARTBEAT_INTERVAL = 10000;
+// Peers that missed three heartbeats are considered gone
+const PEER_TIMEOUT = 30000;
+// Pointer moves are sent at most this often
+const PRESENCE_THROTTLE = 80;
+
+const PEER_COLORS = ['#e53935', '#8e24aa', '#3949ab', '#039be5', '#00897b', '#7cb342', '#fb8c00', '#6d4c41'];
+
+// Stable colour per user name, so someone keeps their colour across sessions
+export function getUserColor(userName) {
+    const hash = Array.from(userName || '').reduce((sum, character) => (sum * 31 + character.charCodeAt(0)) % 100003, 7);
+    return PEER_COLORS[hash % PEER_COLORS.length];
+}
+
+export function getUserInitials(userName) {
+    // "ann.lee@example.com" → "AL"
+    const parts = (userName || '?').split('@')[0].trim().split(/[\s._-]+/).filter(Boolean);
+    return ((parts[0] || '?')[0] + (parts.length > 1 ? parts[parts.length - 1][0] : '')).toUpperCase();
+}
+
+// Channel name → transports connected to it, for InMemoryTransport
+const inMemoryHubs = new Map();
+
+const createClientId = () => `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 8)}`;
+
+/**
+ * Transport between instances in the same JavaScript context
+ */
+export class InMemoryTransport {
+    constructor(channelName) {
+        this.channelName = channelName;
+    }
+
+    connect(onMessage) {
+        this.onMessage = onMessage;
+        if (!inMemoryHubs.has(this.channelName)) {
+            inMemoryHubs.set(this.channelName, new Set());
+        }
+        inMemoryHubs.get(this.channelName).add(this);
+    }
+
+    send(message) {
+        const hub = inMemoryHubs.get(this.channelName);
+        if (!hub) return;
+        // Delivered asynchronously, like a network would
+        hub.forEach(transport => {
+            if (transport !== this) {
+                setTimeout(() => transport.onMessage && transport.onMessage(message), 0);
+            }
+        });
+    }
+
+    close() {
+        const hub = inMemoryHubs.get(this.channelName);
+        if (hub) {
+            hub.delete(this);
+            if (hub.size === 0) {
+                inMemoryHubs.delete(this.channelName);
+            }
+        }
+        this.onMessage = null;
+    }
+}
+
+/**
+ * Transport between tabs, windows and widgets of the same browser and origin
+ */
+export class BroadcastChannelTransport {
+    constructor(channelName) {
+        this.channelName = `pdf-annotations:${channelName}`;
+    }
+
+    connect(onMessage) {
+        this.channel = new BroadcastChannel(this.channelName);
+        this.channel.onmessage = event => onMessage(event.data);
+    }
+
+    send(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+    }
+
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+}
+
+/**
+ * Transport through a WebSocket relay; reconnects with a growing delay when the connection drops
+ */
+export class WebSocketTransport {
+    constructor(url, debugLog = message => console.log(message)) {
+        this.url = url;
+        this.debugLog = debugLog;
+        this.queue = [];
+        this.retryDelay = 1000;
+        this.closed = false;
+    }
+
+    connect(onMessage) {
+        this.onMessage = onMessage;
+        this.open();
+    }
+
+    open() {
+        this.socket = new WebSocket(this.url);
+
+        this.socket.onopen = () => {
+            this.debugLog(`🤝 Collaboration connected to ${this.url}`);
+            this.retryDelay = 1000;
+            this.queue.splice(0).forEach(message => this.socket.send(message));
+        };
+        this.socket.onmessage = event => {
+            try {
+                this.onMessage(JSON.parse(event.data));
+            } catch (error) {
+                this.debugLog(`⚠️ Ignoring collaboration message: ${error.message}`);
+            }
+        };
+        this.socket.onclose = () => {
+            if (this.closed) return;
+            this.debugLog(`🔌 Collaboration connection lost, retrying in ${this.retryDelay / 1000}s`);
+            this.retryTimer = setTimeout(() => this.open(), this.retryDelay);
+            this.retryDelay = Math.min(this.retryDelay * 2, 30000);
+        };
+    }
+
+    send(message) {
+        const data = JSON.stringify(message);
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(data);
+        } else if (this.queue.length < 50) {
+            this.queue.push(data);
+        }
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.retryTimer);
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+}
+
+/**
+ * Transport for the widget's collaboration channel setting: a ws:// or wss:// URL uses a
+ * WebSocket relay, anything else connects the widgets of this browser
+ */
+export function createCollaborationTransport(channel, room, debugLog) {
+    if (/^wss?:\/\//i.test(channel)) {
+        const separator = channel.includes('?') ? '&' : '?';
+        return new WebSocketTransport(`${channel}${separator}room=${encodeURIComponent(room)}`, debugLog);
+    }
+    if (typeof BroadcastChannel !== 'undefined') {
+        return new BroadcastChannelTransport(`${channel}:${room}`);
+    }
+    return new InMemoryTransport(`${channel}:${room}`);
+}
+
+/**
+ * `annotations` with `changedAnnotations` replaced or appended by id, or removed for a DELETE
+ */
+export function applyAnnotationChanges(annotations, operation, changedAnnotations) {
+    const changedById = new Map(changedAnnotations.map(annotation => [String(annotation.id), annotation]));
+
+    if (operation === 'DELETE') {
+        return annotations.filter(annotation => !changedById.has(String(annotation.id)));
+    }
+
+    const known = new Set(annotations.map(annotation => String(annotation.id)));
+    return [
+        ...annotations.map(annotation => changedById.get(String(annotation.id)) || annotation),
+        ...changedAnnotations.filter(annotation => !known.has(String(annotation.id)))
+    ];
+}
+
+// What anyone in the review may change on someone else's annotation: its replies and status
+const SHARED_FIELDS = ['replies', 'status', 'statusChangedBy', 'statusChangedAt', 'statusHistory', 'revision', 'schemaVersion'];
+
+const changesOnlySharedFields = (existing, incoming) => [...new Set([...Object.keys(existing), ...Object.keys(incoming)])]
+    .filter(field => !SHARED_FIELDS.includes(field))
+    .every(field => JSON.stringify(existing[field]) === JSON.stringify(incoming[field]));
+
+/**
+ * Whether `sender` could have made this change in their own viewer: only authors edit or
+ * delete an annotation (and cannot hand it to someone else), others may reply or change its
+ * status, and new annotations are the sender's own or imported from the PDF
+ */
+function isAllowedChange(operation, existing, incoming, sender) {
+    if (!existing) {
+        return operation !== 'DELETE' && (incoming.createdBy === sender || Boolean(incoming.importedFrom));
+    }
+    if (existing.createdBy === sender) {
+        return operation === 'DELETE' || incoming.createdBy === existing.createdBy;
+    }
+    return operation !== 'DELETE' && operation !== 'EDIT' && changesOnlySharedFields(existing, incoming);
+}
+
+/**
+ * Annotations after applying an ANNOTATIONS message from another viewer. Entries that do not
+ * validate, changes the sending user could not have made and versions older than the one
+ * shown are left out.
+ */
+export function applyAnnotationsMessage(annotations, message) {
+    if (!message.userName || !Array.isArray(message.annotations)) {
+        return annotations;
+    }
+
+    const existingById = new Map(annotations.map(annotation => [String(annotation.id), annotation]));
+    const accepted = message.annotations
+        .filter(entry => entry && typeof entry === 'object' && !Array.isArray(entry))
+        .map(migrateAnnotation)
+        .filter(incoming => {
+            const existing = existingById.get(String(incoming.id));
+            if (message.operation === 'DELETE') {
+                return Boolean(existing) && isAllowedChange(message.operation, existing, incoming, message.userName);
+            }
+            return validateAnnotation(incoming).length === 0 &&
+                isAllowedChange(message.operation, existing, incoming, message.userName) &&
+                (!existing || getRevision(incoming) >= getRevision(existing));
+        });
+
+    return accepted.length > 0 ? applyAnnotationChanges(annotations, message.operation, accepted) : annotations;
+}
+
+export class CollaborationSession {
+    constructor({ transport, room, userName, onPeersChange, onAnnotations, debugLog }) {
+        this.transport = transport;
+        this.room = room;
+        this.clientId = createClientId();
+        this.user = { userName, color: getUserColor(userName), initials: getUserInitials(userName) };
+        this.presence = { page: 1, cursor: null, selection: null };
+        this.peers = new Map();
+        this.onPeersChange = onPeersChange || (() => {});
+        this.onAnnotations = onAnnotations || (() => {});
+        this.debugLog = debugLog || (message => console.log(message));
+        this.lastPresenceSent = 0;
+    }
+
+    start() {
+        this.transport.connect(message => this.handleMessage(message));
+        this.sendPresence();
+        this.heartbeat = setInterval(() => {
+            this.sendPresence();
+            this.prunePeers();
+        }, HEARTBEAT_INTERVAL);
+        this.debugLog(`🤝 Joined collaboration room "${this.room}" as ${this.user.userName}`);
+    }
+
+    stop() {
+        clearInterval(this.heartbeat);
+        clearTimeout(this.presenceTimer);
+        this.send({ type: COLLABORATION_MESSAGES.LEAVE });
+        this.transport.close();
+        this.peers.clear();
+    }
+
+    send(message) {
+        try {
+            this.transport.send({ ...message, room: this.room, clientId: this.clientId });
+        } catch (error) {
+            this.debugLog(`⚠️ Could not send collaboration message: ${error.message}`);
+        }
+    }
+
+    sendPresence() {
+        clearTimeout(this.presenceTimer);
+        this.presenceTimer = null;
+        this.lastPresenceSent = Date.now();
+        this.send({ type: COLLABORATION_MESSAGES.PRESENCE, ...this.user, ...this.presence });
+    }
+
+    /**
+     * Merge `changes` ({ page, cursor, selection }) into our presence and send it, throttled
+     */
+    updatePresence(changes) {
+        this.presence = { ...this.presence, ...changes };
+
+        const wait = PRESENCE_THROTTLE - (Date.now() - this.lastPresenceSent);
+        if (wait <= 0) {
+            this.sendPresence();
+        } else if (!this.presenceTimer) {
+            this.presenceTimer = setTimeout(() => this.sendPresence(), wait);
+        }
+    }
+
+    // Saved annotations of an add/edit/delete, with the operation written to changedOperation
+    broadcastAnnotations(operation, annotations) {
+        this.send({ type: COLLABORATION_MESSAGES.ANNOTATIONS, operation, annotations, userName: this.user.userName });
+    }
+
+    handleMessage(message) {
+        if (!message || message.room !== this.room || message.clientId === this.clientId) {
+            return;
+        }
+
+        switch (message.type) {
+            case COLLABORATION_MESSAGES.PRESENCE: {
+                const known = this.peers.get(message.clientId);
+                const isNew = !known;
+                // A client keeps the user it joined as
+                if (known && known.userName !== message.userName) {
+                    this.debugLog(`⚠️ Ignoring presence of ${known.userName} claiming to be ${message.userName}`);
+                    break;
+                }
+                this.peers.set(message.clientId, {
+                    clientId: message.clientId,
+                    userName: message.userName,
+                    color: message.color,
+                    initials: message.initials,
+                    page: message.page,
+                    cursor: message.cursor,
+                    selection: message.selection,
+                    lastSeen: Date.now()
+                });
+                // Let a newcomer see us right away instead of at our next heartbeat
+                if (isNew) {
+                    this.debugLog(`👋 ${message.userName} joined the document`);
+                    this.sendPresence();
+                }
+                this.notifyPeers();
+                break;
+            }
+            case COLLABORATION_MESSAGES.LEAVE:
+                if (this.peers.delete(message.clientId)) {
+                    this.notifyPeers();
+                }
+                break;
+            case COLLABORATION_MESSAGES.ANNOTATIONS: {
+                // Changes are checked against the author of the client that announced itself, not
+                // against whatever name the message carries
+                const sender = this.peers.get(message.clientId);
+                if (!sender || sender.userName !== message.userName) {
+                    this.debugLog(`⚠️ Ignoring annotations from ${message.userName}: not the user of a known client`);
+                    break;
+                }
+                if (Array.isArray(message.annotations)) {
+                    this.debugLog(`📡 ${message.userName} ${message.operation} - ${message.annotations.length} annotation(s)`);
+                    this.onAnnotations(message);
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    prunePeers() {
+        const now = Date.now();
+        let changed = false;
+        this.peers.forEach((peer, clientId) => {
+            if (now - peer.lastSeen > PEER_TIMEOUT) {
+                this.peers.delete(clientId);
+                changed = true;
+            }
+        });
+        if (changed) {
+            this.notifyPeers();
+        }
+    }
+
+    notifyPeers() {
+        this.onPeersChange([...this.peers.values()]);
+    }
+}
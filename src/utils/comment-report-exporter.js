@@ -0,0 +1,226 @@
+import * as XLSX from 'xlsx';
+// Prebuilt ES bundle, see annotated-pdf-exporter
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib/dist/pdf-lib.esm';
+import { ANNOTATION_STATUS_LABELS, getAnnotationStatus } from './annotation-status';
+import { toWinAnsiText, wrapText } from './annotated-pdf-exporter';
+
+/**
+ * Comment Report Exporter
+ * Turns the annotation list into a comment resolution sheet - one row per annotation with
+ * number, page, author, date, status, plain-text comment, reference document and attachment
+ * names - as CSV, XLSX (SheetJS) or a formatted PDF table (pdf-lib). Numbers follow the order
+ * of the list, the same as the labels of the annotated PDF export.
+ */
+
+export const COMMENT_REPORT_COLUMNS = [
+    { key: 'number', header: 'No.', width: 0.05, excelWidth: 6 },
+    { key: 'page', header: 'Page', width: 0.05, excelWidth: 6 },
+    { key: 'author', header: 'Author', width: 0.12, excelWidth: 20 },
+    { key: 'date', header: 'Date', width: 0.11, excelWidth: 18 },
+    { key: 'status', header: 'Status', width: 0.08, excelWidth: 12 },
+    { key: 'comment', header: 'Comment', width: 0.35, excelWidth: 60 },
+    { key: 'referenceDoc', header: 'Reference document', width: 0.12, excelWidth: 28 },
+    { key: 'attachments', header: 'Attachments', width: 0.12, excelWidth: 28 }
+];
+
+const DATE_FORMAT = 'yyyy-mm-dd hh:mm';
+
+const COLORS = {
+    text: rgb(0.13, 0.15, 0.16),
+    muted: rgb(0.42, 0.46, 0.49),
+    header: rgb(0.91, 0.93, 0.95),
+    rule: rgb(0.87, 0.89, 0.9)
+};
+
+const formatDate = date => {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Text starting like a formula would be run by Excel when the sheet is opened; a leading
+// apostrophe keeps it text. Numbers and dates are left as they are.
+const toSpreadsheetText = value => (typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+export class CommentReportExporter {
+    constructor(options = {}) {
+        this.options = {
+            pageWidth: 842, // A4 landscape
+            pageHeight: 595,
+            margin: 36,
+            fontSize: 8,
+            headingFontSize: 14,
+            cellPadding: 4,
+            ...options
+        };
+
+        this.debugLog = options.debugLog || (message => console.log(message));
+        this.getReferenceDocName = options.getReferenceDocName || (() => '');
+    }
+
+    /**
+     * One report row per annotation, keyed by COMMENT_REPORT_COLUMNS; `date` is a Date or null
+     */
+    getRows(annotations) {
+        return annotations.map((annotation, index) => {
+            const date = annotation.timestamp ? new Date(annotation.timestamp) : null;
+            return {
+                number: index + 1,
+                page: annotation.page || 1,
+                author: annotation.createdBy || 'Unknown',
+                date: date && !isNaN(date.getTime()) ? date : null,
+                status: ANNOTATION_STATUS_LABELS[getAnnotationStatus(annotation)],
+                comment: annotation.comment || '',
+                referenceDoc: annotation.referenceDoc ? this.getReferenceDocName(annotation.referenceDoc) || String(annotation.referenceDoc) : '',
+                attachments: (annotation.uploadedFiles || []).map(file => file.name).join(', ')
+            };
+        });
+    }
+
+    createWorksheet(annotations) {
+        const rows = this.getRows(annotations);
+        const worksheet = XLSX.utils.aoa_to_sheet([
+            COMMENT_REPORT_COLUMNS.map(column => column.header),
+            ...rows.map(row => COMMENT_REPORT_COLUMNS.map(column => (row[column.key] === null ? '' : toSpreadsheetText(row[column.key]))))
+        ], { cellDates: true, dateNF: DATE_FORMAT });
+
+        worksheet['!cols'] = COMMENT_REPORT_COLUMNS.map(column => ({ wch: column.excelWidth }));
+        return worksheet;
+    }
+
+    /**
+     * CSV Blob; the byte order mark makes Excel read it as UTF-8
+     */
+    exportCsv(annotations) {
+        this.debugLog(`📤 Exporting comment report (CSV) with ${annotations.length} annotations...`);
+        const csv = XLSX.utils.sheet_to_csv(this.createWorksheet(annotations));
+        return new Blob(['\ufeff', csv], { type: 'text/csv;charset=utf-8' });
+    }
+
+    exportXlsx(annotations) {
+        this.debugLog(`📤 Exporting comment report (XLSX) with ${annotations.length} annotations...`);
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, this.createWorksheet(annotations), 'Comments');
+        const bytes = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+        return new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    }
+
+    /**
+     * PDF Blob with a title block and the rows as a table; the header row repeats on every page.
+     * A row that does not fit below the previous one starts a new page, and one taller than a
+     * page is continued on the next pages.
+     */
+    async exportPdf(annotations, documentName = '') {
+        this.debugLog(`📤 Exporting comment report (PDF) with ${annotations.length} annotations...`);
+
+        const { pageWidth, pageHeight, margin, fontSize, headingFontSize, cellPadding } = this.options;
+        const pdfDoc = await PDFDocument.create();
+        const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+        const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+        const lineHeight = fontSize + 3;
+        const tableWidth = pageWidth - margin * 2;
+        const columns = COMMENT_REPORT_COLUMNS.map(column => ({ ...column, pixelWidth: column.width * tableWidth }));
+
+        let page = null;
+        let y = 0;
+
+        const cellLines = (text, column, cellFont) => wrapText(toWinAnsiText(text), cellFont, fontSize, column.pixelWidth - cellPadding * 2);
+        const rowLines = (cells, cellFont) => columns.map((column, index) => cellLines(cells[index], column, cellFont));
+        const lineCountOf = lines => Math.max(...lines.map(cell => cell.length));
+        const rowHeight = lines => lineCountOf(lines) * lineHeight + cellPadding * 2;
+        // Lines of a row that still fit above the bottom margin of the current page
+        const linesLeftOnPage = () => Math.floor((y - margin - cellPadding * 2) / lineHeight);
+
+        // Lines `first` to `first + count` of every cell, as one band of the table
+        const drawRowPart = (lines, first, count, cellFont, background) => {
+            const height = count * lineHeight + cellPadding * 2;
+
+            if (background) {
+                page.drawRectangle({ x: margin, y: y - height, width: tableWidth, height, color: background });
+            }
+
+            let x = margin;
+            columns.forEach((column, index) => {
+                lines[index].slice(first, first + count).forEach((line, lineIndex) => {
+                    page.drawText(line, {
+                        x: x + cellPadding,
+                        y: y - cellPadding - fontSize - lineIndex * lineHeight,
+                        size: fontSize,
+                        font: cellFont,
+                        color: COLORS.text
+                    });
+                });
+                x += column.pixelWidth;
+            });
+
+            y -= height;
+            page.drawLine({ start: { x: margin, y }, end: { x: margin + tableWidth, y }, thickness: 0.5, color: COLORS.rule });
+        };
+
+        const headerLines = rowLines(columns.map(column => column.header), boldFont);
+
+        const newPage = () => {
+            page = pdfDoc.addPage([pageWidth, pageHeight]);
+            y = pageHeight - margin;
+            drawRowPart(headerLines, 0, lineCountOf(headerLines), boldFont, COLORS.header);
+        };
+
+        // Draw the lines that fit, then continue the row below the header of the next page
+        const drawRow = lines => {
+            const lineCount = lineCountOf(lines);
+            let drawn = 0;
+            while (drawn < lineCount) {
+                const count = Math.max(1, Math.min(lineCount - drawn, linesLeftOnPage()));
+                drawRowPart(lines, drawn, count, font);
+                drawn += count;
+                if (drawn < lineCount) {
+                    newPage();
+                }
+            }
+        };
+
+        // Room for rows below the header of an empty page
+        const pageRowSpace = pageHeight - margin * 2 - rowHeight(headerLines);
+
+        page = pdfDoc.addPage([pageWidth, pageHeight]);
+        y = pageHeight - margin - headingFontSize;
+        page.drawText(toWinAnsiText(`Comment report${documentName ? ` - ${documentName}` : ''}`), { x: margin, y, size: headingFontSize, font: boldFont, color: COLORS.text });
+        y -= lineHeight + 2;
+        page.drawText(toWinAnsiText(`${annotations.length} annotation${annotations.length === 1 ? '' : 's'} • exported ${formatDate(new Date())}`), { x: margin, y, size: fontSize, font, color: COLORS.muted });
+        y -= lineHeight;
+        drawRowPart(headerLines, 0, lineCountOf(headerLines), boldFont, COLORS.header);
+
+        this.getRows(annotations).forEach(row => {
+            const lines = rowLines(columns.map(column => {
+                const value = row[column.key];
+                return value instanceof Date ? formatDate(value) : String(value === null ? '' : value);
+            }), font);
+            const height = rowHeight(lines);
+            // Rows are only split when they would not fit on any page
+            if (y - height < margin && (height <= pageRowSpace || linesLeftOnPage() < 1)) {
+                newPage();
+            }
+            drawRow(lines);
+        });
+
+        const bytes = await pdfDoc.save();
+        this.debugLog(`✅ Comment report created: ${bytes.length} bytes`);
+        return new Blob([bytes], { type: 'application/pdf' });
+    }
+
+    /**
+     * Static export methods (same shape as the converters)
+     */
+    static exportCsv(annotations, options = {}) {
+        return new CommentReportExporter(options).exportCsv(annotations);
+    }
+
+    static exportXlsx(annotations, options = {}) {
+        return new CommentReportExporter(options).exportXlsx(annotations);
+    }
+
+    static exportPdf(annotations, documentName, options = {}) {
+        return new CommentReportExporter(options).exportPdf(annotations, documentName);
+    }
+}
+
+export default CommentReportExporter;
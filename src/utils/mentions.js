@@ -0,0 +1,154 @@
+/**
+ * @mentions in annotation comments.
+ * In the editor a mention is a non-editable chip
+ * `<span class="pdf-mention" data-mention-id="42">@Ann Lee</span>`, so it is kept in the
+ * stored rich text and shown the same way in the sidebar. The annotation (and each reply)
+ * also stores its mentions structured as `mentions: [{ id, name, email }]`, which is what
+ * the onMention action receives.
+ */
+
+export const MENTION_CLASS = 'pdf-mention';
+
+// Users offered in the autocomplete at once
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Users from the mentionable users JSON, accepting the Mendix export keys
+ * (UserID/Name/Email) as well as id/name/email. Entries without a name are skipped.
+ */
+export function parseMentionableUsers(json) {
+    if (!json || typeof json !== 'string' || json.trim() === '') {
+        return [];
+    }
+
+    const parsed = JSON.parse(json);
+    if (!Array.isArray(parsed)) {
+        return [];
+    }
+
+    return parsed
+        .map(user => ({
+            // `??` - 0 is a valid id
+            id: String(user.UserID ?? user.id ?? user.Name ?? user.name ?? ''),
+            name: user.Name || user.name || '',
+            email: user.Email || user.email || ''
+        }))
+        .filter(user => user.name);
+}
+
+// Users with a word of their name, or their e-mail, starting with `query`
+export function filterMentionableUsers(users, query) {
+    const search = (query || '').toLowerCase();
+    return users
+        .filter(user => !search ||
+            user.name.toLowerCase().split(/\s+/).some(word => word.startsWith(search)) ||
+            user.email.toLowerCase().startsWith(search))
+        .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * The `@query` being typed at the caret in `editor`, as `{ query, node, start, end }`
+ * (text node and offsets of the "@..." text), or null when the caret is not in one
+ */
+export function getMentionQuery(editor) {
+    const selection = window.getSelection();
+    if (!editor || !selection || selection.rangeCount === 0 || !selection.isCollapsed) {
+        return null;
+    }
+
+    const { startContainer: node, startOffset: end } = selection.getRangeAt(0);
+    if (node.nodeType !== Node.TEXT_NODE || !editor.contains(node)) {
+        return null;
+    }
+
+    // "@" at the start of the text or after whitespace, then up to 30 characters without spaces
+    const match = /(^|\s)@([^\s@]{0,30})$/.exec(node.textContent.slice(0, end));
+    if (!match) {
+        return null;
+    }
+
+    return { query: match[2], node, start: end - match[2].length - 1, end };
+}
+
+export function createMentionElement(user) {
+    const chip = document.createElement('span');
+    chip.className = MENTION_CLASS;
+    chip.contentEditable = 'false';
+    chip.setAttribute('data-mention-id', user.id);
+    chip.textContent = `@${user.name}`;
+    return chip;
+}
+
+/**
+ * Replace the `@query` text found by getMentionQuery with a chip for `user`,
+ * followed by a space with the caret after it
+ */
+export function insertMention(mentionQuery, user) {
+    const range = document.createRange();
+    range.setStart(mentionQuery.node, mentionQuery.start);
+    range.setEnd(mentionQuery.node, mentionQuery.end);
+    range.deleteContents();
+
+    const chip = createMentionElement(user);
+    const space = document.createTextNode(' ');
+    range.insertNode(space);
+    range.insertNode(chip);
+
+    const selection = window.getSelection();
+    const caret = document.createRange();
+    caret.setStart(space, 1);
+    caret.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(caret);
+}
+
+/**
+ * Mentions in the editor content, once per user; `users` fills in the e-mail addresses
+ */
+export function extractMentions(editor, users = []) {
+    if (!editor) {
+        return [];
+    }
+
+    const mentions = [];
+    editor.querySelectorAll(`.${MENTION_CLASS}[data-mention-id]`).forEach(chip => {
+        const id = chip.getAttribute('data-mention-id');
+        if (mentions.some(mention => mention.id === id)) {
+            return;
+        }
+        const user = users.find(candidate => candidate.id === id);
+        mentions.push({
+            id,
+            name: user ? user.name : chip.textContent.replace(/^@/, ''),
+            email: user ? user.email : ''
+        });
+    });
+    return mentions;
+}
+
+// Mentions of an annotation and all of its replies
+const collectMentions = annotation => [
+    ...((annotation && annotation.mentions) || []),
+    ...((annotation && annotation.replies) || []).flatMap(reply => reply.mentions || [])
+];
+
+/**
+ * Users mentioned in `annotation` (or its replies) that were not mentioned in
+ * `previousAnnotation`, once each - the people to notify about a change.
+ * Only users of `users` count: a chip pasted from elsewhere can carry any id, so who is
+ * notified, and at which address, always comes from the configured list.
+ */
+export function getNewMentions(previousAnnotation, annotation, users) {
+    const alreadyMentioned = new Set(collectMentions(previousAnnotation).map(mention => String(mention.id)));
+    const newMentions = [];
+
+    collectMentions(annotation).forEach(mention => {
+        const id = String(mention.id);
+        const user = users.find(candidate => String(candidate.id) === id);
+        if (user && !alreadyMentioned.has(id)) {
+            alreadyMentioned.add(id);
+            newMentions.push(user);
+        }
+    });
+    return newMentions;
+}
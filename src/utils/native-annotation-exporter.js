@@ -0,0 +1,393 @@
+// Prebuilt ES bundle, see annotated-pdf-exporter.js
+import { PDFDocument, PDFHexString, PDFName, PDFString } from 'pdf-lib/dist/pdf-lib.esm';
+import { ANNOTATION_TYPES, SHAPE_KINDS, getAnnotationTypeLabel } from './annotation-types';
+import { createPageMapper } from './annotated-pdf-exporter';
+
+/**
+ * Native Annotation Exporter
+ * Turns the widget's annotations into real PDF annotations that Acrobat and other readers
+ * can edit: Square (areas), Highlight, Text (sticky notes and replies), Ink (pen drawings),
+ * FreeText (callouts), Line (lines and arrows) and Circle (ellipses).
+ * Output is either XFDF (annotations only, imported next to the original PDF) or a copy of
+ * the PDF with the annotations added to each page's /Annots array.
+ * Readers build the appearance of these annotations from their properties.
+ */
+
+const DEFAULT_COLORS = {
+    area: '#3b82f6',
+    highlight: '#ffd500',
+    note: '#ffc107',
+    shape: '#e53935'
+};
+
+// Size (pt) of the icon rect of sticky notes and replies
+const NOTE_ICON_SIZE = 20;
+
+// PDF flag: print the annotation with the page
+const PRINT_FLAG = 4;
+
+const hexToComponents = hex => {
+    const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+    if (!match) {
+        return null;
+    }
+    return [0, 2, 4].map(offset => parseInt(match[1].slice(offset, offset + 2), 16) / 255);
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+// PDF date string (D:YYYYMMDDHHmmSSZ) of an ISO timestamp
+export function toPdfDate(timestamp) {
+    const date = timestamp ? new Date(timestamp) : new Date();
+    const valid = isNaN(date.getTime()) ? new Date() : date;
+    const pad = value => String(value).padStart(2, '0');
+    return `D:${valid.getUTCFullYear()}${pad(valid.getUTCMonth() + 1)}${pad(valid.getUTCDate())}${pad(valid.getUTCHours())}${pad(valid.getUTCMinutes())}${pad(valid.getUTCSeconds())}Z`;
+}
+
+const toRectArray = rect => [rect.x, rect.y, rect.x + rect.width, rect.y + rect.height].map(round);
+
+// Smallest user-space rect around `points`, widened by `padding`
+const boundsOfPoints = (points, padding = 0) => {
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const left = Math.min(...xs) - padding;
+    const bottom = Math.min(...ys) - padding;
+    return { x: left, y: bottom, width: Math.max(...xs) + padding - left, height: Math.max(...ys) + padding - bottom };
+};
+
+/**
+ * Describe one widget annotation as native annotations in user space.
+ * The first entry is the annotation itself; its replies follow, pointing back at it via `inReplyTo`.
+ */
+export function describeNativeAnnotations(annotation, mapper) {
+    const style = annotation.style || {};
+    const base = {
+        name: `annotation-${annotation.id}`,
+        author: annotation.createdBy || '',
+        contents: annotation.comment || '',
+        subject: getAnnotationTypeLabel(annotation),
+        date: toPdfDate(annotation.editedAt || annotation.timestamp),
+        creationDate: toPdfDate(annotation.timestamp)
+    };
+    let native = null;
+
+    switch (annotation.type) {
+        case ANNOTATION_TYPES.TEXT_HIGHLIGHT: {
+            const quads = (annotation.quads || []).map(mapper.toUserRect);
+            if (quads.length === 0) break;
+            native = {
+                ...base,
+                subtype: 'Highlight',
+                rect: boundsOfPoints(quads.flatMap(quad => [{ x: quad.x, y: quad.y }, { x: quad.x + quad.width, y: quad.y + quad.height }])),
+                color: DEFAULT_COLORS.highlight,
+                // Per quad: top-left, top-right, bottom-left, bottom-right (the order Acrobat writes)
+                quadPoints: quads.flatMap(quad => [
+                    quad.x, quad.y + quad.height,
+                    quad.x + quad.width, quad.y + quad.height,
+                    quad.x, quad.y,
+                    quad.x + quad.width, quad.y
+                ].map(round))
+            };
+            break;
+        }
+
+        case ANNOTATION_TYPES.INK: {
+            const strokes = (annotation.strokes || [])
+                .filter(stroke => stroke.points && stroke.points.length > 0)
+                .map(stroke => ({ ...stroke, points: stroke.points.map(mapper.toUserSpace) }));
+            if (strokes.length === 0) break;
+            const width = strokes[0].width || 2;
+            native = {
+                ...base,
+                subtype: 'Ink',
+                rect: boundsOfPoints(strokes.flatMap(stroke => stroke.points), width),
+                color: strokes[0].color || DEFAULT_COLORS.shape,
+                borderWidth: width,
+                inkList: strokes.map(stroke => stroke.points.map(point => ({ x: round(point.x), y: round(point.y) })))
+            };
+            break;
+        }
+
+        case ANNOTATION_TYPES.NOTE: {
+            if (!annotation.point) break;
+            // The pin stands on its point, like the marker in the viewer
+            const point = mapper.toUserSpace(annotation.point);
+            native = {
+                ...base,
+                subtype: 'Text',
+                rect: { x: point.x, y: point.y, width: NOTE_ICON_SIZE, height: NOTE_ICON_SIZE },
+                color: DEFAULT_COLORS.note,
+                icon: 'Comment'
+            };
+            break;
+        }
+
+        case ANNOTATION_TYPES.SHAPE: {
+            const shapeStyle = {
+                color: style.strokeColor || DEFAULT_COLORS.shape,
+                borderWidth: style.strokeWidth || 2,
+                opacity: style.opacity || 1,
+                interiorColor: style.fillColor || null
+            };
+
+            if ((annotation.shape === SHAPE_KINDS.LINE || annotation.shape === SHAPE_KINDS.ARROW) && annotation.start && annotation.end) {
+                const start = mapper.toUserSpace(annotation.start);
+                const end = mapper.toUserSpace(annotation.end);
+                native = {
+                    ...base,
+                    ...shapeStyle,
+                    subtype: 'Line',
+                    rect: boundsOfPoints([start, end], shapeStyle.borderWidth * 4),
+                    line: [start.x, start.y, end.x, end.y].map(round),
+                    lineEndings: ['None', annotation.shape === SHAPE_KINDS.ARROW ? 'OpenArrow' : 'None']
+                };
+            } else if (annotation.shape === SHAPE_KINDS.ELLIPSE && annotation.area) {
+                native = { ...base, ...shapeStyle, subtype: 'Circle', rect: mapper.toUserRect(annotation.area) };
+            } else if (annotation.shape === SHAPE_KINDS.CALLOUT && annotation.area && annotation.anchor) {
+                const box = mapper.toUserRect(annotation.area);
+                const anchor = mapper.toUserSpace(annotation.anchor);
+                // Leader ends on the box edge facing the anchor, or in its centre when the anchor lies inside the box
+                const edgePoint = {
+                    x: Math.min(Math.max(anchor.x, box.x), box.x + box.width),
+                    y: Math.min(Math.max(anchor.y, box.y), box.y + box.height)
+                };
+                const leaderEnd = edgePoint.x === anchor.x && edgePoint.y === anchor.y
+                    ? { x: box.x + box.width / 2, y: box.y + box.height / 2 }
+                    : edgePoint;
+                native = {
+                    ...base,
+                    ...shapeStyle,
+                    subtype: 'FreeText',
+                    intent: 'FreeTextCallout',
+                    rect: boundsOfPoints([anchor, { x: box.x, y: box.y }, { x: box.x + box.width, y: box.y + box.height }], shapeStyle.borderWidth),
+                    // Text box inside the rect (/RD: left, top, right, bottom insets)
+                    textBox: box,
+                    calloutLine: [anchor.x, anchor.y, leaderEnd.x, leaderEnd.y].map(round),
+                    defaultAppearance: `/Helv 9 Tf ${(hexToComponents(shapeStyle.color) || [0, 0, 0]).map(round).join(' ')} rg`
+                };
+            }
+            break;
+        }
+
+        default:
+            if (annotation.area) {
+                native = {
+                    ...base,
+                    subtype: 'Square',
+                    rect: mapper.toUserRect(annotation.area),
+                    color: DEFAULT_COLORS.area,
+                    borderWidth: 1.5
+                };
+            }
+    }
+
+    if (!native) {
+        return [];
+    }
+
+    // Replies sit on the parent's icon position, as readers expect of /IRT annotations
+    const replies = (annotation.replies || []).map((reply, index) => ({
+        name: `annotation-${annotation.id}-reply-${reply.id || index}`,
+        subtype: 'Text',
+        author: reply.createdBy || '',
+        contents: reply.comment || '',
+        date: toPdfDate(reply.timestamp),
+        creationDate: toPdfDate(reply.timestamp),
+        rect: { x: native.rect.x, y: native.rect.y + native.rect.height - NOTE_ICON_SIZE, width: NOTE_ICON_SIZE, height: NOTE_ICON_SIZE },
+        icon: 'Comment',
+        inReplyTo: native.name
+    }));
+
+    return [native, ...replies];
+}
+
+const escapeXml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const XFDF_ELEMENTS = {
+    Square: 'square',
+    Highlight: 'highlight',
+    Text: 'text',
+    Ink: 'ink',
+    FreeText: 'freetext',
+    Line: 'line',
+    Circle: 'circle'
+};
+
+function toXfdfElement(native, pageIndex) {
+    const attributes = {
+        page: pageIndex,
+        name: native.name,
+        title: native.author,
+        subject: native.subject,
+        date: native.date,
+        creationdate: native.creationDate,
+        flags: 'print',
+        rect: toRectArray(native.rect).join(','),
+        color: native.color,
+        'interior-color': native.interiorColor,
+        width: native.borderWidth,
+        opacity: native.opacity !== undefined && native.opacity < 1 ? native.opacity : undefined,
+        icon: native.icon,
+        inreplyto: native.inReplyTo,
+        coords: native.quadPoints ? native.quadPoints.join(',') : undefined,
+        start: native.line ? `${native.line[0]},${native.line[1]}` : undefined,
+        end: native.line ? `${native.line[2]},${native.line[3]}` : undefined,
+        head: native.lineEndings ? native.lineEndings[0] : undefined,
+        tail: native.lineEndings ? native.lineEndings[1] : undefined,
+        intent: native.intent,
+        callout: native.calloutLine ? native.calloutLine.join(',') : undefined
+    };
+
+    const attributeText = Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => `${key}="${escapeXml(value)}"`)
+        .join(' ');
+
+    const children = [`<contents>${escapeXml(native.contents)}</contents>`];
+    if (native.inkList) {
+        children.push(`<inklist>${native.inkList.map(points => `<gesture>${points.map(point => `${point.x},${point.y}`).join(';')}</gesture>`).join('')}</inklist>`);
+    }
+    if (native.defaultAppearance) {
+        children.push(`<defaultappearance>${escapeXml(native.defaultAppearance)}</defaultappearance>`);
+    }
+
+    const element = XFDF_ELEMENTS[native.subtype];
+    return `    <${element} ${attributeText}>\n      ${children.join('\n      ')}\n    </${element}>`;
+}
+
+export class NativeAnnotationExporter {
+    constructor(options = {}) {
+        this.options = { ...options };
+        this.debugLog = options.debugLog || (message => console.log(message));
+    }
+
+    // Native descriptions of all annotations, with the 0-based index of the page they belong to
+    describeAll(pdfDoc, annotations) {
+        const pages = pdfDoc.getPages();
+        const described = [];
+        let skipped = 0;
+
+        annotations.forEach(annotation => {
+            const pageIndex = (annotation.page || 1) - 1;
+            const page = pages[pageIndex];
+            const natives = page ? describeNativeAnnotations(annotation, createPageMapper(page)) : [];
+            if (natives.length === 0) {
+                skipped++;
+                return;
+            }
+            natives.forEach(native => described.push({ pageIndex, native }));
+        });
+
+        if (skipped > 0) {
+            this.debugLog(`⚠️ ${skipped} annotations have no native equivalent or page and were left out`);
+        }
+        return described;
+    }
+
+    /**
+     * XFDF document for the annotations of `pdfBytes`; `documentName` is written as the PDF it belongs to
+     */
+    async exportXfdf(pdfBytes, annotations, documentName = '') {
+        const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+        const elements = this.describeAll(pdfDoc, annotations).map(({ pageIndex, native }) => toXfdfElement(native, pageIndex));
+
+        const xfdf = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<xfdf xmlns="http://ns.adobe.com/xfdf/" xml:space="preserve">',
+            '  <annots>',
+            ...elements,
+            '  </annots>',
+            documentName ? `  <f href="${escapeXml(documentName)}"/>` : null,
+            '</xfdf>'
+        ].filter(line => line !== null).join('\n');
+
+        this.debugLog(`✅ XFDF created with ${elements.length} annotations`);
+        return new Blob([xfdf], { type: 'application/vnd.adobe.xfdf' });
+    }
+
+    /**
+     * Copy of `pdfBytes` with the annotations added as native /Annot dictionaries
+     */
+    async exportPdf(pdfBytes, annotations) {
+        const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+        const { context } = pdfDoc;
+        const pages = pdfDoc.getPages();
+        const refsByName = {};
+
+        this.describeAll(pdfDoc, annotations).forEach(({ pageIndex, native }) => {
+            const page = pages[pageIndex];
+            const dict = this.toAnnotationDict(context, native, page, refsByName);
+            const ref = context.register(dict);
+            refsByName[native.name] = ref;
+            page.node.addAnnot(ref);
+        });
+
+        const bytes = await pdfDoc.save();
+        this.debugLog(`✅ PDF with ${Object.keys(refsByName).length} native annotations created: ${bytes.length} bytes`);
+        return new Blob([bytes], { type: 'application/pdf' });
+    }
+
+    toAnnotationDict(context, native, page, refsByName) {
+        const color = hexToComponents(native.color);
+        const interiorColor = hexToComponents(native.interiorColor);
+        const entries = {
+            Type: 'Annot',
+            Subtype: native.subtype,
+            Rect: toRectArray(native.rect),
+            Contents: PDFHexString.fromText(native.contents),
+            T: PDFHexString.fromText(native.author),
+            NM: PDFHexString.fromText(native.name),
+            M: PDFString.of(native.date),
+            CreationDate: PDFString.of(native.creationDate),
+            F: PRINT_FLAG,
+            P: page.ref
+        };
+
+        if (native.subject) entries.Subj = PDFHexString.fromText(native.subject);
+        if (color) entries.C = color;
+        if (interiorColor) entries.IC = interiorColor;
+        if (native.borderWidth) entries.BS = { Type: 'Border', W: native.borderWidth, S: 'S' };
+        if (native.opacity !== undefined && native.opacity < 1) entries.CA = native.opacity;
+        if (native.icon) entries.Name = native.icon;
+        if (native.quadPoints) entries.QuadPoints = native.quadPoints;
+        if (native.inkList) entries.InkList = native.inkList.map(points => points.flatMap(point => [point.x, point.y]));
+        if (native.line) entries.L = native.line;
+        if (native.lineEndings) entries.LE = native.lineEndings.map(ending => PDFName.of(ending));
+        if (native.intent) entries.IT = native.intent;
+        if (native.calloutLine) entries.CL = native.calloutLine;
+        if (native.defaultAppearance) entries.DA = PDFString.of(native.defaultAppearance);
+        if (native.textBox) {
+            entries.RD = [
+                native.textBox.x - native.rect.x,
+                native.rect.y + native.rect.height - (native.textBox.y + native.textBox.height),
+                native.rect.x + native.rect.width - (native.textBox.x + native.textBox.width),
+                native.textBox.y - native.rect.y
+            ].map(value => round(Math.max(value, 0)));
+        }
+        if (native.inReplyTo && refsByName[native.inReplyTo]) {
+            entries.IRT = refsByName[native.inReplyTo];
+            entries.RT = 'R';
+        }
+
+        return context.obj(entries);
+    }
+
+    /**
+     * Static export methods (same shape as the converters)
+     */
+    static exportXfdf(pdfBytes, annotations, documentName = '', options = {}) {
+        const exporter = new NativeAnnotationExporter(options);
+        return exporter.exportXfdf(pdfBytes, annotations, documentName);
+    }
+
+    static exportPdf(pdfBytes, annotations, options = {}) {
+        const exporter = new NativeAnnotationExporter(options);
+        return exporter.exportPdf(pdfBytes, annotations);
+    }
+}
+
+export default NativeAnnotationExporter;
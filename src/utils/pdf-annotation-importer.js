@@ -0,0 +1,262 @@
+/**
+ * Reads the native annotations of a PDF (e.g. comments made in Acrobat) through pdf.js
+ * and converts the supported ones into the widget's annotation schema:
+ * Square → area, Highlight → text highlight, Text → sticky note (or a reply when it answers
+ * another annotation), Ink → pen drawing, FreeText → area with its text, Line → line/arrow
+ * and Circle → ellipse. Imported annotations carry `importedFrom: 'pdf'` and keep their
+ * original author. Their id comes from the annotation's name (NM), which survives saving the
+ * file again, or from the PDF object when there is none - so importing twice is detected, and
+ * annotations this widget exported itself (named `annotation-<id>`) are not imported over the
+ * originals.
+ */
+import { pdfjs } from 'react-pdf';
+import { PDFDict, PDFDocument, PDFHexString, PDFName, PDFRef, PDFString } from 'pdf-lib/dist/pdf-lib.esm';
+import { ANNOTATION_TYPES, SHAPE_KINDS, getNextPinNumber } from './annotation-types';
+import { ANNOTATION_STATUSES } from './annotation-status';
+import { createUserSpaceMapper } from './annotation-geometry';
+
+export const IMPORTED_FROM_PDF = 'pdf';
+
+// Subtypes that are never imported on their own (popups belong to their parent)
+const IGNORED_SUBTYPES = ['Popup', 'Link', 'Widget'];
+
+const toHexColor = color => {
+    if (!color || color.length < 3) {
+        return null;
+    }
+    return `#${Array.from(color).slice(0, 3).map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+};
+
+const parsePdfDate = value => {
+    const date = value ? pdfjs.PDFDateString.toDateObject(value) : null;
+    return date ? date.toISOString() : null;
+};
+
+const escapeHtml = value => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+// Comments typed in the widget are stored as plain text plus editor HTML; imported text gets both too
+const toRichText = text => (text ? escapeHtml(text).replace(/\r\n?|\n/g, '<br>') : '');
+
+// Id of an imported annotation: from its name when it has one (object numbers change on every save)
+const getImportedId = (data, pageNumber) => `pdf-${pageNumber}-${data.annotationName || data.id}`;
+
+// Names given by native-annotation-exporter: `annotation-<id>` and `annotation-<id>-reply-<replyId>`
+const EXPORTED_NAME = /^pdf-\d+-annotation-(.+?)(?:-reply-.+)?$/;
+
+const getExportedAnnotationId = importedId => {
+    const match = EXPORTED_NAME.exec(importedId);
+    return match ? match[1] : null;
+};
+
+const toUserRect = rect => ({ x: rect[0], y: rect[1], width: rect[2] - rect[0], height: rect[3] - rect[1] });
+
+// An object reference as pdf.js writes it: "12R", or "12R1" for generation 1
+const toPdfjsRef = ref => (ref.generationNumber === 0 ? `${ref.objectNumber}R` : `${ref.objectNumber}R${ref.generationNumber}`);
+
+/**
+ * Name (NM) of every annotation in the document by object reference - pdf.js does not report
+ * it, so the file is read once more with pdf-lib. Empty when that fails.
+ */
+async function readAnnotationNames(pdfDocument) {
+    const names = new Map();
+    try {
+        const pdfDoc = await PDFDocument.load(await pdfDocument.getData(), { ignoreEncryption: true, updateMetadata: false });
+        pdfDoc.getPages().forEach(page => {
+            const annots = page.node.Annots();
+            if (!annots) return;
+            annots.asArray().forEach(ref => {
+                const dict = ref instanceof PDFRef ? pdfDoc.context.lookup(ref) : null;
+                const name = dict instanceof PDFDict ? dict.lookup(PDFName.of('NM')) : null;
+                if (name instanceof PDFString || name instanceof PDFHexString) {
+                    names.set(toPdfjsRef(ref), name.decodeText());
+                }
+            });
+        });
+    } catch (error) {
+        console.warn('Could not read the PDF annotation names, using object numbers:', error.message);
+    }
+    return names;
+}
+
+/**
+ * Widget annotation for one pdf.js annotation (plus `annotationName`, its NM entry), or null
+ * when the subtype is not supported.
+ * Replies are returned as `{ reply, parentRef }` (the PDF object they answer) so they can be
+ * attached to their thread.
+ */
+export function convertPdfAnnotation(data, pageNumber, mapper) {
+    const comment = (data.contentsObj && data.contentsObj.str) || '';
+    const author = (data.titleObj && data.titleObj.str) || '';
+    const timestamp = parsePdfDate(data.creationDate) || parsePdfDate(data.modificationDate) || new Date().toISOString();
+    const color = toHexColor(data.color);
+    const borderWidth = (data.borderStyle && data.borderStyle.width) || 1;
+
+    if (data.subtype === 'Text' && data.inReplyTo) {
+        return {
+            parentRef: data.inReplyTo,
+            reply: {
+                id: getImportedId(data, pageNumber),
+                comment,
+                richTextContent: toRichText(comment),
+                timestamp,
+                createdBy: author || 'Unknown',
+                uploadedFiles: []
+            }
+        };
+    }
+
+    const base = {
+        id: getImportedId(data, pageNumber),
+        page: pageNumber,
+        comment,
+        richTextContent: toRichText(comment),
+        timestamp,
+        createdBy: author || 'Unknown',
+        originalAuthor: author,
+        importedFrom: IMPORTED_FROM_PDF,
+        referenceDoc: '',
+        uploadedFiles: [],
+        positioningVersion: 'v2-page-relative-area-only',
+        status: ANNOTATION_STATUSES.OPEN
+    };
+    const rect = mapper.toPageRelativeFromUserRect(toUserRect(data.rect));
+    const shapeStyle = { strokeColor: color || '#e53935', strokeWidth: borderWidth, fillColor: null, opacity: data.opacity || 1 };
+
+    switch (data.subtype) {
+        case 'Square':
+        case 'FreeText':
+            return { ...base, type: ANNOTATION_TYPES.AREA, area: rect };
+
+        case 'Highlight': {
+            const quadPoints = data.quadPoints ? Array.from(data.quadPoints) : [];
+            const quads = [];
+            // pdf.js normalizes every quad to: top-left, top-right, bottom-left, bottom-right
+            for (let i = 0; i + 7 < quadPoints.length; i += 8) {
+                quads.push(mapper.toPageRelativeFromUserRect({
+                    x: quadPoints[i],
+                    y: quadPoints[i + 5],
+                    width: quadPoints[i + 2] - quadPoints[i],
+                    height: quadPoints[i + 1] - quadPoints[i + 5]
+                }));
+            }
+            return { ...base, type: ANNOTATION_TYPES.TEXT_HIGHLIGHT, quads: quads.length > 0 ? quads : [rect], quote: '' };
+        }
+
+        case 'Text':
+            // The icon's bottom-left corner is where the pin stands
+            return { ...base, type: ANNOTATION_TYPES.NOTE, point: mapper.toPageRelative({ x: data.rect[0], y: data.rect[1] }) };
+
+        case 'Ink': {
+            const strokes = (data.inkLists || [])
+                .map(list => {
+                    const values = Array.from(list);
+                    const points = [];
+                    for (let i = 0; i + 1 < values.length; i += 2) {
+                        points.push(mapper.toPageRelative({ x: values[i], y: values[i + 1] }));
+                    }
+                    return { points, color: color || '#000000', width: borderWidth };
+                })
+                .filter(stroke => stroke.points.length > 1);
+            return strokes.length > 0 ? { ...base, type: ANNOTATION_TYPES.INK, strokes } : null;
+        }
+
+        case 'Line': {
+            if (!data.lineCoordinates) return null;
+            const [x1, y1, x2, y2] = data.lineCoordinates;
+            const endings = data.lineEndings || [];
+            const isArrowEnding = ending => /Arrow/.test(ending || '');
+            // pdf.js only gives the line's box, so an arrowhead at the start is turned into one at the end
+            const reversed = isArrowEnding(endings[0]) && !isArrowEnding(endings[1]);
+            const start = mapper.toPageRelative(reversed ? { x: x2, y: y2 } : { x: x1, y: y1 });
+            const end = mapper.toPageRelative(reversed ? { x: x1, y: y1 } : { x: x2, y: y2 });
+            return {
+                ...base,
+                type: ANNOTATION_TYPES.SHAPE,
+                shape: isArrowEnding(endings[0]) || isArrowEnding(endings[1]) ? SHAPE_KINDS.ARROW : SHAPE_KINDS.LINE,
+                start,
+                end,
+                style: shapeStyle
+            };
+        }
+
+        case 'Circle':
+            return {
+                ...base,
+                type: ANNOTATION_TYPES.SHAPE,
+                shape: SHAPE_KINDS.ELLIPSE,
+                area: rect,
+                style: shapeStyle
+            };
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Scan every page of a loaded pdf.js document. Resolves to `{ annotations, unsupported }` -
+ * the converted annotations (replies attached to their parents) and how many were skipped.
+ */
+export async function readPdfAnnotations(pdfDocument, isCancelled = () => false) {
+    const imported = [];
+    const replies = [];
+    // PDF object → imported annotation, for resolving what the replies answer
+    const importedByRef = new Map();
+    let annotationNames = null;
+    let unsupported = 0;
+
+    for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+        if (isCancelled()) {
+            return null;
+        }
+        const page = await pdfDocument.getPage(pageNumber);
+        const [x1, y1, x2, y2] = page.view;
+        const mapper = createUserSpaceMapper({ x: x1, y: y1, width: x2 - x1, height: y2 - y1 }, page.rotate);
+        const pageAnnotations = await page.getAnnotations();
+
+        for (const data of pageAnnotations) {
+            if (IGNORED_SUBTYPES.includes(data.subtype)) {
+                continue;
+            }
+            if (!annotationNames) {
+                annotationNames = await readAnnotationNames(pdfDocument);
+            }
+            const converted = convertPdfAnnotation({ ...data, annotationName: annotationNames.get(data.id) }, pageNumber, mapper);
+            if (!converted) {
+                unsupported++;
+            } else if (converted.reply) {
+                replies.push(converted);
+            } else {
+                imported.push(converted);
+                importedByRef.set(data.id, converted);
+            }
+        }
+    }
+
+    replies.forEach(({ reply, parentRef }) => {
+        const parent = importedByRef.get(parentRef);
+        if (parent) {
+            parent.replies = [...(parent.replies || []), reply];
+        } else {
+            unsupported++;
+        }
+    });
+
+    return { annotations: imported, unsupported };
+}
+
+/**
+ * Imported annotations that are not in `existingAnnotations` yet - neither imported before nor
+ * exported from one of them - with sticky notes numbered after the existing pins
+ */
+export function getPendingImports(importedAnnotations, existingAnnotations) {
+    const existingIds = new Set(existingAnnotations.map(annotation => String(annotation.id)));
+    let nextPin = getNextPinNumber(existingAnnotations);
+
+    return importedAnnotations
+        .filter(annotation => !existingIds.has(String(annotation.id)) && !existingIds.has(getExportedAnnotationId(annotation.id)))
+        .map(annotation => (annotation.type === ANNOTATION_TYPES.NOTE ? { ...annotation, pinNumber: nextPin++ } : annotation));
+}
@@ -0,0 +1,583 @@
+/**
+ * Formatting commands of the comment editor, built on the DOM Range and Selection APIs
+ * instead of the deprecated document.execCommand.
+ * Inline formats (bold, italic, underline, strikethrough, inline code, links, colours) wrap
+ * the selected text of each block in an element, or unwrap the element the caret is in.
+ * Block formats (headings, code block, paragraph) rename the selected blocks, lists turn
+ * them into list items, and tables are inserted after the block with the caret.
+ * Loose text typed straight into the editor is wrapped into a paragraph first.
+ */
+
+// Colour names → classes; the sanitizer only keeps these, never inline styles
+export const TEXT_COLORS = ['red', 'orange', 'green', 'blue', 'purple'];
+export const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink'];
+export const getTextColorClass = color => `pdf-text-${color}`;
+export const getHighlightClass = color => `pdf-highlight-${color}`;
+
+export const RICH_TEXT_COMMANDS = {
+    BOLD: 'bold',
+    ITALIC: 'italic',
+    UNDERLINE: 'underline',
+    STRIKETHROUGH: 'strikethrough',
+    CODE: 'code',
+    LINK: 'link',
+    UNLINK: 'unlink',
+    TEXT_COLOR: 'textColor',
+    HIGHLIGHT: 'highlight',
+    PARAGRAPH: 'paragraph',
+    HEADING_1: 'heading1',
+    HEADING_2: 'heading2',
+    HEADING_3: 'heading3',
+    CODE_BLOCK: 'codeBlock',
+    UNORDERED_LIST: 'unorderedList',
+    ORDERED_LIST: 'orderedList',
+    TABLE: 'table'
+};
+
+/**
+ * Keyboard shortcuts (with Ctrl, or Cmd on a Mac) → command. `code` is KeyboardEvent.code,
+ * so they work with any keyboard layout.
+ */
+export const RICH_TEXT_SHORTCUTS = [
+    { code: 'KeyB', command: RICH_TEXT_COMMANDS.BOLD, label: 'Ctrl+B' },
+    { code: 'KeyI', command: RICH_TEXT_COMMANDS.ITALIC, label: 'Ctrl+I' },
+    { code: 'KeyU', command: RICH_TEXT_COMMANDS.UNDERLINE, label: 'Ctrl+U' },
+    { code: 'KeyX', shift: true, command: RICH_TEXT_COMMANDS.STRIKETHROUGH, label: 'Ctrl+Shift+X' },
+    { code: 'KeyE', command: RICH_TEXT_COMMANDS.CODE, label: 'Ctrl+E' },
+    { code: 'KeyK', command: RICH_TEXT_COMMANDS.LINK, label: 'Ctrl+K' },
+    { code: 'Digit7', shift: true, command: RICH_TEXT_COMMANDS.ORDERED_LIST, label: 'Ctrl+Shift+7' },
+    { code: 'Digit8', shift: true, command: RICH_TEXT_COMMANDS.UNORDERED_LIST, label: 'Ctrl+Shift+8' },
+    { code: 'Digit0', alt: true, command: RICH_TEXT_COMMANDS.PARAGRAPH, label: 'Ctrl+Alt+0' },
+    { code: 'Digit1', alt: true, command: RICH_TEXT_COMMANDS.HEADING_1, label: 'Ctrl+Alt+1' },
+    { code: 'Digit2', alt: true, command: RICH_TEXT_COMMANDS.HEADING_2, label: 'Ctrl+Alt+2' },
+    { code: 'Digit3', alt: true, command: RICH_TEXT_COMMANDS.HEADING_3, label: 'Ctrl+Alt+3' },
+    { code: 'KeyC', alt: true, command: RICH_TEXT_COMMANDS.CODE_BLOCK, label: 'Ctrl+Alt+C' }
+];
+
+// The shortcut matching a keydown event, or null
+export function getShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey)) {
+        return null;
+    }
+    return RICH_TEXT_SHORTCUTS.find(shortcut => shortcut.code === event.code &&
+        Boolean(shortcut.shift) === event.shiftKey &&
+        Boolean(shortcut.alt) === event.altKey) || null;
+}
+
+/**
+ * Link address as stored: web and mail links only; a bare "example.com" becomes https://.
+ * Returns null for anything else (javascript:, data: ...).
+ */
+export function normalizeLinkUrl(url) {
+    const trimmed = (url || '').trim();
+    if (!trimmed) {
+        return null;
+    }
+    // A scheme alone is not an address yet
+    if (/^(https?:\/\/|mailto:)\S/i.test(trimmed)) {
+        return trimmed;
+    }
+    if (/^[\w-]+(\.[\w-]+)+([/?#].*)?$/.test(trimmed)) {
+        return `https://${trimmed}`;
+    }
+    if (/^[^\s@:/]+@[^\s@:/]+\.[^\s@:/]+$/.test(trimmed)) {
+        return `mailto:${trimmed}`;
+    }
+    return null;
+}
+
+export const isSafeLinkUrl = url => /^(https?:\/\/|mailto:)/i.test((url || '').trim());
+
+// Elements that start a new line; `li` is the block inside a list
+const BLOCK_SELECTOR = 'p, div, h1, h2, h3, pre, blockquote, li';
+const CONTAINER_TAGS = ['UL', 'OL', 'TABLE'];
+
+// Elements matched by each inline command, including the equivalent tags browsers produce
+const INLINE_SELECTORS = {
+    b: 'b, strong',
+    i: 'i, em',
+    u: 'u',
+    s: 's, strike, del',
+    code: 'code'
+};
+
+// Placeholder text so the caret can sit inside a new, still empty inline element
+const ZERO_WIDTH_SPACE = '\u200b';
+
+/**
+ * The selection as a Range when it is inside `editor`, otherwise null
+ */
+export function getEditorRange(editor) {
+    const selection = window.getSelection();
+    if (!editor || !selection || selection.rangeCount === 0) {
+        return null;
+    }
+    const range = selection.getRangeAt(0);
+    return editor.contains(range.commonAncestorContainer) ? range : null;
+}
+
+export function selectRange(range) {
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+// Innermost element matching `selector` between `node` and `editor` (exclusive)
+const closestWithin = (node, editor, selector) => {
+    let element = node && node.nodeType === Node.ELEMENT_NODE ? node : node && node.parentElement;
+    while (element && element !== editor) {
+        if (element.matches(selector)) {
+            return element;
+        }
+        element = element.parentElement;
+    }
+    return null;
+};
+
+const unwrap = element => {
+    const parent = element.parentNode;
+    while (element.firstChild) {
+        parent.insertBefore(element.firstChild, element);
+    }
+    parent.removeChild(element);
+};
+
+// `element` replaced by a `tagName` element with the same children
+const renameElement = (element, tagName) => {
+    const renamed = element.ownerDocument.createElement(tagName);
+    while (element.firstChild) {
+        renamed.appendChild(element.firstChild);
+    }
+    element.parentNode.replaceChild(renamed, element);
+    return renamed;
+};
+
+// Range boundaries survive DOM moves when they are restored from their nodes and offsets
+const saveRange = range => ({
+    startContainer: range.startContainer,
+    startOffset: range.startOffset,
+    endContainer: range.endContainer,
+    endOffset: range.endOffset
+});
+
+const nodeLength = node => (node.nodeType === Node.TEXT_NODE ? node.textContent.length : node.childNodes.length);
+
+const restoreRange = (saved, replacements = new Map()) => {
+    const range = document.createRange();
+    const startContainer = replacements.get(saved.startContainer) || saved.startContainer;
+    const endContainer = replacements.get(saved.endContainer) || saved.endContainer;
+    if (!startContainer.isConnected || !endContainer.isConnected) {
+        return null;
+    }
+    range.setStart(startContainer, Math.min(saved.startOffset, nodeLength(startContainer)));
+    range.setEnd(endContainer, Math.min(saved.endOffset, nodeLength(endContainer)));
+    selectRange(range);
+    return range;
+};
+
+const isInlineNode = node => node.nodeType === Node.TEXT_NODE ||
+    (node.nodeType === Node.ELEMENT_NODE && node.tagName !== 'BR' && !node.matches(BLOCK_SELECTOR) && !CONTAINER_TAGS.includes(node.tagName));
+
+// Child of `editor` that contains `node`
+const topLevelNode = (editor, node) => {
+    let current = node;
+    while (current && current.parentNode !== editor) {
+        current = current.parentNode;
+    }
+    return current;
+};
+
+// Node at a range boundary; a boundary between an element's children points at the child after it
+const boundaryNode = (container, offset) => (container.nodeType === Node.ELEMENT_NODE && container.childNodes[offset]) ||
+    (container.nodeType === Node.ELEMENT_NODE && container.lastChild) ||
+    container;
+
+/**
+ * Loose inline content around `node` (text between block elements and line breaks directly
+ * in the editor) moved into a new paragraph
+ */
+const wrapInlineRun = (editor, node) => {
+    let first = topLevelNode(editor, node);
+    let last = first;
+    while (first.previousSibling && isInlineNode(first.previousSibling)) {
+        first = first.previousSibling;
+    }
+    while (last.nextSibling && isInlineNode(last.nextSibling)) {
+        last = last.nextSibling;
+    }
+
+    const paragraph = document.createElement('p');
+    editor.insertBefore(paragraph, first);
+    const lineBreak = last.nextSibling && last.nextSibling.tagName === 'BR' ? last.nextSibling : null;
+    let current = first;
+    while (current) {
+        const next = current === last ? null : current.nextSibling;
+        paragraph.appendChild(current);
+        current = next;
+    }
+    // The paragraph ends the line now
+    if (lineBreak) {
+        editor.removeChild(lineBreak);
+    }
+    return paragraph;
+};
+
+// The block containing `node`, creating a paragraph for loose text
+const blockOf = (editor, node) => {
+    const block = closestWithin(node, editor, BLOCK_SELECTOR);
+    if (block) {
+        return block;
+    }
+    const top = topLevelNode(editor, node);
+    return top && isInlineNode(top) ? wrapInlineRun(editor, top) : null;
+};
+
+/**
+ * Blocks touched by the selection, in document order; list items stand for their list and
+ * loose text is wrapped into paragraphs. The selection is kept.
+ */
+const getSelectedBlocks = (editor, range) => {
+    if (!editor.firstChild) {
+        const paragraph = document.createElement('p');
+        paragraph.appendChild(document.createElement('br'));
+        editor.appendChild(paragraph);
+        const caret = document.createRange();
+        caret.setStart(paragraph, 0);
+        selectRange(caret);
+        return [paragraph];
+    }
+
+    const saved = saveRange(range);
+    const startBlock = blockOf(editor, boundaryNode(range.startContainer, range.startOffset));
+    const endBlock = blockOf(editor, boundaryNode(saved.endContainer, saved.endOffset));
+    const blocks = [];
+
+    if (startBlock && (startBlock === endBlock || !endBlock)) {
+        blocks.push(startBlock);
+    } else if (startBlock && endBlock) {
+        const lastTop = topLevelNode(editor, endBlock);
+        let top = topLevelNode(editor, startBlock);
+        while (top) {
+            const next = top === lastTop ? null : top.nextSibling;
+            if (top.nodeType === Node.ELEMENT_NODE && (top.tagName === 'UL' || top.tagName === 'OL')) {
+                blocks.push(...top.querySelectorAll('li'));
+            } else if (top.nodeType === Node.ELEMENT_NODE && top.matches(BLOCK_SELECTOR)) {
+                blocks.push(top);
+            } else if (isInlineNode(top)) {
+                blocks.push(wrapInlineRun(editor, top));
+            }
+            top = next;
+        }
+    }
+
+    // Whole lists are listed above; keep only the items the selection reaches
+    const restored = restoreRange(saved);
+    return restored ? blocks.filter(block => restored.intersectsNode(block)) : blocks;
+};
+
+/**
+ * Wrap the selected text in elements made by `createWrapper`, one per block so no block
+ * ends up inside an inline element; matches of `flattenSelector` inside are unwrapped.
+ * A collapsed selection gets an empty element to type into.
+ */
+const wrapSelection = (editor, range, createWrapper, flattenSelector) => {
+    if (range.collapsed) {
+        const wrapper = createWrapper();
+        const text = document.createTextNode(ZERO_WIDTH_SPACE);
+        wrapper.appendChild(text);
+        range.insertNode(wrapper);
+        const caret = document.createRange();
+        caret.setStart(text, 1);
+        selectRange(caret);
+        return;
+    }
+
+    const saved = saveRange(range);
+    const blocks = getSelectedBlocks(editor, range);
+    const wrappers = [];
+
+    blocks.forEach(block => {
+        const part = document.createRange();
+        part.selectNodeContents(block);
+        if (block.contains(saved.startContainer)) {
+            part.setStart(saved.startContainer, saved.startOffset);
+        }
+        if (block.contains(saved.endContainer)) {
+            part.setEnd(saved.endContainer, saved.endOffset);
+        }
+        if (part.collapsed) {
+            return;
+        }
+
+        const contents = part.extractContents();
+        if (flattenSelector) {
+            contents.querySelectorAll(flattenSelector).forEach(unwrap);
+        }
+        const wrapper = createWrapper();
+        wrapper.appendChild(contents);
+        part.insertNode(wrapper);
+        wrappers.push(wrapper);
+    });
+
+    if (wrappers.length > 0) {
+        const selection = document.createRange();
+        selection.setStartBefore(wrappers[0]);
+        selection.setEndAfter(wrappers[wrappers.length - 1]);
+        selectRange(selection);
+    }
+};
+
+// Unwrap the matching element around the selection, or wrap the selection in a new one
+const toggleInline = (editor, range, tagName) => {
+    const selector = INLINE_SELECTORS[tagName];
+    const existing = closestWithin(range.commonAncestorContainer, editor, selector);
+    if (existing) {
+        const saved = saveRange(range);
+        unwrap(existing);
+        restoreRange(saved);
+        return;
+    }
+    wrapSelection(editor, range, () => document.createElement(tagName), selector);
+};
+
+/**
+ * Colour (`className` on a span) or highlight (on a mark) for the selection; without a
+ * class the colour around and inside the selection is removed
+ */
+const applyColor = (editor, range, tagName, classPrefix, className) => {
+    const selector = `${tagName}[class^="${classPrefix}"]`;
+    if (!className) {
+        const saved = saveRange(range);
+        const around = closestWithin(range.commonAncestorContainer, editor, selector);
+        if (around) {
+            unwrap(around);
+        }
+        editor.querySelectorAll(selector).forEach(element => {
+            if (range.intersectsNode(element)) {
+                unwrap(element);
+            }
+        });
+        restoreRange(saved);
+        return;
+    }
+
+    wrapSelection(editor, range, () => {
+        const element = document.createElement(tagName);
+        element.className = className;
+        return element;
+    }, selector);
+};
+
+const createLink = href => {
+    const link = document.createElement('a');
+    link.setAttribute('href', href);
+    link.setAttribute('target', '_blank');
+    link.setAttribute('rel', 'noopener noreferrer');
+    return link;
+};
+
+// Link the selection (or the link the caret is in) to `url`; returns false for an unusable address
+const applyLink = (editor, range, url) => {
+    const href = normalizeLinkUrl(url);
+    if (!href) {
+        return false;
+    }
+
+    const existing = closestWithin(range.commonAncestorContainer, editor, 'a');
+    if (existing) {
+        existing.setAttribute('href', href);
+        return true;
+    }
+
+    if (range.collapsed) {
+        const link = createLink(href);
+        link.textContent = href;
+        range.insertNode(link);
+        const caret = document.createRange();
+        caret.setStartAfter(link);
+        selectRange(caret);
+        return true;
+    }
+
+    wrapSelection(editor, range, () => createLink(href), 'a');
+    return true;
+};
+
+// The link around the selection, for editing its address
+export function getSelectedLink(editor) {
+    const range = getEditorRange(editor);
+    return range ? closestWithin(range.commonAncestorContainer, editor, 'a') : null;
+}
+
+// Turn the selected blocks into `tagName` blocks, or back into paragraphs when they all are
+const setBlockType = (editor, range, tagName) => {
+    const saved = saveRange(range);
+    const blocks = getSelectedBlocks(editor, range).filter(block => block.tagName !== 'LI');
+    const target = blocks.length > 0 && blocks.every(block => block.tagName.toLowerCase() === tagName) ? 'p' : tagName;
+    const replacements = new Map();
+
+    blocks.forEach(block => {
+        if (block.tagName.toLowerCase() !== target) {
+            replacements.set(block, renameElement(block, target));
+        }
+    });
+    restoreRange(saved, replacements);
+};
+
+// Toggle a list of `listTag` for the selected blocks; switching between list types keeps the items
+const toggleList = (editor, range, listTag) => {
+    const saved = saveRange(range);
+    const list = closestWithin(range.commonAncestorContainer, editor, 'ul, ol');
+    const replacements = new Map();
+
+    if (list && list.tagName.toLowerCase() === listTag) {
+        Array.from(list.children).forEach(listItem => replacements.set(listItem, renameElement(listItem, 'p')));
+        unwrap(list);
+    } else if (list) {
+        replacements.set(list, renameElement(list, listTag));
+    } else {
+        const blocks = getSelectedBlocks(editor, range).filter(block => block.tagName !== 'LI');
+        if (blocks.length === 0) return;
+
+        const newList = document.createElement(listTag);
+        blocks[0].parentNode.insertBefore(newList, blocks[0]);
+        blocks.forEach(block => {
+            const listItem = renameElement(block, 'li');
+            replacements.set(block, listItem);
+            newList.appendChild(listItem);
+        });
+    }
+    restoreRange(saved, replacements);
+};
+
+/**
+ * Insert an empty `rows` × `columns` table after the block with the caret, followed by a
+ * paragraph to continue typing in; the caret goes into the first cell
+ */
+const insertTable = (editor, range, rows = 2, columns = 2) => {
+    const table = document.createElement('table');
+    const body = document.createElement('tbody');
+    for (let row = 0; row < rows; row++) {
+        const tableRow = document.createElement('tr');
+        for (let column = 0; column < columns; column++) {
+            const cell = document.createElement('td');
+            cell.appendChild(document.createElement('br'));
+            tableRow.appendChild(cell);
+        }
+        body.appendChild(tableRow);
+    }
+    table.appendChild(body);
+
+    const after = document.createElement('p');
+    after.appendChild(document.createElement('br'));
+
+    const top = editor.firstChild ? topLevelNode(editor, boundaryNode(range.startContainer, range.startOffset)) : null;
+    const reference = top && top !== editor ? top.nextSibling : null;
+    editor.insertBefore(table, reference);
+    editor.insertBefore(after, reference);
+
+    const caret = document.createRange();
+    caret.setStart(table.querySelector('td'), 0);
+    selectRange(caret);
+};
+
+/**
+ * Move the caret to the next (or previous) table cell; Tab in the last cell adds a row.
+ * Returns false when the caret is not in a table.
+ */
+export function moveToAdjacentCell(editor, backwards = false) {
+    const range = getEditorRange(editor);
+    const cell = range ? closestWithin(range.startContainer, editor, 'td, th') : null;
+    if (!cell) {
+        return false;
+    }
+
+    const cells = Array.from(cell.closest('table').querySelectorAll('td, th'));
+    const index = cells.indexOf(cell);
+    let target = cells[index + (backwards ? -1 : 1)];
+
+    if (!target && !backwards) {
+        const row = cell.parentElement.cloneNode(true);
+        Array.from(row.children).forEach(newCell => {
+            newCell.innerHTML = '<br>';
+        });
+        cell.parentElement.parentElement.appendChild(row);
+        target = row.firstElementChild;
+    }
+    if (target) {
+        const caret = document.createRange();
+        caret.selectNodeContents(target);
+        selectRange(caret);
+    }
+    return true;
+}
+
+/**
+ * Run a RICH_TEXT_COMMANDS command on the selection in `editor`. `value` is the colour name
+ * (TEXT_COLOR, HIGHLIGHT; null removes it) or the address (LINK). Returns whether anything ran.
+ */
+export function executeRichTextCommand(editor, command, value = null) {
+    const range = getEditorRange(editor);
+    if (!range) {
+        return false;
+    }
+
+    switch (command) {
+        case RICH_TEXT_COMMANDS.BOLD:
+            toggleInline(editor, range, 'b');
+            break;
+        case RICH_TEXT_COMMANDS.ITALIC:
+            toggleInline(editor, range, 'i');
+            break;
+        case RICH_TEXT_COMMANDS.UNDERLINE:
+            toggleInline(editor, range, 'u');
+            break;
+        case RICH_TEXT_COMMANDS.STRIKETHROUGH:
+            toggleInline(editor, range, 's');
+            break;
+        case RICH_TEXT_COMMANDS.CODE:
+            toggleInline(editor, range, 'code');
+            break;
+        case RICH_TEXT_COMMANDS.LINK:
+            return applyLink(editor, range, value);
+        case RICH_TEXT_COMMANDS.UNLINK: {
+            const link = closestWithin(range.commonAncestorContainer, editor, 'a');
+            if (!link) return false;
+            unwrap(link);
+            break;
+        }
+        case RICH_TEXT_COMMANDS.TEXT_COLOR:
+            applyColor(editor, range, 'span', 'pdf-text-', value && getTextColorClass(value));
+            break;
+        case RICH_TEXT_COMMANDS.HIGHLIGHT:
+            applyColor(editor, range, 'mark', 'pdf-highlight-', value && getHighlightClass(value));
+            break;
+        case RICH_TEXT_COMMANDS.PARAGRAPH:
+            setBlockType(editor, range, 'p');
+            break;
+        case RICH_TEXT_COMMANDS.HEADING_1:
+            setBlockType(editor, range, 'h1');
+            break;
+        case RICH_TEXT_COMMANDS.HEADING_2:
+            setBlockType(editor, range, 'h2');
+            break;
+        case RICH_TEXT_COMMANDS.HEADING_3:
+            setBlockType(editor, range, 'h3');
+            break;
+        case RICH_TEXT_COMMANDS.CODE_BLOCK:
+            setBlockType(editor, range, 'pre');
+            break;
+        case RICH_TEXT_COMMANDS.UNORDERED_LIST:
+            toggleList(editor, range, 'ul');
+            break;
+        case RICH_TEXT_COMMANDS.ORDERED_LIST:
+            toggleList(editor, range, 'ol');
+            break;
+        case RICH_TEXT_COMMANDS.TABLE:
+            insertTable(editor, range, (value && value.rows) || 2, (value && value.columns) || 2);
+            break;
+        default:
+            return false;
+    }
+    return true;
+}
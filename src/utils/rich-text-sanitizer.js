@@ -0,0 +1,259 @@
+/**
+ * Allow-list sanitizer for the comment HTML (`richTextContent`).
+ * Everything the editor stores and everything the sidebar shows goes through
+ * sanitizeRichText: only the formatting tags the editor produces survive, and only the
+ * attributes of @mention chips, colour classes and web/mail links (which always open in a
+ * new tab). Unknown tags are unwrapped (their text is kept); scripts, styles, embedded
+ * objects, forms and images - e.g. tracking pixels pasted from Word or a web page - are
+ * dropped with their content.
+ */
+import { MENTION_CLASS } from './mentions';
+import { HIGHLIGHT_COLORS, TEXT_COLORS, getHighlightClass, getTextColorClass, isSafeLinkUrl } from './rich-text-editing';
+
+const isOneOf = values => value => values.includes(value);
+
+// Tag → attributes it may keep, each with a check of its value
+const ALLOWED_TAGS = {
+    b: {},
+    strong: {},
+    i: {},
+    em: {},
+    u: {},
+    s: {},
+    code: {},
+    br: {},
+    p: {},
+    div: {},
+    h1: {},
+    h2: {},
+    h3: {},
+    pre: {},
+    blockquote: {},
+    ul: {},
+    ol: {},
+    li: {},
+    table: {},
+    thead: {},
+    tbody: {},
+    tr: {},
+    th: {},
+    td: {},
+    a: {
+        href: isSafeLinkUrl
+    },
+    span: {
+        class: isOneOf([MENTION_CLASS, ...TEXT_COLORS.map(getTextColorClass)]),
+        'data-mention-id': value => value.length > 0 && value.length <= 100,
+        contenteditable: isOneOf(['false'])
+    },
+    mark: {
+        class: isOneOf(HIGHLIGHT_COLORS.map(getHighlightClass))
+    }
+};
+
+// Elements that mean nothing without this attribute are unwrapped when it is missing or rejected
+const REQUIRED_ATTRIBUTES = {
+    a: 'href',
+    span: 'class',
+    mark: 'class'
+};
+
+// Removed together with everything inside them
+const DROPPED_TAGS = [
+    'script', 'style', 'noscript', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'head', 'title', 'meta', 'link', 'base', 'svg', 'math', 'img', 'picture', 'video', 'audio', 'canvas',
+    'form', 'input', 'button', 'select', 'textarea', 'xml'
+];
+
+const isKeptElement = (tag, element) => {
+    if (!ALLOWED_TAGS[tag]) {
+        return false;
+    }
+    const required = REQUIRED_ATTRIBUTES[tag];
+    return !required || (element.hasAttribute(required) && ALLOWED_TAGS[tag][required](element.getAttribute(required)));
+};
+
+const escapeHtml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const parseHtml = html => new DOMParser().parseFromString(`<!DOCTYPE html><html><body>${html}</body></html>`, 'text/html');
+
+// Copy the allowed content of `source` into `target` (both in `targetDocument`'s world)
+const copyAllowedContent = (source, target, targetDocument) => {
+    Array.from(source.childNodes).forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) {
+            // Without the editor's zero-width placeholders
+            target.appendChild(targetDocument.createTextNode(child.textContent.replace(/\u200b/g, '')));
+            return;
+        }
+        // Comments (e.g. Word's conditional comments) and processing instructions are dropped
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+            return;
+        }
+
+        const tag = child.tagName.toLowerCase();
+        if (DROPPED_TAGS.includes(tag)) {
+            return;
+        }
+        if (!isKeptElement(tag, child)) {
+            copyAllowedContent(child, target, targetDocument);
+            return;
+        }
+
+        const clean = targetDocument.createElement(tag);
+        Object.entries(ALLOWED_TAGS[tag]).forEach(([name, isAllowed]) => {
+            const value = child.getAttribute(name);
+            if (value !== null && isAllowed(value)) {
+                clean.setAttribute(name, value);
+            }
+        });
+        // A link must not replace the app page it is shown in
+        if (tag === 'a') {
+            clean.setAttribute('target', '_blank');
+            clean.setAttribute('rel', 'noopener noreferrer');
+        }
+        copyAllowedContent(child, clean, targetDocument);
+        target.appendChild(clean);
+    });
+};
+
+// Sanitized versions of HTML already seen - the sidebar sanitizes on every render
+const sanitizedCache = new Map();
+const MAX_CACHED = 500;
+
+/**
+ * `html` reduced to the allowed tags and attributes. Without a DOM (no DOMParser) the
+ * tags are stripped and the text is escaped.
+ */
+export function sanitizeRichText(html) {
+    if (!html || typeof html !== 'string') {
+        return '';
+    }
+    if (sanitizedCache.has(html)) {
+        return sanitizedCache.get(html);
+    }
+
+    let sanitized;
+    if (typeof DOMParser === 'undefined') {
+        sanitized = escapeHtml(html.replace(/<[^>]*>/g, ''));
+    } else {
+        const source = parseHtml(html);
+        const container = source.createElement('div');
+        copyAllowedContent(source.body, container, source);
+        sanitized = container.innerHTML;
+    }
+
+    if (sanitizedCache.size >= MAX_CACHED) {
+        sanitizedCache.clear();
+    }
+    sanitizedCache.set(html, sanitized);
+    return sanitized;
+}
+
+// Plain text as comment HTML (line breaks kept)
+export function plainTextToRichText(text) {
+    return text ? escapeHtml(text).replace(/\r\n?|\n/g, '<br>') : '';
+}
+
+// Wrap the children of `element` in a new `tag` element
+const wrapContent = (element, tag) => {
+    const wrapper = element.ownerDocument.createElement(tag);
+    while (element.firstChild) {
+        wrapper.appendChild(element.firstChild);
+    }
+    element.appendChild(wrapper);
+};
+
+/**
+ * Clipboard HTML from Word, Outlook, Excel, Google Docs or a web page, with the formatting
+ * they express through inline styles turned into tags and Word's list paragraphs turned into
+ * real lists - then sanitized
+ */
+export function cleanPastedHtml(html) {
+    if (!html || typeof DOMParser === 'undefined') {
+        return sanitizeRichText(html);
+    }
+
+    const pasted = parseHtml(html);
+    const body = pasted.body;
+
+    // Word's list bullets and numbers are text hidden behind mso-list:Ignore
+    body.querySelectorAll('[style*="mso-list"]').forEach(element => {
+        if (/mso-list\s*:\s*ignore/i.test(element.getAttribute('style'))) {
+            element.setAttribute('data-list-marker', element.textContent.trim());
+            element.textContent = '';
+        }
+    });
+
+    // Word list paragraphs → <ul>/<ol> (numbered when the marker was a number or letter)
+    Array.from(body.querySelectorAll('p[class^="MsoListParagraph"], p[style*="mso-list"]')).forEach(paragraph => {
+        const marker = paragraph.querySelector('[data-list-marker]');
+        const listTag = marker && /^(\w{1,3})[.)]$/.test(marker.getAttribute('data-list-marker')) ? 'ol' : 'ul';
+        const previous = paragraph.previousElementSibling;
+        const list = previous && previous.tagName.toLowerCase() === listTag && previous.hasAttribute('data-word-list')
+            ? previous
+            : paragraph.parentNode.insertBefore(pasted.createElement(listTag), paragraph);
+        list.setAttribute('data-word-list', '');
+
+        const item = pasted.createElement('li');
+        while (paragraph.firstChild) {
+            item.appendChild(paragraph.firstChild);
+        }
+        list.appendChild(item);
+        paragraph.parentNode.removeChild(paragraph);
+    });
+
+    body.querySelectorAll('[style]').forEach(element => {
+        const style = element.style;
+        // Google Docs wraps the whole clipboard in <b style="font-weight:normal">
+        if (element.tagName.toLowerCase() === 'b' && /^(normal|[1-5]00)$/.test(style.fontWeight)) {
+            const span = pasted.createElement('span');
+            while (element.firstChild) {
+                span.appendChild(element.firstChild);
+            }
+            element.parentNode.replaceChild(span, element);
+            return;
+        }
+        if (/^(bold|bolder|[6-9]00)$/.test(style.fontWeight)) {
+            wrapContent(element, 'b');
+        }
+        if (style.fontStyle === 'italic') {
+            wrapContent(element, 'i');
+        }
+        if (/underline/.test(style.textDecoration || style.textDecorationLine)) {
+            wrapContent(element, 'u');
+        }
+    });
+
+    return sanitizeRichText(body.innerHTML);
+}
+
+/**
+ * Sanitize `html` and insert it at the caret in `editor` (at the end when the selection is
+ * elsewhere), leaving the caret after it
+ */
+export function insertSanitizedHtml(editor, html) {
+    const selection = window.getSelection();
+    let range = selection && selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+
+    if (!range || !editor.contains(range.commonAncestorContainer)) {
+        range = document.createRange();
+        range.selectNodeContents(editor);
+        range.collapse(false);
+    }
+
+    const fragment = range.createContextualFragment(sanitizeRichText(html));
+    const lastNode = fragment.lastChild;
+    range.deleteContents();
+    range.insertNode(fragment);
+
+    if (lastNode) {
+        range.setStartAfter(lastNode);
+        range.collapse(true);
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+}
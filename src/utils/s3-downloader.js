@@ -1,5 +1,18 @@
 import CryptoJS from "crypto-js";
 
+// Files above this size are uploaded in parts (S3 needs at least 5 MB per part except the last)
+const MULTIPART_THRESHOLD = 8 * 1024 * 1024;
+const MULTIPART_PART_SIZE = 8 * 1024 * 1024;
+const MAX_MULTIPART_PARTS = 10000;
+
+// URI encoding as Signature V4 expects it for query parameters
+const encodeRfc3986 = value => encodeURIComponent(value).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+
+const readXmlValue = (xml, tag) => {
+    const match = new RegExp(`<${tag}>([^<]*)</${tag}>`).exec(xml || '');
+    return match ? match[1] : null;
+};
+
 export class SecureS3Downloader {
     constructor(accessKey, secretKey, sessionToken, region) {
         this.accessKey = accessKey;
@@ -367,6 +380,175 @@ export class SecureS3Downloader {
         }
     }
 
+    // Signature V4 for any request on an object. Sub-resource query parameters (uploads, partNumber,
+    // uploadId) and extra headers such as Content-Type are signed as well. Returns the URL and headers to send.
+    createSignedRequest(method, bucketName, key, query = {}, headers = {}) {
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.substr(0, 8);
+        const host = `${bucketName}.s3.${this.region}.amazonaws.com`;
+        const algorithm = 'AWS4-HMAC-SHA256';
+        const credentialScope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+        const canonicalUri = `/${this.encodeS3Key(key)}`;
+        const canonicalQuerystring = Object.keys(query)
+            .map(name => [encodeRfc3986(name), encodeRfc3986(query[name])])
+            .sort(([a], [b]) => (a < b ? -1 : 1))
+            .map(([name, value]) => `${name}=${value}`)
+            .join('&');
+
+        const requestHeaders = {
+            ...headers,
+            'X-Amz-Date': amzDate,
+            'X-Amz-Content-Sha256': 'UNSIGNED-PAYLOAD',
+            ...(this.sessionToken ? { 'X-Amz-Security-Token': this.sessionToken } : {})
+        };
+        const headersToSign = { host };
+        Object.keys(requestHeaders).forEach(name => {
+            headersToSign[name.toLowerCase()] = String(requestHeaders[name]).trim();
+        });
+        const headerNames = Object.keys(headersToSign).sort();
+        const canonicalHeaders = headerNames.map(name => `${name}:${headersToSign[name]}\n`).join('');
+        const signedHeaders = headerNames.join(';');
+
+        const canonicalRequest = [
+            method,
+            canonicalUri,
+            canonicalQuerystring,
+            canonicalHeaders,
+            signedHeaders,
+            'UNSIGNED-PAYLOAD'
+        ].join('\n');
+
+        const stringToSign = [
+            algorithm,
+            amzDate,
+            credentialScope,
+            CryptoJS.SHA256(canonicalRequest).toString()
+        ].join('\n');
+
+        const kDate = CryptoJS.HmacSHA256(dateStamp, `AWS4${this.secretKey}`);
+        const kRegion = CryptoJS.HmacSHA256(this.region, kDate);
+        const kService = CryptoJS.HmacSHA256('s3', kRegion);
+        const kSigning = CryptoJS.HmacSHA256('aws4_request', kService);
+        const signature = CryptoJS.HmacSHA256(stringToSign, kSigning).toString();
+
+        return {
+            url: `https://${host}${canonicalUri}${canonicalQuerystring ? `?${canonicalQuerystring}` : ''}`,
+            headers: {
+                ...requestHeaders,
+                'Authorization': `${algorithm} Credential=${this.accessKey}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+            }
+        };
+    }
+
+    sendSignedRequest(method, bucketName, key, { query, headers, body } = {}) {
+        const request = this.createSignedRequest(method, bucketName, key, query, headers);
+        return this.fetchWithRetry(request.url, {
+            method,
+            mode: 'cors',
+            headers: request.headers,
+            body
+        });
+    }
+
+    /**
+     * Upload `body` (a Blob or File) to s3://bucketName/key - in one PUT, or as a multipart
+     * upload when it is larger than 8 MB. `onProgress(percent)` is called after each part.
+     * The bucket CORS configuration must allow PUT, POST and DELETE and expose the ETag header.
+     */
+    async uploadFile(bucketName, key, body, { contentType = 'application/octet-stream', onProgress } = {}) {
+        console.log(`📤 Uploading to private S3: s3://${bucketName}/${key} (${body.size} bytes)`);
+
+        if (body.size > MULTIPART_THRESHOLD) {
+            await this.uploadMultipart(bucketName, key, body, contentType, onProgress);
+        } else {
+            await this.putObject(bucketName, key, body, contentType);
+            if (onProgress) onProgress(100);
+        }
+
+        console.log(`✅ Uploaded s3://${bucketName}/${key}`);
+        return { key, size: body.size };
+    }
+
+    async putObject(bucketName, key, body, contentType) {
+        const response = await this.sendSignedRequest('PUT', bucketName, key, {
+            headers: { 'Content-Type': contentType },
+            body
+        });
+
+        if (!response.ok) {
+            throw new Error(`S3 upload failed: ${response.status} ${response.statusText}`);
+        }
+        return response.headers.get('ETag');
+    }
+
+    // S3 answers 204 whether or not the key existed
+    async deleteObject(bucketName, key) {
+        const response = await this.sendSignedRequest('DELETE', bucketName, key);
+
+        if (!response.ok) {
+            throw new Error(`S3 delete failed: ${response.status} ${response.statusText}`);
+        }
+        console.log(`🗑️ Deleted s3://${bucketName}/${key}`);
+    }
+
+    async uploadMultipart(bucketName, key, body, contentType, onProgress) {
+        const initiateResponse = await this.sendSignedRequest('POST', bucketName, key, {
+            query: { uploads: '' },
+            headers: { 'Content-Type': contentType }
+        });
+        if (!initiateResponse.ok) {
+            throw new Error(`Starting the multipart upload failed: ${initiateResponse.status} ${initiateResponse.statusText}`);
+        }
+
+        const uploadId = readXmlValue(await initiateResponse.text(), 'UploadId');
+        if (!uploadId) {
+            throw new Error('Starting the multipart upload failed: no upload id in the S3 response');
+        }
+
+        const partSize = Math.max(MULTIPART_PART_SIZE, Math.ceil(body.size / MAX_MULTIPART_PARTS));
+        const partCount = Math.ceil(body.size / partSize);
+        const parts = [];
+
+        try {
+            for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+                const response = await this.sendSignedRequest('PUT', bucketName, key, {
+                    query: { partNumber: String(partNumber), uploadId },
+                    body: body.slice((partNumber - 1) * partSize, partNumber * partSize)
+                });
+                if (!response.ok) {
+                    throw new Error(`Uploading part ${partNumber} of ${partCount} failed: ${response.status} ${response.statusText}`);
+                }
+
+                const etag = response.headers.get('ETag');
+                if (!etag) {
+                    throw new Error('The ETag of the uploaded part is not readable - add ETag to ExposeHeaders in the bucket CORS configuration');
+                }
+                parts.push({ partNumber, etag });
+                if (onProgress) onProgress(Math.round((partNumber / partCount) * 100));
+            }
+
+            const completeResponse = await this.sendSignedRequest('POST', bucketName, key, {
+                query: { uploadId },
+                headers: { 'Content-Type': 'application/xml' },
+                body: `<CompleteMultipartUpload>${parts.map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${part.etag}</ETag></Part>`).join('')}</CompleteMultipartUpload>`
+            });
+            const completeXml = await completeResponse.text();
+            // S3 can answer 200 and still report the error in the body
+            if (!completeResponse.ok || completeXml.includes('<Error>')) {
+                throw new Error(`Completing the multipart upload failed: ${readXmlValue(completeXml, 'Message') || `${completeResponse.status} ${completeResponse.statusText}`}`);
+            }
+        } catch (error) {
+            // Otherwise the parts already uploaded stay stored (and billed) until a lifecycle rule removes them
+            try {
+                await this.sendSignedRequest('DELETE', bucketName, key, { query: { uploadId } });
+            } catch (abortError) {
+                console.warn('Could not abort the multipart upload:', abortError.message);
+            }
+            throw error;
+        }
+    }
+
     // Enhanced connection test with multiple methods and better encoding
     async testConnection(bucketName) {
         try {
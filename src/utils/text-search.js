@@ -0,0 +1,136 @@
+/**
+ * Full-text search over the pdf.js text content of the document.
+ * A page's text is the concatenation of its text items; every item remembers where it
+ * starts, so a match (an offset range in the page text) can be mapped back to the items
+ * the text layer renders - also when it runs across several of them.
+ */
+
+// Characters of surrounding text shown with each match
+export const SEARCH_CONTEXT_LENGTH = 40;
+
+// Result list is cut off here; the counter still shows the total
+export const MAX_LISTED_MATCHES = 500;
+
+/**
+ * Build the searchable text of a page from `page.getTextContent()`
+ */
+export function buildPageTextIndex(textContent) {
+    const items = [];
+    let text = '';
+
+    textContent.items.forEach(item => {
+        // Marked-content entries have no text, but the text layer still counts them
+        const str = typeof item.str === 'string' ? item.str : '';
+        items.push({ start: text.length, length: str.length });
+        text += str;
+        if (item.hasEOL) {
+            text += ' ';
+        }
+    });
+
+    return { text, items };
+}
+
+/**
+ * Extract the text of every page. `onProgress(pagesDone, numPages)` reports how far it got;
+ * `isCancelled()` stops early when the document changed in the meantime.
+ */
+export async function extractDocumentText(pdfDocument, onProgress, isCancelled = () => false) {
+    const pages = {};
+
+    for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+        if (isCancelled()) {
+            return null;
+        }
+        const page = await pdfDocument.getPage(pageNumber);
+        const textContent = await page.getTextContent();
+        pages[pageNumber] = buildPageTextIndex(textContent);
+        if (onProgress) {
+            onProgress(pageNumber, pdfDocument.numPages);
+        }
+    }
+
+    return pages;
+}
+
+const normalizeWhitespace = value => value.replace(/\s+/g, ' ');
+
+/**
+ * Case-insensitive matches of `query` in the extracted pages, in document order
+ */
+export function findTextMatches(pages, query) {
+    const needle = query.trim().toLowerCase();
+    if (!pages || !needle) {
+        return [];
+    }
+
+    const matches = [];
+
+    Object.keys(pages)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .forEach(pageNumber => {
+            const { text } = pages[pageNumber];
+            const haystack = text.toLowerCase();
+            let index = haystack.indexOf(needle);
+
+            while (index !== -1) {
+                const end = index + needle.length;
+                const contextStart = Math.max(index - SEARCH_CONTEXT_LENGTH, 0);
+                const contextEnd = Math.min(end + SEARCH_CONTEXT_LENGTH, text.length);
+
+                matches.push({
+                    id: `${pageNumber}-${index}`,
+                    page: pageNumber,
+                    start: index,
+                    end,
+                    before: `${contextStart > 0 ? '…' : ''}${normalizeWhitespace(text.slice(contextStart, index))}`,
+                    text: text.slice(index, end),
+                    after: `${normalizeWhitespace(text.slice(end, contextEnd))}${contextEnd < text.length ? '…' : ''}`
+                });
+                index = haystack.indexOf(needle, end);
+            }
+        });
+
+    return matches;
+}
+
+const escapeHtml = value => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Markup for one text layer item with the parts covered by `matches` wrapped in <mark>.
+ * `activeMatchId` gets an extra class so the current hit stands out.
+ */
+export function highlightTextItem(str, item, matches, activeMatchId) {
+    if (!item) {
+        return escapeHtml(str);
+    }
+
+    const itemEnd = item.start + item.length;
+    const ranges = matches
+        .filter(match => match.start < itemEnd && match.end > item.start)
+        .map(match => ({
+            from: Math.max(match.start - item.start, 0),
+            to: Math.min(match.end - item.start, str.length),
+            active: match.id === activeMatchId
+        }));
+
+    if (ranges.length === 0) {
+        return escapeHtml(str);
+    }
+
+    let html = '';
+    let position = 0;
+    ranges.forEach(range => {
+        html += escapeHtml(str.slice(position, range.from));
+        html += `<mark class="pdf-search-hit${range.active ? ' active' : ''}">${escapeHtml(str.slice(range.from, range.to))}</mark>`;
+        position = range.to;
+    });
+    html += escapeHtml(str.slice(position));
+
+    return html;
+}